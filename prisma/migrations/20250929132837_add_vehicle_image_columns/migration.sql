@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "public"."vehicles" ADD COLUMN     "exterior_image_1" TEXT,
+ADD COLUMN     "exterior_image_2" TEXT,
+ADD COLUMN     "interior_image" TEXT;
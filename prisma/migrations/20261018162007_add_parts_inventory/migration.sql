@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."parts" ADD COLUMN     "is_active" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."parts" ADD COLUMN     "low_stock_alerted_at" TIMESTAMP(3);
+
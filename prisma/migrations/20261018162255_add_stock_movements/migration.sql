@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "public"."StockMovementType" AS ENUM ('receipt', 'consumption', 'adjustment', 'return');
+
+-- CreateTable
+CREATE TABLE "public"."stock_movements" (
+    "id" SERIAL NOT NULL,
+    "part_id" INTEGER NOT NULL,
+    "type" "public"."StockMovementType" NOT NULL,
+    "quantity_change" INTEGER NOT NULL,
+    "quantity_after" INTEGER NOT NULL,
+    "unit_cost" DECIMAL(10,2),
+    "reason" TEXT,
+    "user_id" INTEGER,
+    "service_part_id" INTEGER,
+    "purchase_order_item_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_movements_part_id_created_at_idx" ON "public"."stock_movements"("part_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."stock_movements" ADD CONSTRAINT "stock_movements_part_id_fkey" FOREIGN KEY ("part_id") REFERENCES "public"."parts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stock_movements" ADD CONSTRAINT "stock_movements_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stock_movements" ADD CONSTRAINT "stock_movements_service_part_id_fkey" FOREIGN KEY ("service_part_id") REFERENCES "public"."service_parts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stock_movements" ADD CONSTRAINT "stock_movements_purchase_order_item_id_fkey" FOREIGN KEY ("purchase_order_item_id") REFERENCES "public"."purchase_order_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
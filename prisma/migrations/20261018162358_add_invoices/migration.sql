@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "public"."InvoiceStatus" AS ENUM ('issued', 'void');
+
+-- CreateEnum
+CREATE TYPE "public"."InvoiceItemType" AS ENUM ('labor', 'service', 'part');
+
+-- CreateTable
+CREATE TABLE "public"."invoices" (
+    "id" SERIAL NOT NULL,
+    "invoice_number" TEXT,
+    "appointment_id" INTEGER NOT NULL,
+    "customer_id" INTEGER NOT NULL,
+    "status" "public"."InvoiceStatus" NOT NULL DEFAULT 'issued',
+    "subtotal" DECIMAL(10,2) NOT NULL,
+    "tax_rate" DECIMAL(5,2) NOT NULL DEFAULT 0,
+    "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "total" DECIMAL(10,2) NOT NULL,
+    "issued_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "invoices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."invoice_items" (
+    "id" SERIAL NOT NULL,
+    "invoice_id" INTEGER NOT NULL,
+    "item_type" "public"."InvoiceItemType" NOT NULL,
+    "description" TEXT NOT NULL,
+    "quantity" DECIMAL(10,2) NOT NULL,
+    "unit_price" DECIMAL(10,2) NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "part_id" INTEGER,
+    "service_log_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "invoice_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_invoice_number_key" ON "public"."invoices"("invoice_number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_appointment_id_key" ON "public"."invoices"("appointment_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_appointment_id_fkey" FOREIGN KEY ("appointment_id") REFERENCES "public"."appointments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "public"."customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invoice_items" ADD CONSTRAINT "invoice_items_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "public"."invoices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "public"."PaymentType" AS ENUM ('payment', 'refund');
+
+-- CreateEnum
+CREATE TYPE "public"."PaymentMethod" AS ENUM ('cash', 'card', 'bank_transfer', 'online');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "public"."InvoiceStatus" ADD VALUE 'partially_paid';
+ALTER TYPE "public"."InvoiceStatus" ADD VALUE 'paid';
+
+-- CreateTable
+CREATE TABLE "public"."payments" (
+    "id" SERIAL NOT NULL,
+    "invoice_id" INTEGER NOT NULL,
+    "type" "public"."PaymentType" NOT NULL DEFAULT 'payment',
+    "method" "public"."PaymentMethod" NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "reference" TEXT,
+    "notes" TEXT,
+    "recorded_by" INTEGER,
+    "paid_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payments_paid_at_idx" ON "public"."payments"("paid_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."payments" ADD CONSTRAINT "payments_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "public"."invoices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
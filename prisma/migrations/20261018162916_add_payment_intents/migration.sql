@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "public"."PaymentIntentStatus" AS ENUM ('requires_confirmation', 'processing', 'succeeded', 'failed', 'canceled');
+
+-- AlterTable
+ALTER TABLE "public"."payments" ADD COLUMN     "payment_intent_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."payment_intents" (
+    "id" SERIAL NOT NULL,
+    "invoice_id" INTEGER NOT NULL,
+    "customer_id" INTEGER NOT NULL,
+    "provider" TEXT NOT NULL,
+    "provider_intent_id" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "amount_refunded" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "currency" TEXT NOT NULL,
+    "status" "public"."PaymentIntentStatus" NOT NULL DEFAULT 'requires_confirmation',
+    "failure_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payment_intents_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_intents_provider_provider_intent_id_key" ON "public"."payment_intents"("provider", "provider_intent_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."payments" ADD CONSTRAINT "payments_payment_intent_id_fkey" FOREIGN KEY ("payment_intent_id") REFERENCES "public"."payment_intents"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."payment_intents" ADD CONSTRAINT "payment_intents_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "public"."invoices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."payment_intents" ADD CONSTRAINT "payment_intents_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "public"."customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "public"."QuoteStatus" AS ENUM ('pending', 'accepted', 'rejected', 'superseded');
+
+-- CreateTable
+CREATE TABLE "public"."project_quotes" (
+    "id" SERIAL NOT NULL,
+    "project_id" INTEGER NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "notes" TEXT,
+    "valid_until" DATE,
+    "status" "public"."QuoteStatus" NOT NULL DEFAULT 'pending',
+    "issued_by" INTEGER,
+    "issued_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "responded_by" INTEGER,
+    "responded_at" TIMESTAMP(3),
+    "rejection_reason" TEXT,
+
+    CONSTRAINT "project_quotes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "project_quotes_project_id_idx" ON "public"."project_quotes"("project_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."project_quotes" ADD CONSTRAINT "project_quotes_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "public"."projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "public"."ChangeOrderStatus" AS ENUM ('pending', 'accepted', 'rejected', 'cancelled');
+
+-- CreateTable
+CREATE TABLE "public"."change_orders" (
+    "id" SERIAL NOT NULL,
+    "project_id" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "cost_delta" DECIMAL(10,2) NOT NULL,
+    "status" "public"."ChangeOrderStatus" NOT NULL DEFAULT 'pending',
+    "requested_by" INTEGER,
+    "responded_by" INTEGER,
+    "responded_at" TIMESTAMP(3),
+    "rejection_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "change_orders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "change_orders_project_id_idx" ON "public"."change_orders"("project_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."change_orders" ADD CONSTRAINT "change_orders_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "public"."projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "public"."AttachmentCategory" AS ENUM ('before_photo', 'after_photo', 'diagnostic', 'receipt', 'other');
+
+-- CreateEnum
+CREATE TYPE "public"."AttachmentVisibility" AS ENUM ('customer', 'staff', 'admin');
+
+-- CreateTable
+CREATE TABLE "public"."attachments" (
+    "id" SERIAL NOT NULL,
+    "project_id" INTEGER,
+    "appointment_id" INTEGER,
+    "service_log_id" INTEGER,
+    "category" "public"."AttachmentCategory" NOT NULL DEFAULT 'other',
+    "visibility" "public"."AttachmentVisibility" NOT NULL DEFAULT 'customer',
+    "file_name" TEXT NOT NULL,
+    "storage_path" TEXT NOT NULL,
+    "content_type" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "caption" TEXT,
+    "uploaded_by" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "attachments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "attachments_project_id_idx" ON "public"."attachments"("project_id");
+
+-- CreateIndex
+CREATE INDEX "attachments_appointment_id_idx" ON "public"."attachments"("appointment_id");
+
+-- CreateIndex
+CREATE INDEX "attachments_service_log_id_idx" ON "public"."attachments"("service_log_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."attachments" ADD CONSTRAINT "attachments_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "public"."projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."attachments" ADD CONSTRAINT "attachments_appointment_id_fkey" FOREIGN KEY ("appointment_id") REFERENCES "public"."appointments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."attachments" ADD CONSTRAINT "attachments_service_log_id_fkey" FOREIGN KEY ("service_log_id") REFERENCES "public"."service_logs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."vehicles" ADD COLUMN     "exterior_image_1_thumb" TEXT,
+ADD COLUMN     "exterior_image_2_thumb" TEXT,
+ADD COLUMN     "interior_image_thumb" TEXT;
+
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "public"."vehicle_images" (
+    "id" SERIAL NOT NULL,
+    "vehicle_id" INTEGER NOT NULL,
+    "url" TEXT NOT NULL,
+    "thumbnail_url" TEXT,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "vehicle_images_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "vehicle_images_vehicle_id_sort_order_idx" ON "public"."vehicle_images"("vehicle_id", "sort_order");
+
+-- AddForeignKey
+ALTER TABLE "public"."vehicle_images" ADD CONSTRAINT "vehicle_images_vehicle_id_fkey" FOREIGN KEY ("vehicle_id") REFERENCES "public"."vehicles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "public"."OdometerSource" AS ENUM ('customer', 'check_in', 'check_out', 'admin');
+
+-- CreateTable
+CREATE TABLE "public"."odometer_readings" (
+    "id" SERIAL NOT NULL,
+    "vehicle_id" INTEGER NOT NULL,
+    "reading" INTEGER NOT NULL,
+    "source" "public"."OdometerSource" NOT NULL,
+    "appointment_id" INTEGER,
+    "recorded_by" INTEGER,
+    "is_override" BOOLEAN NOT NULL DEFAULT false,
+    "note" TEXT,
+    "recorded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "odometer_readings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "odometer_readings_vehicle_id_recorded_at_idx" ON "public"."odometer_readings"("vehicle_id", "recorded_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."odometer_readings" ADD CONSTRAINT "odometer_readings_vehicle_id_fkey" FOREIGN KEY ("vehicle_id") REFERENCES "public"."vehicles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."odometer_readings" ADD CONSTRAINT "odometer_readings_appointment_id_fkey" FOREIGN KEY ("appointment_id") REFERENCES "public"."appointments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "public"."maintenance_plan_items" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "make" TEXT,
+    "model" TEXT,
+    "service_id" INTEGER,
+    "interval_km" INTEGER,
+    "interval_months" INTEGER,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "maintenance_plan_items_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."maintenance_plan_items" ADD CONSTRAINT "maintenance_plan_items_service_id_fkey" FOREIGN KEY ("service_id") REFERENCES "public"."services"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "public"."VehicleTransferStatus" AS ENUM ('pending', 'accepted', 'rejected', 'cancelled');
+
+-- CreateTable
+CREATE TABLE "public"."vehicle_transfers" (
+    "id" SERIAL NOT NULL,
+    "vehicle_id" INTEGER NOT NULL,
+    "from_customer_id" INTEGER NOT NULL,
+    "to_customer_id" INTEGER NOT NULL,
+    "status" "public"."VehicleTransferStatus" NOT NULL DEFAULT 'pending',
+    "note" TEXT,
+    "initiated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "responded_by" INTEGER,
+    "responded_at" TIMESTAMP(3),
+
+    CONSTRAINT "vehicle_transfers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "vehicle_transfers_vehicle_id_status_idx" ON "public"."vehicle_transfers"("vehicle_id", "status");
+
+-- CreateIndex
+CREATE INDEX "vehicle_transfers_to_customer_id_status_idx" ON "public"."vehicle_transfers"("to_customer_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "public"."vehicle_transfers" ADD CONSTRAINT "vehicle_transfers_vehicle_id_fkey" FOREIGN KEY ("vehicle_id") REFERENCES "public"."vehicles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."vehicle_transfers" ADD CONSTRAINT "vehicle_transfers_from_customer_id_fkey" FOREIGN KEY ("from_customer_id") REFERENCES "public"."customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."vehicle_transfers" ADD CONSTRAINT "vehicle_transfers_to_customer_id_fkey" FOREIGN KEY ("to_customer_id") REFERENCES "public"."customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,112 @@
+-- CreateEnum
+CREATE TYPE "public"."InspectionStatus" AS ENUM ('draft', 'completed');
+
+-- CreateEnum
+CREATE TYPE "public"."InspectionOutcome" AS ENUM ('pass', 'advise', 'fail');
+
+-- CreateEnum
+CREATE TYPE "public"."RepairDecision" AS ENUM ('approved', 'declined');
+
+-- AlterTable
+ALTER TABLE "public"."attachments" ADD COLUMN     "inspection_result_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."inspection_templates" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "inspection_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."inspection_template_items" (
+    "id" SERIAL NOT NULL,
+    "template_id" INTEGER NOT NULL,
+    "area" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "measurement_unit" TEXT,
+    "service_id" INTEGER,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "inspection_template_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."inspections" (
+    "id" SERIAL NOT NULL,
+    "service_log_id" INTEGER NOT NULL,
+    "template_id" INTEGER,
+    "status" "public"."InspectionStatus" NOT NULL DEFAULT 'draft',
+    "summary" TEXT,
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "inspections_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."inspection_results" (
+    "id" SERIAL NOT NULL,
+    "inspection_id" INTEGER NOT NULL,
+    "area" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "measurement_unit" TEXT,
+    "service_id" INTEGER,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "result" "public"."InspectionOutcome",
+    "measurement" DECIMAL(8,2),
+    "notes" TEXT,
+    "recommendation" TEXT,
+    "estimated_cost" DECIMAL(10,2),
+    "customer_decision" "public"."RepairDecision",
+    "decided_at" TIMESTAMP(3),
+    "appointment_id" INTEGER,
+    "project_id" INTEGER,
+
+    CONSTRAINT "inspection_results_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "inspection_template_items_template_id_sort_order_idx" ON "public"."inspection_template_items"("template_id", "sort_order");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inspections_service_log_id_key" ON "public"."inspections"("service_log_id");
+
+-- CreateIndex
+CREATE INDEX "inspection_results_inspection_id_sort_order_idx" ON "public"."inspection_results"("inspection_id", "sort_order");
+
+-- CreateIndex
+CREATE INDEX "attachments_inspection_result_id_idx" ON "public"."attachments"("inspection_result_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."inspection_template_items" ADD CONSTRAINT "inspection_template_items_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "public"."inspection_templates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."inspection_template_items" ADD CONSTRAINT "inspection_template_items_service_id_fkey" FOREIGN KEY ("service_id") REFERENCES "public"."services"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."inspections" ADD CONSTRAINT "inspections_service_log_id_fkey" FOREIGN KEY ("service_log_id") REFERENCES "public"."service_logs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."inspections" ADD CONSTRAINT "inspections_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "public"."inspection_templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."inspection_results" ADD CONSTRAINT "inspection_results_inspection_id_fkey" FOREIGN KEY ("inspection_id") REFERENCES "public"."inspections"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."inspection_results" ADD CONSTRAINT "inspection_results_service_id_fkey" FOREIGN KEY ("service_id") REFERENCES "public"."services"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."inspection_results" ADD CONSTRAINT "inspection_results_appointment_id_fkey" FOREIGN KEY ("appointment_id") REFERENCES "public"."appointments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."inspection_results" ADD CONSTRAINT "inspection_results_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "public"."projects"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."attachments" ADD CONSTRAINT "attachments_inspection_result_id_fkey" FOREIGN KEY ("inspection_result_id") REFERENCES "public"."inspection_results"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
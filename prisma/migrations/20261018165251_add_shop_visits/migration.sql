@@ -0,0 +1,33 @@
+-- AlterEnum
+ALTER TYPE "public"."AttachmentCategory" ADD VALUE 'signature';
+
+-- CreateTable
+CREATE TABLE "public"."shop_visits" (
+    "id" SERIAL NOT NULL,
+    "appointment_id" INTEGER NOT NULL,
+    "checked_in_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "checked_in_by" INTEGER,
+    "check_in_odometer" INTEGER NOT NULL,
+    "fuel_level" INTEGER NOT NULL,
+    "damage_notes" TEXT,
+    "key_tag" TEXT,
+    "checked_out_at" TIMESTAMP(3),
+    "checked_out_by" INTEGER,
+    "check_out_odometer" INTEGER,
+    "signature_attachment_id" INTEGER,
+
+    CONSTRAINT "shop_visits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shop_visits_appointment_id_key" ON "public"."shop_visits"("appointment_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shop_visits_signature_attachment_id_key" ON "public"."shop_visits"("signature_attachment_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."shop_visits" ADD CONSTRAINT "shop_visits_appointment_id_fkey" FOREIGN KEY ("appointment_id") REFERENCES "public"."appointments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."shop_visits" ADD CONSTRAINT "shop_visits_signature_attachment_id_fkey" FOREIGN KEY ("signature_attachment_id") REFERENCES "public"."attachments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
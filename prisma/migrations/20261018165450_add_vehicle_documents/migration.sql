@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "public"."VehicleDocumentType" AS ENUM ('insurance', 'registration', 'emission_test', 'other');
+
+-- CreateTable
+CREATE TABLE "public"."vehicle_documents" (
+    "id" SERIAL NOT NULL,
+    "vehicle_id" INTEGER NOT NULL,
+    "customer_id" INTEGER NOT NULL,
+    "type" "public"."VehicleDocumentType" NOT NULL,
+    "title" TEXT,
+    "document_number" TEXT,
+    "issue_date" DATE,
+    "expiry_date" DATE,
+    "file_name" TEXT NOT NULL,
+    "storage_path" TEXT NOT NULL,
+    "content_type" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "expiry_reminder_sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "vehicle_documents_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "vehicle_documents_vehicle_id_customer_id_idx" ON "public"."vehicle_documents"("vehicle_id", "customer_id");
+
+-- CreateIndex
+CREATE INDEX "vehicle_documents_expiry_date_idx" ON "public"."vehicle_documents"("expiry_date");
+
+-- AddForeignKey
+ALTER TABLE "public"."vehicle_documents" ADD CONSTRAINT "vehicle_documents_vehicle_id_fkey" FOREIGN KEY ("vehicle_id") REFERENCES "public"."vehicles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."vehicle_documents" ADD CONSTRAINT "vehicle_documents_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "public"."customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
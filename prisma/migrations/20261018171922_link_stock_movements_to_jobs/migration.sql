@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "public"."stock_movements" ADD COLUMN     "project_id" INTEGER,
+ADD COLUMN     "service_log_id" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "public"."stock_movements" ADD CONSTRAINT "stock_movements_service_log_id_fkey" FOREIGN KEY ("service_log_id") REFERENCES "public"."service_logs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stock_movements" ADD CONSTRAINT "stock_movements_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "public"."projects"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill the job of movements whose usage entry still exists
+UPDATE "public"."stock_movements" AS "sm"
+SET "service_log_id" = "sp"."service_log_id",
+    "project_id" = "pl"."project_id"
+FROM "public"."service_parts" AS "sp"
+LEFT JOIN "public"."project_logs" AS "pl" ON "pl"."id" = "sp"."project_log_id"
+WHERE "sm"."service_part_id" = "sp"."id";
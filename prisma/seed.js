@@ -217,6 +217,92 @@ async function main() {
     where: { name: 'Brake Inspection' },
   });
 
+  // ============================================
+  // MAINTENANCE PLAN
+  // ============================================
+
+  const tireRotationService = await prisma.service.findFirst({
+    where: { name: 'Tire Rotation' },
+  });
+
+  const transmissionService = await prisma.service.findFirst({
+    where: { name: 'Transmission Service' },
+  });
+
+  await prisma.maintenancePlanItem.createMany({
+    data: [
+      {
+        name: 'Oil Change',
+        description: 'Engine oil and filter',
+        serviceId: oilChangeService.id,
+        intervalKm: 5000,
+        intervalMonths: 6,
+      },
+      {
+        name: 'Oil Change',
+        description: 'Engine oil and filter (synthetic oil)',
+        make: 'Toyota',
+        serviceId: oilChangeService.id,
+        intervalKm: 10000,
+        intervalMonths: 12,
+      },
+      {
+        name: 'Brake Inspection',
+        description: 'Pads, discs and brake fluid',
+        serviceId: brakeService.id,
+        intervalKm: 20000,
+        intervalMonths: 12,
+      },
+      {
+        name: 'Tire Rotation',
+        serviceId: tireRotationService.id,
+        intervalKm: 10000,
+      },
+      {
+        name: 'Transmission Service',
+        serviceId: transmissionService.id,
+        intervalKm: 60000,
+        intervalMonths: 48,
+      },
+      {
+        name: 'Timing Belt Replacement',
+        description: 'Timing belt and tensioner',
+        intervalKm: 100000,
+        intervalMonths: 84,
+      },
+    ],
+  });
+  console.log('Created maintenance plan');
+
+  // ============================================
+  // INSPECTION TEMPLATES
+  // ============================================
+
+  await prisma.inspectionTemplate.create({
+    data: {
+      name: 'Multi-Point Inspection',
+      description: 'Standard check done with every service',
+      items: {
+        create: [
+          { area: 'Tires', label: 'Front left tread depth', measurementUnit: 'mm', serviceId: tireRotationService.id },
+          { area: 'Tires', label: 'Front right tread depth', measurementUnit: 'mm', serviceId: tireRotationService.id },
+          { area: 'Tires', label: 'Rear left tread depth', measurementUnit: 'mm', serviceId: tireRotationService.id },
+          { area: 'Tires', label: 'Rear right tread depth', measurementUnit: 'mm', serviceId: tireRotationService.id },
+          { area: 'Brakes', label: 'Front pad thickness', measurementUnit: 'mm', serviceId: brakeService.id },
+          { area: 'Brakes', label: 'Rear pad thickness', measurementUnit: 'mm', serviceId: brakeService.id },
+          { area: 'Brakes', label: 'Brake fluid condition', serviceId: brakeService.id },
+          { area: 'Under the hood', label: 'Engine oil level and condition', serviceId: oilChangeService.id },
+          { area: 'Under the hood', label: 'Coolant level' },
+          { area: 'Under the hood', label: 'Battery health', measurementUnit: 'V' },
+          { area: 'Under the hood', label: 'Drive belts and hoses' },
+          { area: 'Lights and wipers', label: 'Exterior lights' },
+          { area: 'Lights and wipers', label: 'Wiper blades' },
+        ].map((item, index) => ({ ...item, sortOrder: index })),
+      },
+    },
+  });
+  console.log('Created inspection template');
+
   // ============================================
   // APPOINTMENTS
   // ============================================
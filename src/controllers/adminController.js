@@ -1,6 +1,18 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const bcrypt = require('bcryptjs');
+const { getCollectedRevenue } = require('../services/paymentService');
+const { formatQuote, issueQuote } = require('../services/quoteService');
+const {
+  formatChangeOrder,
+  summarizeProjectCosts,
+  createChangeOrder,
+  cancelChangeOrder,
+} = require('../services/changeOrderService');
+const { summarizeProjectWork } = require('../services/projectWorkService');
+const { formatMilestone, sortMilestones, calculateProgress } = require('../services/milestoneService');
+const { recordOdometerReading, summarizeMileage, formatOdometerReading } = require('../services/odometerService');
+const { parseBoolean } = require('../utils/boolean');
 
 /**
  * Get dashboard statistics
@@ -36,20 +48,8 @@ async function getDashboardStats(req, res) {
       },
     });
 
-    // Calculate revenue (sum of actual costs from completed projects)
-    const completedProjects = await prisma.project.aggregate({
-      where: {
-        status: 'completed',
-        actualCost: {
-          not: null,
-        },
-      },
-      _sum: {
-        actualCost: true,
-      },
-    });
-
-    const revenue = completedProjects._sum.actualCost || 0;
+    // Calculate revenue (money actually collected, net of refunds)
+    const { net: revenue } = await getCollectedRevenue(prisma);
 
     return res.status(200).json({
       success: true,
@@ -59,7 +59,7 @@ async function getDashboardStats(req, res) {
         activeServices,
         completedServices,
         pendingAppointments,
-        revenue: Number(revenue),
+        revenue,
       },
     });
   } catch (error) {
@@ -513,29 +513,18 @@ async function getReports(req, res) {
 
     switch (type) {
       case 'revenue':
-        // Get revenue from completed projects
-        const projects = await prisma.project.findMany({
-          where: {
-            status: 'completed',
-            endDate: {
-              gte: start,
-              lte: end,
-            },
-            actualCost: {
-              not: null,
-            },
-          },
+        // Get revenue from payments collected in the period
+        const payments = await getCollectedRevenue(prisma, {
+          gte: start,
+          lte: end,
         });
 
-        const totalRevenue = projects.reduce(
-          (sum, project) => sum + Number(project.actualCost || 0),
-          0
-        );
-
         reportData = {
-          totalRecords: projects.length,
-          totalAmount: totalRevenue,
-          average: projects.length > 0 ? totalRevenue / projects.length : 0,
+          totalRecords: payments.count,
+          totalAmount: payments.net,
+          collected: payments.collected,
+          refunded: payments.refunded,
+          average: payments.count > 0 ? payments.net / payments.count : 0,
           growth: 0, // Would need historical data to calculate
         };
         break;
@@ -727,6 +716,15 @@ async function getAllModificationRequests(req, res) {
             licensePlate: true,
           },
         },
+        quotes: {
+          orderBy: { issuedAt: 'desc' },
+          take: 1,
+        },
+        changeOrders: true,
+        projectLogs: {
+          select: { hoursLogged: true },
+        },
+        milestones: true,
       },
       orderBy: { createdAt: 'desc' },
     });
@@ -743,6 +741,10 @@ async function getAllModificationRequests(req, res) {
       projectType: project.projectType,
       estimatedCost: project.estimatedCost ? Number(project.estimatedCost) : 0,
       approvedCost: project.actualCost ? Number(project.actualCost) : null,
+      quote: formatQuote(project.quotes[0] || null),
+      revisedTotal: summarizeProjectCosts(project, project.changeOrders).revisedTotal,
+      hoursLogged: project.projectLogs.reduce((sum, log) => sum + Number(log.hoursLogged), 0),
+      ...calculateProgress(project, project.milestones),
       status: project.status,
       priority: project.priority,
       createdAt: project.createdAt,
@@ -764,12 +766,12 @@ async function getAllModificationRequests(req, res) {
 }
 
 /**
- * Update modification request status and approved cost
+ * Update modification request status
  */
 async function updateModificationStatus(req, res) {
   try {
     const { projectId } = req.params;
-    const { status, approvedCost } = req.body;
+    const { status } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -778,9 +780,23 @@ async function updateModificationStatus(req, res) {
       });
     }
 
+    // Approval (and the approved cost) only comes from the customer accepting a quote
+    if (status === 'approved') {
+      return res.status(400).json({
+        success: false,
+        error: 'Modification requests are approved when the customer accepts a quote',
+      });
+    }
+
     // Verify project exists
     const project = await prisma.project.findUnique({
       where: { id: parseInt(projectId) },
+      include: {
+        quotes: {
+          where: { status: 'accepted' },
+          take: 1,
+        },
+      },
     });
 
     if (!project) {
@@ -790,22 +806,19 @@ async function updateModificationStatus(req, res) {
       });
     }
 
+    // Work can only go ahead on an accepted quote
+    if (['in_progress', 'completed'].includes(status) && project.quotes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The customer has not accepted a quote for this modification request yet',
+      });
+    }
+
     // Prepare update data
     const updateData = {
       status,
     };
 
-    // Set actual cost if provided (regardless of status)
-    if (approvedCost) {
-      updateData.actualCost = parseFloat(approvedCost);
-    }
-
-    // If approving, track approval metadata
-    if (status === 'approved') {
-      updateData.approvedBy = req.user.userId; // Track who approved it
-      updateData.approvedAt = new Date();
-    }
-
     // If starting work, set start date
     if (status === 'in_progress' && !project.startDate) {
       updateData.startDate = new Date();
@@ -860,6 +873,617 @@ async function updateModificationStatus(req, res) {
   }
 }
 
+/**
+ * Issue a priced quote for a modification request
+ */
+async function issueModificationQuote(req, res) {
+  try {
+    const { projectId } = req.params;
+    const { amount, notes, validUntil } = req.body;
+
+    if (!amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quote amount is required',
+      });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: parseInt(projectId) },
+      include: { customer: true },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Modification request not found',
+      });
+    }
+
+    const quote = await issueQuote(prisma, project, {
+      amount: parseFloat(amount),
+      notes,
+      validUntil: validUntil ? new Date(validUntil) : undefined,
+      issuedBy: req.user.userId,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Quote issued successfully',
+      data: formatQuote(quote),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error issuing quote:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to issue quote',
+    });
+  }
+}
+
+/**
+ * Get the quote history of a modification request
+ */
+async function getModificationQuotes(req, res) {
+  try {
+    const { projectId } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id: parseInt(projectId) },
+      include: {
+        quotes: {
+          orderBy: { issuedAt: 'desc' },
+        },
+      },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Modification request not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: project.quotes.map(formatQuote),
+    });
+  } catch (error) {
+    console.error('Error fetching quotes:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quotes',
+    });
+  }
+}
+
+/**
+ * Get the change orders of a modification request with its revised total
+ */
+async function getModificationChangeOrders(req, res) {
+  try {
+    const { projectId } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id: parseInt(projectId) },
+      include: {
+        changeOrders: {
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Modification request not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...summarizeProjectCosts(project, project.changeOrders),
+        changeOrders: project.changeOrders.map(formatChangeOrder),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching change orders:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch change orders',
+    });
+  }
+}
+
+/**
+ * Raise a change order that adds or removes work on an approved modification
+ */
+async function createModificationChangeOrder(req, res) {
+  try {
+    const { projectId } = req.params;
+    const { title, description, costDelta } = req.body;
+
+    if (!title || costDelta === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title and cost change are required',
+      });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: parseInt(projectId) },
+      include: {
+        customer: true,
+        changeOrders: true,
+      },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Modification request not found',
+      });
+    }
+
+    const changeOrder = await createChangeOrder(prisma, project, {
+      title,
+      description,
+      costDelta: parseFloat(costDelta),
+      requestedBy: req.user.userId,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Change order sent to the customer for approval',
+      data: formatChangeOrder(changeOrder),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error creating change order:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create change order',
+    });
+  }
+}
+
+/**
+ * Withdraw a change order the customer has not answered yet
+ */
+async function cancelModificationChangeOrder(req, res) {
+  try {
+    const { projectId, changeOrderId } = req.params;
+
+    const changeOrder = await cancelChangeOrder(prisma, parseInt(projectId), parseInt(changeOrderId));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Change order cancelled successfully',
+      data: formatChangeOrder(changeOrder),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error cancelling change order:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel change order',
+    });
+  }
+}
+
+/**
+ * Get hours, labor and parts logged on a modification request against its estimate
+ */
+async function getModificationWorkSummary(req, res) {
+  try {
+    const { projectId } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id: parseInt(projectId) },
+      include: {
+        changeOrders: true,
+        projectLogs: {
+          include: {
+            employee: true,
+            serviceParts: {
+              include: { part: true },
+            },
+          },
+          orderBy: [{ logDate: 'asc' }, { createdAt: 'asc' }],
+        },
+      },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Modification request not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        projectId: project.id,
+        title: project.title,
+        status: project.status,
+        ...summarizeProjectWork(project),
+        logs: project.projectLogs.map((log) => ({
+          id: log.id.toString(),
+          employeeName: `${log.employee.firstName} ${log.employee.lastName}`,
+          logDate: log.logDate,
+          hoursLogged: Number(log.hoursLogged),
+          description: log.description,
+          parts: log.serviceParts.map((servicePart) => ({
+            partId: servicePart.partId,
+            partName: servicePart.part.name,
+            quantityUsed: servicePart.quantityUsed,
+            unitPrice: servicePart.part.unitPrice ? Number(servicePart.part.unitPrice) : null,
+          })),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching work summary:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch work summary',
+    });
+  }
+}
+
+/**
+ * Validate a milestone weight (defaults to 1)
+ */
+function parseMilestoneWeight(weight) {
+  if (weight === undefined || weight === null || weight === '') {
+    return 1;
+  }
+
+  const parsed = parseInt(weight);
+  return parsed > 0 && parsed <= 100 ? parsed : null;
+}
+
+/**
+ * Get the milestones and progress of a modification request
+ */
+async function getModificationMilestones(req, res) {
+  try {
+    const { projectId } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id: parseInt(projectId) },
+      include: { milestones: true },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Modification request not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...calculateProgress(project, project.milestones),
+        milestones: sortMilestones(project.milestones).map(formatMilestone),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching milestones:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch milestones',
+    });
+  }
+}
+
+/**
+ * Add a milestone to a modification request
+ */
+async function createModificationMilestone(req, res) {
+  try {
+    const { projectId } = req.params;
+    const { name, description, dueDate, weight, sortOrder } = req.body;
+
+    const parsedWeight = parseMilestoneWeight(weight);
+
+    if (!name || parsedWeight === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required and weight must be between 1 and 100',
+      });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: parseInt(projectId) },
+      include: {
+        _count: {
+          select: { milestones: true },
+        },
+      },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Modification request not found',
+      });
+    }
+
+    if (project.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot add milestones to a cancelled modification request',
+      });
+    }
+
+    const milestone = await prisma.projectMilestone.create({
+      data: {
+        projectId: project.id,
+        name,
+        description,
+        dueDate: dueDate ? new Date(dueDate) : null,
+        weight: parsedWeight,
+        // New milestones go to the end unless placed explicitly
+        sortOrder: sortOrder !== undefined ? parseInt(sortOrder) : project._count.milestones,
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Milestone added successfully',
+      data: formatMilestone(milestone),
+    });
+  } catch (error) {
+    console.error('Error creating milestone:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to add milestone',
+    });
+  }
+}
+
+/**
+ * Update a milestone, including marking it done
+ */
+async function updateModificationMilestone(req, res) {
+  try {
+    const { projectId, milestoneId } = req.params;
+    const { name, description, dueDate, weight, sortOrder, isDone } = req.body;
+
+    const milestone = await prisma.projectMilestone.findFirst({
+      where: {
+        id: parseInt(milestoneId),
+        projectId: parseInt(projectId),
+      },
+      include: {
+        project: {
+          include: { customer: true },
+        },
+      },
+    });
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Milestone not found',
+      });
+    }
+
+    const parsedWeight = weight !== undefined ? parseMilestoneWeight(weight) : milestone.weight;
+
+    if (parsedWeight === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weight must be between 1 and 100',
+      });
+    }
+
+    // Track when a milestone is completed (or reopened)
+    const done = isDone !== undefined ? parseBoolean(isDone) : milestone.isDone;
+
+    if (done === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'isDone must be true or false',
+      });
+    }
+
+    const completing = done && !milestone.isDone;
+
+    const updateData = {
+      name: name || milestone.name,
+      description: description !== undefined ? description : milestone.description,
+      dueDate: dueDate !== undefined ? (dueDate ? new Date(dueDate) : null) : milestone.dueDate,
+      weight: parsedWeight,
+      sortOrder: sortOrder !== undefined ? parseInt(sortOrder) : milestone.sortOrder,
+      isDone: done,
+      completedAt: done ? milestone.completedAt || new Date() : null,
+    };
+
+    const updatedMilestone = await prisma.projectMilestone.update({
+      where: { id: milestone.id },
+      data: updateData,
+    });
+
+    // Let the customer know the job has moved forward
+    if (completing) {
+      const milestones = await prisma.projectMilestone.findMany({
+        where: { projectId: milestone.projectId },
+      });
+      const { progress } = calculateProgress(milestone.project, milestones);
+
+      await prisma.notification.create({
+        data: {
+          userId: milestone.project.customer.userId,
+          title: 'Your modification has progressed',
+          message: `"${updatedMilestone.name}" is done on "${milestone.project.title}". Your project is now ${progress}% complete.`,
+          type: 'project_progress',
+          relatedEntityType: 'project',
+          relatedEntityId: milestone.projectId,
+        },
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Milestone updated successfully',
+      data: formatMilestone(updatedMilestone),
+    });
+  } catch (error) {
+    console.error('Error updating milestone:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update milestone',
+    });
+  }
+}
+
+/**
+ * Remove a milestone from a modification request
+ */
+async function deleteModificationMilestone(req, res) {
+  try {
+    const { projectId, milestoneId } = req.params;
+
+    const { count } = await prisma.projectMilestone.deleteMany({
+      where: {
+        id: parseInt(milestoneId),
+        projectId: parseInt(projectId),
+      },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Milestone not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Milestone deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting milestone:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete milestone',
+    });
+  }
+}
+
+/**
+ * Get a vehicle's odometer history
+ */
+async function getVehicleOdometerReadings(req, res) {
+  try {
+    const { vehicleId } = req.params;
+
+    const vehicle = await prisma.vehicle.findUnique({
+      where: { id: parseInt(vehicleId) },
+      include: { odometerReadings: true },
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: summarizeMileage(vehicle.odometerReadings),
+    });
+  } catch (error) {
+    console.error('Error fetching odometer readings:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch odometer readings',
+    });
+  }
+}
+
+/**
+ * Record an odometer reading, optionally overriding the no-rollback check
+ */
+async function recordVehicleOdometerReading(req, res) {
+  try {
+    const { vehicleId } = req.params;
+    const { reading, override, note } = req.body;
+
+    const isOverride = override !== undefined ? parseBoolean(override) : false;
+
+    if (isOverride === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'override must be true or false',
+      });
+    }
+
+    const vehicle = await prisma.vehicle.findUnique({
+      where: { id: parseInt(vehicleId) },
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found',
+      });
+    }
+
+    const odometerReading = await prisma.$transaction((tx) => recordOdometerReading(tx, vehicle, {
+      reading,
+      source: 'admin',
+      recordedBy: req.user.userId,
+      override: isOverride,
+      note,
+    }));
+
+    return res.status(201).json({
+      success: true,
+      message: 'Odometer reading recorded successfully',
+      data: formatOdometerReading(odometerReading),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error recording odometer reading:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record odometer reading',
+    });
+  }
+}
+
 module.exports = {
   getDashboardStats,
   getAllUsers,
@@ -872,4 +1496,16 @@ module.exports = {
   createEmployee,
   getAllModificationRequests,
   updateModificationStatus,
+  issueModificationQuote,
+  getModificationQuotes,
+  getModificationChangeOrders,
+  createModificationChangeOrder,
+  cancelModificationChangeOrder,
+  getModificationWorkSummary,
+  getModificationMilestones,
+  createModificationMilestone,
+  updateModificationMilestone,
+  deleteModificationMilestone,
+  getVehicleOdometerReadings,
+  recordVehicleOdometerReading,
 };
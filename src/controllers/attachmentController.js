@@ -0,0 +1,229 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const {
+  ATTACHMENT_CATEGORIES,
+  getVisibleVisibilities,
+  resolveAttachmentTarget,
+  getAttachmentTarget,
+} = require('../services/attachmentService');
+const {
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+} = require('../services/storageService');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Format an attachment for the response
+ */
+function formatAttachment(attachment) {
+  const { entityType, entityId } = getAttachmentTarget(attachment);
+
+  return {
+    id: attachment.id.toString(),
+    entityType,
+    entityId,
+    category: attachment.category,
+    visibility: attachment.visibility,
+    fileName: attachment.fileName,
+    contentType: attachment.contentType,
+    size: attachment.size,
+    caption: attachment.caption,
+    uploadedBy: attachment.uploadedBy,
+    downloadUrl: `/api/attachments/${attachment.id}/download`,
+    createdAt: attachment.createdAt,
+  };
+}
+
+/**
+ * Find an attachment the user is allowed to see
+ */
+async function findVisibleAttachment(user, attachmentId) {
+  const attachment = await prisma.attachment.findUnique({
+    where: { id: parseInt(attachmentId) },
+  });
+
+  if (!attachment || !getVisibleVisibilities(user.role).includes(attachment.visibility)) {
+    throw createHttpError(404, 'Attachment not found');
+  }
+
+  const { entityType, entityId } = getAttachmentTarget(attachment);
+  await resolveAttachmentTarget(prisma, user, entityType, entityId);
+
+  return attachment;
+}
+
+/**
+ * Send the error response for a failed attachment request
+ */
+function handleAttachmentError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+  });
+}
+
+/**
+ * Get the attachments of a project, appointment or service log visible to the user
+ */
+async function getAttachments(req, res) {
+  try {
+    const { entityType, entityId, category } = req.query;
+
+    const target = await resolveAttachmentTarget(prisma, req.user, entityType, parseInt(entityId));
+
+    const where = {
+      [target.field]: target.id,
+      visibility: { in: getVisibleVisibilities(req.user.role) },
+    };
+
+    if (category) {
+      where.category = category;
+    }
+
+    const attachments = await prisma.attachment.findMany({
+      where,
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: attachments.map(formatAttachment),
+    });
+  } catch (error) {
+    return handleAttachmentError(res, error, 'Failed to fetch attachments');
+  }
+}
+
+/**
+ * Upload an attachment to a project, appointment or service log
+ */
+async function createAttachment(req, res) {
+  try {
+    const { entityType, entityId, category = 'other', caption } = req.body;
+    let { visibility = 'customer' } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A file is required',
+      });
+    }
+
+    if (!ATTACHMENT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid category. Must be one of: ${ATTACHMENT_CATEGORIES.join(', ')}`,
+      });
+    }
+
+    // Customers' uploads are always visible to them, and nobody can pick a level they couldn't see
+    if (req.user.role === 'customer') {
+      visibility = 'customer';
+    }
+
+    if (!getVisibleVisibilities(req.user.role).includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid visibility. Must be one of: ${getVisibleVisibilities(req.user.role).join(', ')}`,
+      });
+    }
+
+    const target = await resolveAttachmentTarget(prisma, req.user, entityType, parseInt(entityId));
+
+    const storagePath = await uploadAttachment(req.file.buffer, req.file.originalname, req.file.mimetype);
+
+    let attachment;
+    try {
+      attachment = await prisma.attachment.create({
+        data: {
+          [target.field]: target.id,
+          category,
+          visibility,
+          fileName: req.file.originalname,
+          storagePath,
+          contentType: req.file.mimetype,
+          size: req.file.size,
+          caption,
+          uploadedBy: req.user.userId,
+        },
+      });
+    } catch (error) {
+      // Don't leave the uploaded file behind if the record can't be saved
+      await deleteAttachment(storagePath);
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: formatAttachment(attachment),
+    });
+  } catch (error) {
+    return handleAttachmentError(res, error, 'Failed to upload attachment');
+  }
+}
+
+/**
+ * Download an attachment
+ */
+async function downloadAttachmentFile(req, res) {
+  try {
+    const { attachmentId } = req.params;
+
+    const attachment = await findVisibleAttachment(req.user, attachmentId);
+    const file = await downloadAttachment(attachment.storagePath);
+
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment.fileName.replace(/"/g, '')}"`);
+    return res.status(200).send(file);
+  } catch (error) {
+    return handleAttachmentError(res, error, 'Failed to download attachment');
+  }
+}
+
+/**
+ * Delete an attachment (uploader or admin)
+ */
+async function removeAttachment(req, res) {
+  try {
+    const { attachmentId } = req.params;
+
+    const attachment = await findVisibleAttachment(req.user, attachmentId);
+
+    if (req.user.role !== 'admin' && attachment.uploadedBy !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the uploader or an admin can delete this attachment',
+      });
+    }
+
+    await prisma.attachment.delete({
+      where: { id: attachment.id },
+    });
+
+    await deleteAttachment(attachment.storagePath);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully',
+    });
+  } catch (error) {
+    return handleAttachmentError(res, error, 'Failed to delete attachment');
+  }
+}
+
+module.exports = {
+  getAttachments,
+  createAttachment,
+  downloadAttachmentFile,
+  removeAttachment,
+};
@@ -1,5 +1,12 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { consumePartStock, restorePartStock } = require('../services/inventoryService');
+const { completeAppointmentIfDone } = require('../services/invoiceService');
+const { WORKABLE_PROJECT_STATUSES } = require('../services/projectWorkService');
+const { recordOdometerReading } = require('../services/odometerService');
+const { createHttpError } = require('../utils/httpError');
+
+const SERVICE_STATUSES = ['not_started', 'in_progress', 'completed', 'on_hold'];
 
 /**
  * Get assigned services for the logged-in employee
@@ -379,7 +386,7 @@ async function updateServiceStatus(req, res) {
   try {
     const userId = req.user.userId;
     const { serviceId } = req.params;
-    const { status, progress, notes } = req.body;
+    const { status, progress, notes, odometer } = req.body;
 
     // Validate required fields
     if (!status) {
@@ -389,6 +396,13 @@ async function updateServiceStatus(req, res) {
       });
     }
 
+    if (!SERVICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${SERVICE_STATUSES.join(', ')}`,
+      });
+    }
+
     // Get employee ID
     const employee = await prisma.employee.findUnique({
       where: { userId },
@@ -407,6 +421,11 @@ async function updateServiceStatus(req, res) {
         id: parseInt(serviceId),
         employeeId: employee.id,
       },
+      include: {
+        appointment: {
+          include: { vehicle: true },
+        },
+      },
     });
 
     if (!serviceLog) {
@@ -416,6 +435,23 @@ async function updateServiceStatus(req, res) {
       });
     }
 
+    // Odometer is read when the car is taken in (work starts) or handed back (work completed)
+    const hasOdometer = odometer !== undefined && odometer !== null && odometer !== '';
+    let odometerSource = null;
+
+    if (serviceLog.status === 'not_started' && status === 'in_progress') {
+      odometerSource = 'check_in';
+    } else if (serviceLog.status !== 'completed' && status === 'completed') {
+      odometerSource = 'check_out';
+    }
+
+    if (hasOdometer && !odometerSource) {
+      return res.status(400).json({
+        success: false,
+        error: 'An odometer reading can only be recorded when work starts or is completed',
+      });
+    }
+
     // Prepare update data
     const updateData = {
       status,
@@ -443,12 +479,33 @@ async function updateServiceStatus(req, res) {
       updateData.progressPercentage = 100;
     }
 
-    // Update service log
-    const updatedServiceLog = await prisma.serviceLog.update({
-      where: { id: parseInt(serviceId) },
-      data: updateData,
+    // Update service log, keeping the reading only if the update is saved
+    const updatedServiceLog = await prisma.$transaction(async (tx) => {
+      if (hasOdometer) {
+        await recordOdometerReading(tx, serviceLog.appointment.vehicle, {
+          reading: odometer,
+          source: odometerSource,
+          appointmentId: serviceLog.appointmentId,
+          recordedBy: userId,
+        });
+      }
+
+      return tx.serviceLog.update({
+        where: { id: parseInt(serviceId) },
+        data: updateData,
+      });
     });
 
+    // Complete the appointment and bill the customer once all work is done
+    let invoice = null;
+    if (status === 'completed') {
+      try {
+        invoice = await completeAppointmentIfDone(prisma, serviceLog.appointmentId);
+      } catch (invoiceError) {
+        console.error('Error generating invoice:', invoiceError);
+      }
+    }
+
     return res.status(200).json({
       success: true,
       message: 'Service status updated successfully',
@@ -457,9 +514,17 @@ async function updateServiceStatus(req, res) {
         status: updatedServiceLog.status,
         progress: updatedServiceLog.progressPercentage,
         notes: updatedServiceLog.notes,
+        invoiceNumber: invoice?.invoiceNumber || null,
       },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     console.error('Error updating service status:', error);
     return res.status(500).json({
       success: false,
@@ -468,10 +533,771 @@ async function updateServiceStatus(req, res) {
   }
 }
 
+/**
+ * Format a service part entry for the response
+ */
+function formatServicePart(servicePart) {
+  return {
+    id: servicePart.id.toString(),
+    partId: servicePart.partId,
+    partName: servicePart.part.name,
+    partNumber: servicePart.part.partNumber,
+    quantityUsed: servicePart.quantityUsed,
+    unitPrice: servicePart.part.unitPrice ? Number(servicePart.part.unitPrice) : null,
+    remainingStock: servicePart.part.quantityInStock,
+    createdAt: servicePart.createdAt,
+  };
+}
+
+/**
+ * Get parts used on a service
+ */
+async function getServiceParts(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { serviceId } = req.params;
+
+    // Get employee ID
+    const employee = await prisma.employee.findUnique({
+      where: { userId },
+    });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee profile not found',
+      });
+    }
+
+    // Verify the service log belongs to this employee
+    const serviceLog = await prisma.serviceLog.findFirst({
+      where: {
+        id: parseInt(serviceId),
+        employeeId: employee.id,
+      },
+    });
+
+    if (!serviceLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found or not assigned to you',
+      });
+    }
+
+    const serviceParts = await prisma.servicePart.findMany({
+      where: { serviceLogId: serviceLog.id },
+      include: { part: true },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: serviceParts.map(formatServicePart),
+    });
+  } catch (error) {
+    console.error('Error fetching service parts:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch service parts',
+    });
+  }
+}
+
+/**
+ * Record parts used on a service (decrements stock)
+ */
+async function addServicePart(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { serviceId } = req.params;
+    const { partId, quantity } = req.body;
+
+    const quantityUsed = parseInt(quantity);
+
+    // Validate required fields
+    if (!partId || !quantityUsed || quantityUsed <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Part ID and a positive quantity are required',
+      });
+    }
+
+    // Get employee ID
+    const employee = await prisma.employee.findUnique({
+      where: { userId },
+    });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee profile not found',
+      });
+    }
+
+    // Verify the service log belongs to this employee
+    const serviceLog = await prisma.serviceLog.findFirst({
+      where: {
+        id: parseInt(serviceId),
+        employeeId: employee.id,
+      },
+    });
+
+    if (!serviceLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found or not assigned to you',
+      });
+    }
+
+    if (serviceLog.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Parts cannot be changed on a completed service',
+      });
+    }
+
+    // Archived parts can no longer be used
+    const part = await prisma.part.findUnique({
+      where: { id: parseInt(partId) },
+    });
+
+    if (!part || !part.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Part not found',
+      });
+    }
+
+    // Record usage and decrement stock in a single transaction
+    const servicePart = await prisma.$transaction(async (tx) => {
+      const created = await tx.servicePart.create({
+        data: {
+          serviceLogId: serviceLog.id,
+          partId: part.id,
+          quantityUsed,
+        },
+      });
+
+      await consumePartStock(tx, part.id, quantityUsed, {
+        userId,
+        servicePartId: created.id,
+        serviceLogId: serviceLog.id,
+        reason: `Used on service #${serviceLog.id}`,
+      });
+
+      return tx.servicePart.findUnique({
+        where: { id: created.id },
+        include: { part: true },
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Part usage recorded successfully',
+      data: formatServicePart(servicePart),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error recording part usage:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record part usage',
+    });
+  }
+}
+
+/**
+ * Reverse a part usage entry (restores stock)
+ */
+async function removeServicePart(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { serviceId, servicePartId } = req.params;
+
+    // Get employee ID
+    const employee = await prisma.employee.findUnique({
+      where: { userId },
+    });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee profile not found',
+      });
+    }
+
+    // Verify the usage entry belongs to a service assigned to this employee
+    const servicePart = await prisma.servicePart.findFirst({
+      where: {
+        id: parseInt(servicePartId),
+        serviceLogId: parseInt(serviceId),
+        serviceLog: {
+          employeeId: employee.id,
+        },
+      },
+      include: { serviceLog: true },
+    });
+
+    if (!servicePart) {
+      return res.status(404).json({
+        success: false,
+        error: 'Part usage entry not found',
+      });
+    }
+
+    if (servicePart.serviceLog.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Parts cannot be changed on a completed service',
+      });
+    }
+
+    // Restore stock and remove the entry in a single transaction
+    const part = await prisma.$transaction(async (tx) => {
+      const restoredPart = await restorePartStock(tx, servicePart.partId, servicePart.quantityUsed, {
+        userId,
+        servicePartId: servicePart.id,
+        serviceLogId: servicePart.serviceLogId,
+        reason: `Reversed usage on service #${servicePart.serviceLogId}`,
+      });
+
+      await tx.servicePart.delete({
+        where: { id: servicePart.id },
+      });
+
+      return restoredPart;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Part usage reversed successfully',
+      data: {
+        partId: part.id,
+        quantityRestored: servicePart.quantityUsed,
+        quantityInStock: part.quantityInStock,
+      },
+    });
+  } catch (error) {
+    console.error('Error reversing part usage:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reverse part usage',
+    });
+  }
+}
+
+const projectLogInclude = {
+  project: {
+    select: {
+      title: true,
+      status: true,
+    },
+  },
+  serviceParts: {
+    include: { part: true },
+    orderBy: { createdAt: 'asc' },
+  },
+};
+
+/**
+ * Format a project log entry for the response
+ */
+function formatProjectLog(projectLog) {
+  return {
+    id: projectLog.id.toString(),
+    projectId: projectLog.projectId,
+    projectTitle: projectLog.project?.title,
+    logDate: projectLog.logDate,
+    hoursLogged: Number(projectLog.hoursLogged),
+    description: projectLog.description,
+    parts: projectLog.serviceParts.map(formatServicePart),
+    createdAt: projectLog.createdAt,
+  };
+}
+
+/**
+ * Get modification projects that are open for work
+ */
+async function getActiveProjects(req, res) {
+  try {
+    const userId = req.user.userId;
+
+    // Get employee ID
+    const employee = await prisma.employee.findUnique({
+      where: { userId },
+    });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee profile not found',
+      });
+    }
+
+    const projects = await prisma.project.findMany({
+      where: {
+        status: { in: WORKABLE_PROJECT_STATUSES },
+      },
+      include: {
+        vehicle: {
+          select: {
+            make: true,
+            model: true,
+            year: true,
+            licensePlate: true,
+          },
+        },
+        projectLogs: {
+          select: {
+            employeeId: true,
+            hoursLogged: true,
+          },
+        },
+      },
+      orderBy: [{ priority: 'desc' }, { approvedAt: 'asc' }],
+    });
+
+    const formattedProjects = projects.map((project) => ({
+      id: project.id.toString(),
+      title: project.title,
+      description: project.description,
+      projectType: project.projectType,
+      vehicleName: `${project.vehicle.year} ${project.vehicle.make} ${project.vehicle.model}`,
+      licensePlate: project.vehicle.licensePlate,
+      status: project.status,
+      priority: project.priority,
+      startDate: project.startDate,
+      totalHours: project.projectLogs.reduce((sum, log) => sum + Number(log.hoursLogged), 0),
+      myHours: project.projectLogs
+        .filter((log) => log.employeeId === employee.id)
+        .reduce((sum, log) => sum + Number(log.hoursLogged), 0),
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: formattedProjects,
+    });
+  } catch (error) {
+    console.error('Error fetching active projects:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch active projects',
+    });
+  }
+}
+
+/**
+ * Get the employee's own project work logs
+ */
+async function getProjectLogs(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { projectId } = req.query;
+
+    // Get employee ID
+    const employee = await prisma.employee.findUnique({
+      where: { userId },
+    });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee profile not found',
+      });
+    }
+
+    const where = { employeeId: employee.id };
+
+    if (projectId) {
+      where.projectId = parseInt(projectId);
+    }
+
+    const projectLogs = await prisma.projectLog.findMany({
+      where,
+      include: projectLogInclude,
+      orderBy: [{ logDate: 'desc' }, { createdAt: 'desc' }],
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: projectLogs.map(formatProjectLog),
+    });
+  } catch (error) {
+    console.error('Error fetching project logs:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project logs',
+    });
+  }
+}
+
+/**
+ * Log hours (and optionally parts) worked on a modification project
+ */
+async function createProjectLog(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { projectId, hours, description, date, parts = [] } = req.body;
+
+    const hoursLogged = parseFloat(hours);
+
+    // Validate required fields
+    if (!projectId || !description || !hoursLogged || hoursLogged <= 0 || hoursLogged > 24) {
+      return res.status(400).json({
+        success: false,
+        error: 'Project ID, description and hours between 0 and 24 are required',
+      });
+    }
+
+    if (!Array.isArray(parts) || parts.some((item) => !item.partId || !(parseInt(item.quantity) > 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each part needs a part ID and a positive quantity',
+      });
+    }
+
+    // Get employee ID
+    const employee = await prisma.employee.findUnique({
+      where: { userId },
+    });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee profile not found',
+      });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: parseInt(projectId) },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Modification request not found',
+      });
+    }
+
+    if (!WORKABLE_PROJECT_STATUSES.includes(project.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Work cannot be logged on a modification request that is ${project.status}`,
+      });
+    }
+
+    // Record the log, its parts and the stock usage in a single transaction
+    const projectLog = await prisma.$transaction(async (tx) => {
+      const created = await tx.projectLog.create({
+        data: {
+          projectId: project.id,
+          employeeId: employee.id,
+          logDate: date ? new Date(date) : new Date(),
+          hoursLogged,
+          description,
+        },
+      });
+
+      for (const item of parts) {
+        const part = await tx.part.findUnique({
+          where: { id: parseInt(item.partId) },
+        });
+
+        if (!part || !part.isActive) {
+          throw createHttpError(404, `Part ${item.partId} not found`);
+        }
+
+        const servicePart = await tx.servicePart.create({
+          data: {
+            projectLogId: created.id,
+            partId: part.id,
+            quantityUsed: parseInt(item.quantity),
+          },
+        });
+
+        await consumePartStock(tx, part.id, servicePart.quantityUsed, {
+          userId,
+          servicePartId: servicePart.id,
+          projectId: project.id,
+          reason: `Used on project #${project.id}`,
+        });
+      }
+
+      // The first logged work starts an approved project
+      if (project.status === 'approved') {
+        await tx.project.update({
+          where: { id: project.id },
+          data: {
+            status: 'in_progress',
+            startDate: project.startDate || new Date(),
+          },
+        });
+      }
+
+      return tx.projectLog.findUnique({
+        where: { id: created.id },
+        include: projectLogInclude,
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Project work logged successfully',
+      data: formatProjectLog(projectLog),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error logging project work:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to log project work',
+    });
+  }
+}
+
+/**
+ * Find a project log owned by the employee that can still be changed
+ */
+async function findEditableProjectLog(userId, logId) {
+  const employee = await prisma.employee.findUnique({
+    where: { userId },
+  });
+
+  if (!employee) {
+    throw createHttpError(404, 'Employee profile not found');
+  }
+
+  const projectLog = await prisma.projectLog.findFirst({
+    where: {
+      id: parseInt(logId),
+      employeeId: employee.id,
+    },
+    include: {
+      project: true,
+      serviceParts: true,
+    },
+  });
+
+  if (!projectLog) {
+    throw createHttpError(404, 'Project log not found');
+  }
+
+  if (!WORKABLE_PROJECT_STATUSES.includes(projectLog.project.status)) {
+    throw createHttpError(400, `Logs cannot be changed on a modification request that is ${projectLog.project.status}`);
+  }
+
+  return projectLog;
+}
+
+/**
+ * Delete a project log (restores stock for any parts on it)
+ */
+async function deleteProjectLog(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { logId } = req.params;
+
+    const projectLog = await findEditableProjectLog(userId, logId);
+
+    await prisma.$transaction(async (tx) => {
+      for (const servicePart of projectLog.serviceParts) {
+        await restorePartStock(tx, servicePart.partId, servicePart.quantityUsed, {
+          userId,
+          servicePartId: servicePart.id,
+          projectId: projectLog.projectId,
+          reason: `Reversed usage on project #${projectLog.projectId}`,
+        });
+      }
+
+      await tx.projectLog.delete({
+        where: { id: projectLog.id },
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Project log deleted successfully',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error deleting project log:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete project log',
+    });
+  }
+}
+
+/**
+ * Record parts used on a project log (decrements stock)
+ */
+async function addProjectLogPart(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { logId } = req.params;
+    const { partId, quantity } = req.body;
+
+    const quantityUsed = parseInt(quantity);
+
+    // Validate required fields
+    if (!partId || !quantityUsed || quantityUsed <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Part ID and a positive quantity are required',
+      });
+    }
+
+    const projectLog = await findEditableProjectLog(userId, logId);
+
+    // Archived parts can no longer be used
+    const part = await prisma.part.findUnique({
+      where: { id: parseInt(partId) },
+    });
+
+    if (!part || !part.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Part not found',
+      });
+    }
+
+    // Record usage and decrement stock in a single transaction
+    const servicePart = await prisma.$transaction(async (tx) => {
+      const created = await tx.servicePart.create({
+        data: {
+          projectLogId: projectLog.id,
+          partId: part.id,
+          quantityUsed,
+        },
+      });
+
+      await consumePartStock(tx, part.id, quantityUsed, {
+        userId,
+        servicePartId: created.id,
+        projectId: projectLog.projectId,
+        reason: `Used on project #${projectLog.projectId}`,
+      });
+
+      return tx.servicePart.findUnique({
+        where: { id: created.id },
+        include: { part: true },
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Part usage recorded successfully',
+      data: formatServicePart(servicePart),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error recording project part usage:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record part usage',
+    });
+  }
+}
+
+/**
+ * Reverse a part usage entry on a project log (restores stock)
+ */
+async function removeProjectLogPart(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { logId, servicePartId } = req.params;
+
+    const projectLog = await findEditableProjectLog(userId, logId);
+
+    const servicePart = projectLog.serviceParts.find(
+      (entry) => entry.id === parseInt(servicePartId)
+    );
+
+    if (!servicePart) {
+      return res.status(404).json({
+        success: false,
+        error: 'Part usage entry not found',
+      });
+    }
+
+    // Restore stock and remove the entry in a single transaction
+    const part = await prisma.$transaction(async (tx) => {
+      const restoredPart = await restorePartStock(tx, servicePart.partId, servicePart.quantityUsed, {
+        userId,
+        servicePartId: servicePart.id,
+        projectId: projectLog.projectId,
+        reason: `Reversed usage on project #${projectLog.projectId}`,
+      });
+
+      await tx.servicePart.delete({
+        where: { id: servicePart.id },
+      });
+
+      return restoredPart;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Part usage reversed successfully',
+      data: {
+        partId: part.id,
+        quantityRestored: servicePart.quantityUsed,
+        quantityInStock: part.quantityInStock,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error reversing project part usage:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reverse part usage',
+    });
+  }
+}
+
 module.exports = {
   getAssignedServices,
   getUpcomingAppointments,
   logTime,
   getTimeLogs,
   updateServiceStatus,
+  getServiceParts,
+  addServicePart,
+  removeServicePart,
+  getActiveProjects,
+  getProjectLogs,
+  createProjectLog,
+  deleteProjectLog,
+  addProjectLogPart,
+  removeProjectLogPart,
 };
@@ -0,0 +1,89 @@
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { PUBLIC_BUCKETS, VEHICLE_IMAGE_BUCKET, downloadPublicFile } = require('../services/storageService');
+
+/**
+ * Check whether a user may see a vehicle image.
+ * Staff can see every vehicle; customers only their own.
+ */
+async function canViewVehicleImage(user, key) {
+  if (user.role === 'admin' || user.role === 'employee') {
+    return true;
+  }
+
+  const suffix = `/${encodeURIComponent(key)}`;
+  const vehicle = await prisma.vehicle.findFirst({
+    where: {
+      customer: { userId: user.userId },
+      OR: [
+        { exteriorImage1: { endsWith: suffix } },
+        { exteriorImage2: { endsWith: suffix } },
+        { interiorImage: { endsWith: suffix } },
+        { exteriorImage1Thumb: { endsWith: suffix } },
+        { exteriorImage2Thumb: { endsWith: suffix } },
+        { interiorImageThumb: { endsWith: suffix } },
+        {
+          galleryImages: {
+            some: {
+              OR: [
+                { url: { endsWith: suffix } },
+                { thumbnailUrl: { endsWith: suffix } },
+              ],
+            },
+          },
+        },
+      ],
+    },
+    select: { id: true },
+  });
+
+  return Boolean(vehicle);
+}
+
+/**
+ * Serve a file from a public bucket (local storage driver URLs)
+ */
+async function downloadFile(req, res) {
+  try {
+    const { bucket, key } = req.params;
+
+    // Private buckets (attachments) are only served through their own routes
+    if (!PUBLIC_BUCKETS.includes(bucket)) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+      });
+    }
+
+    if (bucket === VEHICLE_IMAGE_BUCKET && !(await canViewVehicleImage(req.user, key))) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+      });
+    }
+
+    const file = await downloadPublicFile(bucket, key);
+
+    res.type(path.extname(key) || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    return res.status(200).send(file);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error downloading file:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to download file',
+    });
+  }
+}
+
+module.exports = {
+  downloadFile,
+};
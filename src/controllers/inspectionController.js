@@ -0,0 +1,646 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const {
+  formatInspectionTemplate,
+  validateTemplateItems,
+  formatInspection,
+  startInspection,
+  recordInspectionResult,
+  completeInspection,
+  decideRecommendedRepair,
+} = require('../services/inspectionService');
+const { uploadAttachment, deleteAttachment } = require('../services/storageService');
+const { parseBoolean } = require('../utils/boolean');
+const { createHttpError } = require('../utils/httpError');
+
+const TEMPLATE_INCLUDE = {
+  items: { include: { service: true } },
+};
+
+const INSPECTION_INCLUDE = {
+  serviceLog: {
+    include: {
+      appointment: {
+        include: {
+          customer: true,
+          vehicle: true,
+        },
+      },
+    },
+  },
+  results: { include: { attachments: true } },
+};
+
+/**
+ * Send the error response for a failed inspection request
+ */
+function handleInspectionError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+  });
+}
+
+/**
+ * Check that the catalog services linked to template items exist
+ */
+async function checkLinkedServices(items) {
+  const serviceIds = [...new Set(items.map((item) => item.serviceId).filter(Boolean))];
+
+  if (serviceIds.length === 0) {
+    return;
+  }
+
+  const count = await prisma.service.count({
+    where: { id: { in: serviceIds } },
+  });
+
+  if (count !== serviceIds.length) {
+    throw createHttpError(404, 'Service not found');
+  }
+}
+
+/**
+ * Find the employee profile of the authenticated user
+ */
+async function findEmployee(userId) {
+  const employee = await prisma.employee.findUnique({
+    where: { userId },
+  });
+
+  if (!employee) {
+    throw createHttpError(404, 'Employee profile not found');
+  }
+
+  return employee;
+}
+
+/**
+ * Find an inspection of a service log assigned to the authenticated employee
+ */
+async function findEmployeeInspection(userId, inspectionId) {
+  const employee = await findEmployee(userId);
+
+  const inspection = await prisma.inspection.findFirst({
+    where: {
+      id: parseInt(inspectionId),
+      serviceLog: { employeeId: employee.id },
+    },
+    include: INSPECTION_INCLUDE,
+  });
+
+  if (!inspection) {
+    throw createHttpError(404, 'Inspection not found or not assigned to you');
+  }
+
+  return inspection;
+}
+
+/**
+ * Find a completed inspection of one of the customer's appointments,
+ * or any inspection if the user is an admin
+ */
+async function findVisibleInspection(user, inspectionId) {
+  const where = { id: parseInt(inspectionId) };
+
+  if (user.role !== 'admin') {
+    const customer = await prisma.customer.findUnique({
+      where: { userId: user.userId },
+    });
+
+    if (!customer) {
+      throw createHttpError(404, 'Customer profile not found');
+    }
+
+    where.status = 'completed';
+    where.serviceLog = { appointment: { customerId: customer.id } };
+  }
+
+  const inspection = await prisma.inspection.findFirst({
+    where,
+    include: INSPECTION_INCLUDE,
+  });
+
+  if (!inspection) {
+    throw createHttpError(404, 'Inspection not found');
+  }
+
+  return inspection;
+}
+
+/**
+ * Look up one item of an inspection
+ */
+function findInspectionResult(inspection, resultId) {
+  const result = inspection.results.find((entry) => entry.id === parseInt(resultId));
+
+  if (!result) {
+    throw createHttpError(404, 'Inspection item not found');
+  }
+
+  return result;
+}
+
+/**
+ * Get inspection templates (employees only see active ones)
+ */
+async function getInspectionTemplates(req, res) {
+  try {
+    const { includeInactive } = req.query;
+
+    const where = {};
+
+    if (req.user.role !== 'admin' || includeInactive !== 'true') {
+      where.isActive = true;
+    }
+
+    const templates = await prisma.inspectionTemplate.findMany({
+      where,
+      include: TEMPLATE_INCLUDE,
+      orderBy: { name: 'asc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: templates.map(formatInspectionTemplate),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to fetch inspection templates');
+  }
+}
+
+/**
+ * Create an inspection template with its items
+ */
+async function createInspectionTemplate(req, res) {
+  try {
+    const { name, description, items } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required',
+      });
+    }
+
+    const templateItems = validateTemplateItems(items);
+    await checkLinkedServices(templateItems);
+
+    const template = await prisma.inspectionTemplate.create({
+      data: {
+        name,
+        description,
+        items: { create: templateItems },
+      },
+      include: TEMPLATE_INCLUDE,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Inspection template created successfully',
+      data: formatInspectionTemplate(template),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to create inspection template');
+  }
+}
+
+/**
+ * Update an inspection template. Sending items replaces all of them;
+ * inspections already started keep the items they were started with.
+ */
+async function updateInspectionTemplate(req, res) {
+  try {
+    const { templateId } = req.params;
+    const { name, description, isActive, items } = req.body;
+
+    const active = isActive !== undefined ? parseBoolean(isActive) : undefined;
+
+    if (active === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive must be true or false',
+      });
+    }
+
+    const template = await prisma.inspectionTemplate.findUnique({
+      where: { id: parseInt(templateId) },
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection template not found',
+      });
+    }
+
+    const templateItems = items !== undefined ? validateTemplateItems(items) : null;
+    if (templateItems) {
+      await checkLinkedServices(templateItems);
+    }
+
+    const updatedTemplate = await prisma.$transaction(async (tx) => {
+      if (templateItems) {
+        await tx.inspectionTemplateItem.deleteMany({
+          where: { templateId: template.id },
+        });
+      }
+
+      return tx.inspectionTemplate.update({
+        where: { id: template.id },
+        data: {
+          name: name || template.name,
+          description: description !== undefined ? description : template.description,
+          isActive: active !== undefined ? active : template.isActive,
+          items: templateItems ? { create: templateItems } : undefined,
+        },
+        include: TEMPLATE_INCLUDE,
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Inspection template updated successfully',
+      data: formatInspectionTemplate(updatedTemplate),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to update inspection template');
+  }
+}
+
+/**
+ * Delete an inspection template (past inspections are kept)
+ */
+async function deleteInspectionTemplate(req, res) {
+  try {
+    const { templateId } = req.params;
+
+    const { count } = await prisma.inspectionTemplate.deleteMany({
+      where: { id: parseInt(templateId) },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection template not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Inspection template deleted successfully',
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to delete inspection template');
+  }
+}
+
+/**
+ * Start the inspection of an assigned service from a template
+ */
+async function startServiceInspection(req, res) {
+  try {
+    const { serviceId } = req.params;
+    const { templateId } = req.body;
+
+    if (!templateId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template is required',
+      });
+    }
+
+    const employee = await findEmployee(req.user.userId);
+
+    const serviceLog = await prisma.serviceLog.findFirst({
+      where: {
+        id: parseInt(serviceId),
+        employeeId: employee.id,
+      },
+    });
+
+    if (!serviceLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found or not assigned to you',
+      });
+    }
+
+    const template = await prisma.inspectionTemplate.findUnique({
+      where: { id: parseInt(templateId) },
+      include: { items: true },
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection template not found',
+      });
+    }
+
+    const inspection = await startInspection(prisma, serviceLog, template);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Inspection started',
+      data: formatInspection(inspection, req.user.role),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to start inspection');
+  }
+}
+
+/**
+ * Get the inspection of an assigned service
+ */
+async function getServiceInspection(req, res) {
+  try {
+    const { serviceId } = req.params;
+
+    const employee = await findEmployee(req.user.userId);
+
+    const inspection = await prisma.inspection.findFirst({
+      where: {
+        serviceLogId: parseInt(serviceId),
+        serviceLog: { employeeId: employee.id },
+      },
+      include: INSPECTION_INCLUDE,
+    });
+
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        error: 'No inspection for this service',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatInspection(inspection, req.user.role),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to fetch inspection');
+  }
+}
+
+/**
+ * Record the result, measurement and recommendation of an inspection item
+ */
+async function updateInspectionResult(req, res) {
+  try {
+    const { inspectionId, resultId } = req.params;
+    const { result, measurement, notes, recommendation, estimatedCost } = req.body;
+
+    const inspection = await findEmployeeInspection(req.user.userId, inspectionId);
+    const inspectionResult = findInspectionResult(inspection, resultId);
+
+    await recordInspectionResult(prisma, inspection, inspectionResult, {
+      result,
+      measurement,
+      notes,
+      recommendation,
+      estimatedCost,
+    });
+
+    const updatedInspection = await prisma.inspection.findUnique({
+      where: { id: inspection.id },
+      include: INSPECTION_INCLUDE,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Inspection item updated',
+      data: formatInspection(updatedInspection, req.user.role),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to update inspection item');
+  }
+}
+
+/**
+ * Add a photo to an inspection item (multipart field "photo").
+ * Photos are stored as attachments of the service log, so the customer
+ * can download them like any other job photo.
+ */
+async function addInspectionPhoto(req, res) {
+  try {
+    const { inspectionId, resultId } = req.params;
+    const { caption, visibility = 'customer' } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A photo is required',
+      });
+    }
+
+    if (!['customer', 'staff'].includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid visibility. Must be one of: customer, staff',
+      });
+    }
+
+    const inspection = await findEmployeeInspection(req.user.userId, inspectionId);
+    const inspectionResult = findInspectionResult(inspection, resultId);
+
+    const storagePath = await uploadAttachment(req.file.buffer, req.file.originalname, req.file.mimetype);
+
+    try {
+      await prisma.attachment.create({
+        data: {
+          serviceLogId: inspection.serviceLogId,
+          inspectionResultId: inspectionResult.id,
+          category: 'diagnostic',
+          visibility,
+          fileName: req.file.originalname,
+          storagePath,
+          contentType: req.file.mimetype,
+          size: req.file.size,
+          caption: caption || inspectionResult.label,
+          uploadedBy: req.user.userId,
+        },
+      });
+    } catch (error) {
+      // Don't leave the uploaded file behind if the record can't be saved
+      await deleteAttachment(storagePath);
+      throw error;
+    }
+
+    const updatedInspection = await prisma.inspection.findUnique({
+      where: { id: inspection.id },
+      include: INSPECTION_INCLUDE,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Photo added successfully',
+      data: formatInspection(updatedInspection, req.user.role),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to add inspection photo');
+  }
+}
+
+/**
+ * Complete an inspection and send the report to the customer
+ */
+async function completeServiceInspection(req, res) {
+  try {
+    const { inspectionId } = req.params;
+    const { summary } = req.body;
+
+    const inspection = await findEmployeeInspection(req.user.userId, inspectionId);
+    const completed = await completeInspection(prisma, inspection, { summary });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Inspection completed and sent to the customer',
+      data: formatInspection(completed, req.user.role),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to complete inspection');
+  }
+}
+
+/**
+ * Get the customer's completed inspections (filter by appointment or vehicle)
+ */
+async function getCustomerInspections(req, res) {
+  try {
+    const { appointmentId, vehicleId } = req.query;
+
+    const customer = await prisma.customer.findUnique({
+      where: { userId: req.user.userId },
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer profile not found',
+      });
+    }
+
+    const appointmentWhere = { customerId: customer.id };
+
+    if (appointmentId) {
+      appointmentWhere.id = parseInt(appointmentId);
+    }
+
+    if (vehicleId) {
+      appointmentWhere.vehicleId = parseInt(vehicleId);
+    }
+
+    const inspections = await prisma.inspection.findMany({
+      where: {
+        status: 'completed',
+        serviceLog: { appointment: appointmentWhere },
+      },
+      include: INSPECTION_INCLUDE,
+      orderBy: { completedAt: 'desc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: inspections.map((inspection) => formatInspection(inspection, req.user.role)),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to fetch inspections');
+  }
+}
+
+/**
+ * Get an inspection report (owner of the appointment or admin)
+ */
+async function getInspectionById(req, res) {
+  try {
+    const { inspectionId } = req.params;
+
+    const inspection = await findVisibleInspection(req.user, inspectionId);
+
+    return res.status(200).json({
+      success: true,
+      data: formatInspection(inspection, req.user.role),
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to fetch inspection');
+  }
+}
+
+/**
+ * Approve or decline a recommended repair. Approved repairs are booked as an
+ * appointment or sent to the workshop as a modification request to quote.
+ */
+async function decideInspectionRepair(req, res) {
+  try {
+    const { inspectionId, resultId } = req.params;
+    const { decision, followUpType, preferredDate, preferredTime } = req.body;
+
+    if (!decision) {
+      return res.status(400).json({
+        success: false,
+        error: 'Decision is required',
+      });
+    }
+
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the customer can decide on recommended repairs',
+      });
+    }
+
+    const inspection = await findVisibleInspection(req.user, inspectionId);
+    const inspectionResult = findInspectionResult(inspection, resultId);
+
+    const updatedResult = await decideRecommendedRepair(prisma, inspection, inspectionResult, {
+      decision,
+      followUpType,
+      scheduledDate: preferredDate ? new Date(`${preferredDate}T${preferredTime || '09:00'}`) : undefined,
+    });
+
+    let message = 'Repair declined';
+    if (updatedResult.appointmentId) {
+      message = 'Repair approved and booked';
+    } else if (updatedResult.projectId) {
+      message = 'Repair approved. We will send you a quote';
+    }
+
+    return res.status(200).json({
+      success: true,
+      message,
+      data: {
+        id: updatedResult.id.toString(),
+        customerDecision: updatedResult.customerDecision,
+        decidedAt: updatedResult.decidedAt,
+        appointmentId: updatedResult.appointmentId,
+        projectId: updatedResult.projectId,
+      },
+    });
+  } catch (error) {
+    return handleInspectionError(res, error, 'Failed to record repair decision');
+  }
+}
+
+module.exports = {
+  getInspectionTemplates,
+  createInspectionTemplate,
+  updateInspectionTemplate,
+  deleteInspectionTemplate,
+  startServiceInspection,
+  getServiceInspection,
+  updateInspectionResult,
+  addInspectionPhoto,
+  completeServiceInspection,
+  getCustomerInspections,
+  getInspectionById,
+  decideInspectionRepair,
+};
@@ -0,0 +1,334 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { generateInvoiceForAppointment } = require('../services/invoiceService');
+const { summarizeInvoiceBalance } = require('../services/paymentService');
+const { renderInvoicePdf } = require('../services/pdfService');
+const { parseBoolean } = require('../utils/boolean');
+const { createHttpError } = require('../utils/httpError');
+
+const invoiceInclude = {
+  items: {
+    orderBy: { id: 'asc' },
+  },
+  payments: {
+    orderBy: { paidAt: 'asc' },
+  },
+  customer: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+    },
+  },
+  appointment: {
+    select: {
+      id: true,
+      scheduledDate: true,
+      service: {
+        select: {
+          name: true,
+        },
+      },
+      vehicle: {
+        select: {
+          make: true,
+          model: true,
+          year: true,
+          licensePlate: true,
+          vin: true,
+          color: true,
+          mileage: true,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Format an invoice for the response
+ */
+function formatInvoice(invoice) {
+  const { appointment, customer } = invoice;
+  const { amountPaid, balanceDue } = summarizeInvoiceBalance(invoice);
+
+  return {
+    id: invoice.id.toString(),
+    invoiceNumber: invoice.invoiceNumber,
+    appointmentId: invoice.appointmentId,
+    customerId: invoice.customerId,
+    customerName: `${customer.firstName} ${customer.lastName}`,
+    vehicleName: `${appointment.vehicle.year} ${appointment.vehicle.make} ${appointment.vehicle.model}`,
+    licensePlate: appointment.vehicle.licensePlate,
+    vehicle: appointment.vehicle,
+    serviceType: appointment.service?.name || 'General Service',
+    serviceDate: appointment.scheduledDate,
+    status: invoice.status,
+    items: invoice.items.map((item) => ({
+      id: item.id.toString(),
+      type: item.itemType,
+      description: item.description,
+      quantity: Number(item.quantity),
+      unitPrice: Number(item.unitPrice),
+      amount: Number(item.amount),
+    })),
+    subtotal: Number(invoice.subtotal),
+    taxRate: Number(invoice.taxRate),
+    taxAmount: Number(invoice.taxAmount),
+    total: Number(invoice.total),
+    amountPaid,
+    balanceDue,
+    issuedAt: invoice.issuedAt,
+  };
+}
+
+/**
+ * Find the invoice for an appointment, restricted to the customer's own
+ * appointments unless the user is an admin
+ */
+async function findAppointmentInvoice(user, appointmentId) {
+  const where = { appointmentId: parseInt(appointmentId) };
+
+  if (user.role !== 'admin') {
+    const customer = await prisma.customer.findUnique({
+      where: { userId: user.userId },
+    });
+
+    if (!customer) {
+      throw createHttpError(404, 'Customer profile not found');
+    }
+
+    where.customerId = customer.id;
+  }
+
+  const invoice = await prisma.invoice.findFirst({
+    where,
+    include: invoiceInclude,
+  });
+
+  if (!invoice) {
+    throw createHttpError(404, 'Invoice not found');
+  }
+
+  return invoice;
+}
+
+/**
+ * Send an invoice as a PDF download
+ */
+async function sendInvoicePdf(res, invoice) {
+  const pdf = await renderInvoicePdf(formatInvoice(invoice));
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+  return res.status(200).send(pdf);
+}
+
+/**
+ * Get the invoice for an appointment (owning customer or admin)
+ */
+async function getAppointmentInvoice(req, res) {
+  try {
+    const { appointmentId } = req.params;
+
+    const invoice = await findAppointmentInvoice(req.user, appointmentId);
+
+    return res.status(200).json({
+      success: true,
+      data: formatInvoice(invoice),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error fetching invoice:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice',
+    });
+  }
+}
+
+/**
+ * Generate or regenerate the invoice for an appointment (admin).
+ * Only completed appointments are billed unless allowIncomplete is set.
+ */
+async function generateAppointmentInvoice(req, res) {
+  try {
+    const { appointmentId } = req.params;
+    const { regenerate, allowIncomplete } = req.body;
+
+    const options = {
+      regenerate: regenerate !== undefined ? parseBoolean(regenerate) : false,
+      allowIncomplete: allowIncomplete !== undefined ? parseBoolean(allowIncomplete) : false,
+    };
+
+    if (options.regenerate === null || options.allowIncomplete === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'regenerate and allowIncomplete must be true or false',
+      });
+    }
+
+    const invoice = await generateInvoiceForAppointment(prisma, parseInt(appointmentId), options);
+
+    const fullInvoice = await prisma.invoice.findUnique({
+      where: { id: invoice.id },
+      include: invoiceInclude,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invoice generated successfully',
+      data: formatInvoice(fullInvoice),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error generating invoice:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoice',
+    });
+  }
+}
+
+/**
+ * Get all invoices (admin view)
+ */
+async function getAllInvoices(req, res) {
+  try {
+    const { status, customerId } = req.query;
+
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (customerId) {
+      where.customerId = parseInt(customerId);
+    }
+
+    const invoices = await prisma.invoice.findMany({
+      where,
+      include: invoiceInclude,
+      orderBy: { issuedAt: 'desc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: invoices.map(formatInvoice),
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoices',
+    });
+  }
+}
+
+/**
+ * Get a specific invoice (admin view)
+ */
+async function getInvoiceById(req, res) {
+  try {
+    const { invoiceId } = req.params;
+
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: parseInt(invoiceId) },
+      include: invoiceInclude,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatInvoice(invoice),
+    });
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice',
+    });
+  }
+}
+
+/**
+ * Download the invoice for an appointment as a PDF (owning customer or admin)
+ */
+async function downloadAppointmentInvoicePdf(req, res) {
+  try {
+    const { appointmentId } = req.params;
+
+    const invoice = await findAppointmentInvoice(req.user, appointmentId);
+
+    return await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error rendering invoice PDF:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoice PDF',
+    });
+  }
+}
+
+/**
+ * Download a specific invoice as a PDF (admin view)
+ */
+async function downloadInvoicePdf(req, res) {
+  try {
+    const { invoiceId } = req.params;
+
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: parseInt(invoiceId) },
+      include: invoiceInclude,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+      });
+    }
+
+    return await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error('Error rendering invoice PDF:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoice PDF',
+    });
+  }
+}
+
+module.exports = {
+  getAppointmentInvoice,
+  generateAppointmentInvoice,
+  getAllInvoices,
+  getInvoiceById,
+  downloadAppointmentInvoicePdf,
+  downloadInvoicePdf,
+};
@@ -0,0 +1,208 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const {
+  formatMaintenancePlanItem,
+  validateMaintenancePlanItem,
+} = require('../services/maintenanceService');
+const { parseBoolean } = require('../utils/boolean');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Send the error response for a failed maintenance plan request
+ */
+function handleMaintenancePlanError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+  });
+}
+
+/**
+ * Check that a catalog service exists before linking it to a plan item
+ */
+async function findLinkedService(serviceId) {
+  if (!serviceId) {
+    return null;
+  }
+
+  const service = await prisma.service.findUnique({
+    where: { id: parseInt(serviceId) },
+  });
+
+  if (!service) {
+    throw createHttpError(404, 'Service not found');
+  }
+
+  return service;
+}
+
+/**
+ * Get all maintenance plan items (filter by make)
+ */
+async function getMaintenancePlanItems(req, res) {
+  try {
+    const { make, includeInactive } = req.query;
+
+    const where = {};
+
+    if (includeInactive !== 'true') {
+      where.isActive = true;
+    }
+
+    // Items for the make plus the generic ones that apply to it
+    if (make) {
+      where.OR = [
+        { make: null },
+        { make: { equals: make, mode: 'insensitive' } },
+      ];
+    }
+
+    const items = await prisma.maintenancePlanItem.findMany({
+      where,
+      include: { service: true },
+      orderBy: [{ name: 'asc' }, { make: 'asc' }, { model: 'asc' }],
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: items.map(formatMaintenancePlanItem),
+    });
+  } catch (error) {
+    return handleMaintenancePlanError(res, error, 'Failed to fetch maintenance plan');
+  }
+}
+
+/**
+ * Add a maintenance plan item (generic, or for a make or make/model)
+ */
+async function createMaintenancePlanItem(req, res) {
+  try {
+    const { name, description, make, model, serviceId, intervalKm, intervalMonths } = req.body;
+
+    const intervals = validateMaintenancePlanItem({ name, make, model, intervalKm, intervalMonths });
+    const service = await findLinkedService(serviceId);
+
+    const item = await prisma.maintenancePlanItem.create({
+      data: {
+        name,
+        description,
+        make: make || null,
+        model: model || null,
+        serviceId: service ? service.id : null,
+        ...intervals,
+      },
+      include: { service: true },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Maintenance plan item created successfully',
+      data: formatMaintenancePlanItem(item),
+    });
+  } catch (error) {
+    return handleMaintenancePlanError(res, error, 'Failed to create maintenance plan item');
+  }
+}
+
+/**
+ * Update a maintenance plan item
+ */
+async function updateMaintenancePlanItem(req, res) {
+  try {
+    const { itemId } = req.params;
+    const { name, description, make, model, serviceId, intervalKm, intervalMonths, isActive } = req.body;
+
+    const active = isActive !== undefined ? parseBoolean(isActive) : undefined;
+
+    if (active === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive must be true or false',
+      });
+    }
+
+    const item = await prisma.maintenancePlanItem.findUnique({
+      where: { id: parseInt(itemId) },
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Maintenance plan item not found',
+      });
+    }
+
+    const merged = {
+      name: name || item.name,
+      make: make !== undefined ? (make || null) : item.make,
+      model: model !== undefined ? (model || null) : item.model,
+      intervalKm: intervalKm !== undefined ? intervalKm : item.intervalKm,
+      intervalMonths: intervalMonths !== undefined ? intervalMonths : item.intervalMonths,
+    };
+
+    const intervals = validateMaintenancePlanItem(merged);
+    const service = serviceId !== undefined ? await findLinkedService(serviceId) : undefined;
+
+    const updatedItem = await prisma.maintenancePlanItem.update({
+      where: { id: item.id },
+      data: {
+        ...merged,
+        ...intervals,
+        description: description !== undefined ? description : item.description,
+        serviceId: service !== undefined ? (service ? service.id : null) : item.serviceId,
+        isActive: active !== undefined ? active : item.isActive,
+      },
+      include: { service: true },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Maintenance plan item updated successfully',
+      data: formatMaintenancePlanItem(updatedItem),
+    });
+  } catch (error) {
+    return handleMaintenancePlanError(res, error, 'Failed to update maintenance plan item');
+  }
+}
+
+/**
+ * Delete a maintenance plan item
+ */
+async function deleteMaintenancePlanItem(req, res) {
+  try {
+    const { itemId } = req.params;
+
+    const { count } = await prisma.maintenancePlanItem.deleteMany({
+      where: { id: parseInt(itemId) },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Maintenance plan item not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Maintenance plan item deleted successfully',
+    });
+  } catch (error) {
+    return handleMaintenancePlanError(res, error, 'Failed to delete maintenance plan item');
+  }
+}
+
+module.exports = {
+  getMaintenancePlanItems,
+  createMaintenancePlanItem,
+  updateMaintenancePlanItem,
+  deleteMaintenancePlanItem,
+};
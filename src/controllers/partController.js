@@ -0,0 +1,559 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const {
+  adjustPartStock,
+  evaluateLowStock,
+  isLowStock,
+  recordStockMovement,
+  getStockLevelsAt,
+} = require('../services/inventoryService');
+const { parseBoolean } = require('../utils/boolean');
+
+/**
+ * Format a part for the response
+ */
+function formatPart(part) {
+  return {
+    id: part.id.toString(),
+    name: part.name,
+    partNumber: part.partNumber,
+    description: part.description,
+    category: part.category,
+    quantityInStock: part.quantityInStock,
+    unitPrice: part.unitPrice ? Number(part.unitPrice) : null,
+    reorderLevel: part.reorderLevel,
+    supplier: part.supplier,
+    supplierId: part.supplierId,
+    isActive: part.isActive,
+    isLowStock: isLowStock(part),
+    lowStockAlertedAt: part.lowStockAlertedAt,
+    createdAt: part.createdAt,
+    updatedAt: part.updatedAt,
+  };
+}
+
+/**
+ * Get all parts (supports search and category filter)
+ */
+async function getAllParts(req, res) {
+  try {
+    const { search, category, includeArchived } = req.query;
+
+    const where = {};
+
+    if (includeArchived !== 'true') {
+      where.isActive = true;
+    }
+
+    if (category) {
+      where.category = {
+        equals: category,
+        mode: 'insensitive',
+      };
+    }
+
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { partNumber: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+
+    const parts = await prisma.part.findMany({
+      where,
+      orderBy: { name: 'asc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: parts.map(formatPart),
+    });
+  } catch (error) {
+    console.error('Error fetching parts:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch parts',
+    });
+  }
+}
+
+/**
+ * Get active parts at or below their reorder level
+ */
+async function getLowStockParts(req, res) {
+  try {
+    const parts = await prisma.part.findMany({
+      where: {
+        isActive: true,
+        quantityInStock: {
+          lte: prisma.part.fields.reorderLevel,
+        },
+      },
+      orderBy: { quantityInStock: 'asc' },
+    });
+
+    const formattedParts = parts.map((part) => ({
+      ...formatPart(part),
+      shortfall: part.reorderLevel - part.quantityInStock,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: formattedParts,
+    });
+  } catch (error) {
+    console.error('Error fetching low stock parts:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch low stock parts',
+    });
+  }
+}
+
+/**
+ * Get a specific part by ID
+ */
+async function getPartById(req, res) {
+  try {
+    const { partId } = req.params;
+
+    const part = await prisma.part.findUnique({
+      where: { id: parseInt(partId) },
+    });
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        error: 'Part not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatPart(part),
+    });
+  } catch (error) {
+    console.error('Error fetching part:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch part',
+    });
+  }
+}
+
+/**
+ * Create a new part
+ */
+async function createPart(req, res) {
+  try {
+    const {
+      name,
+      partNumber,
+      description,
+      category,
+      quantityInStock,
+      unitPrice,
+      reorderLevel,
+      supplier,
+      supplierId,
+    } = req.body;
+
+    // Validate required fields
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Part name is required',
+      });
+    }
+
+    if (quantityInStock !== undefined && parseInt(quantityInStock) < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quantity in stock cannot be negative',
+      });
+    }
+
+    // Check for duplicate part number
+    if (partNumber) {
+      const existingPart = await prisma.part.findUnique({
+        where: { partNumber },
+      });
+
+      if (existingPart) {
+        return res.status(400).json({
+          success: false,
+          error: 'A part with this part number already exists',
+        });
+      }
+    }
+
+    const part = await prisma.$transaction(async (tx) => {
+      const createdPart = await tx.part.create({
+        data: {
+          name,
+          partNumber: partNumber || null,
+          description,
+          category,
+          quantityInStock: quantityInStock ? parseInt(quantityInStock) : 0,
+          unitPrice: unitPrice !== undefined && unitPrice !== '' ? parseFloat(unitPrice) : null,
+          reorderLevel: reorderLevel !== undefined ? parseInt(reorderLevel) : undefined,
+          supplier,
+          supplierId: supplierId ? parseInt(supplierId) : null,
+        },
+      });
+
+      // Opening stock is the first entry in the part's ledger
+      if (createdPart.quantityInStock > 0) {
+        await recordStockMovement(tx, createdPart, createdPart.quantityInStock, {
+          type: 'adjustment',
+          userId: req.user.userId,
+          reason: 'Initial stock',
+        });
+      }
+
+      return evaluateLowStock(tx, createdPart);
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Part created successfully',
+      data: formatPart(part),
+    });
+  } catch (error) {
+    console.error('Error creating part:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create part',
+    });
+  }
+}
+
+/**
+ * Update part details (stock is changed through stock adjustments only)
+ */
+async function updatePart(req, res) {
+  try {
+    const { partId } = req.params;
+    const { name, partNumber, description, category, unitPrice, reorderLevel, supplier, supplierId, isActive } = req.body;
+
+    const active = isActive !== undefined ? parseBoolean(isActive) : undefined;
+
+    if (active === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive must be true or false',
+      });
+    }
+
+    const part = await prisma.part.findUnique({
+      where: { id: parseInt(partId) },
+    });
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        error: 'Part not found',
+      });
+    }
+
+    // Check for duplicate part number
+    if (partNumber && partNumber !== part.partNumber) {
+      const existingPart = await prisma.part.findUnique({
+        where: { partNumber },
+      });
+
+      if (existingPart) {
+        return res.status(400).json({
+          success: false,
+          error: 'A part with this part number already exists',
+        });
+      }
+    }
+
+    let updatedPart = await prisma.part.update({
+      where: { id: part.id },
+      data: {
+        name: name || part.name,
+        partNumber: partNumber !== undefined ? partNumber || null : part.partNumber,
+        description: description !== undefined ? description : part.description,
+        category: category !== undefined ? category : part.category,
+        unitPrice: unitPrice !== undefined ? (unitPrice !== '' && unitPrice !== null ? parseFloat(unitPrice) : null) : part.unitPrice,
+        reorderLevel: reorderLevel !== undefined ? parseInt(reorderLevel) : part.reorderLevel,
+        supplier: supplier !== undefined ? supplier : part.supplier,
+        supplierId: supplierId !== undefined ? (supplierId ? parseInt(supplierId) : null) : part.supplierId,
+        isActive: active !== undefined ? active : part.isActive,
+      },
+    });
+
+    // Reorder level changes may put the part above or below the threshold
+    updatedPart = await evaluateLowStock(prisma, updatedPart);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Part updated successfully',
+      data: formatPart(updatedPart),
+    });
+  } catch (error) {
+    console.error('Error updating part:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update part',
+    });
+  }
+}
+
+/**
+ * Archive a part (kept for usage history, hidden from the active list)
+ */
+async function archivePart(req, res) {
+  try {
+    const { partId } = req.params;
+
+    const part = await prisma.part.findUnique({
+      where: { id: parseInt(partId) },
+    });
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        error: 'Part not found',
+      });
+    }
+
+    const archivedPart = await prisma.part.update({
+      where: { id: part.id },
+      data: { isActive: false },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Part archived successfully',
+      data: formatPart(archivedPart),
+    });
+  } catch (error) {
+    console.error('Error archiving part:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to archive part',
+    });
+  }
+}
+
+/**
+ * Adjust stock manually (stock take corrections, damaged goods, etc.)
+ */
+async function adjustStock(req, res) {
+  try {
+    const { partId } = req.params;
+    const { quantityChange, reason } = req.body;
+
+    const change = parseInt(quantityChange);
+
+    // Validate required fields
+    if (!change || !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A non-zero quantity change and a reason are required',
+      });
+    }
+
+    const part = await prisma.part.findUnique({
+      where: { id: parseInt(partId) },
+    });
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        error: 'Part not found',
+      });
+    }
+
+    // Apply adjustment; the ledger records who made it and why
+    const updatedPart = await prisma.$transaction((tx) =>
+      adjustPartStock(tx, part.id, change, {
+        userId: req.user.userId,
+        reason,
+      })
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: formatPart(updatedPart),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error adjusting stock:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to adjust stock',
+    });
+  }
+}
+
+/**
+ * Get the stock movement ledger for a part
+ */
+async function getStockMovements(req, res) {
+  try {
+    const { partId } = req.params;
+    const { startDate, endDate, type } = req.query;
+
+    const part = await prisma.part.findUnique({
+      where: { id: parseInt(partId) },
+    });
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        error: 'Part not found',
+      });
+    }
+
+    const where = { partId: part.id };
+
+    if (type) {
+      where.type = type;
+    }
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+
+      if (startDate) {
+        where.createdAt.gte = new Date(startDate);
+      }
+
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999); // Include the entire end date
+        where.createdAt.lte = end;
+      }
+    }
+
+    const movements = await prisma.stockMovement.findMany({
+      where,
+      include: {
+        user: {
+          select: {
+            email: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const formattedMovements = movements.map((movement) => ({
+      id: movement.id.toString(),
+      type: movement.type,
+      quantityChange: movement.quantityChange,
+      quantityAfter: movement.quantityAfter,
+      unitCost: movement.unitCost ? Number(movement.unitCost) : null,
+      reason: movement.reason,
+      performedBy: movement.user?.email || null,
+      servicePartId: movement.servicePartId,
+      serviceLogId: movement.serviceLogId,
+      projectId: movement.projectId,
+      purchaseOrderItemId: movement.purchaseOrderItemId,
+      createdAt: movement.createdAt,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: formattedMovements,
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock movements',
+    });
+  }
+}
+
+/**
+ * Get stock levels as they were at the end of a given date (stock take)
+ * Optionally limited to a single part via the :partId route parameter
+ */
+async function getStockLevelAtDate(req, res) {
+  try {
+    const { partId } = req.params;
+    const { date } = req.query;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date is required',
+      });
+    }
+
+    const asOf = new Date(date);
+
+    if (Number.isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+      });
+    }
+
+    asOf.setHours(23, 59, 59, 999); // Include the entire date
+
+    if (partId) {
+      const part = await prisma.part.findUnique({
+        where: { id: parseInt(partId) },
+      });
+
+      if (!part) {
+        return res.status(404).json({
+          success: false,
+          error: 'Part not found',
+        });
+      }
+    }
+
+    const levels = await getStockLevelsAt(prisma, asOf, partId ? [parseInt(partId)] : undefined);
+
+    const formattedLevels = levels.map(({ part, quantity }) => ({
+      partId: part.id.toString(),
+      name: part.name,
+      partNumber: part.partNumber,
+      quantityAtDate: quantity,
+      currentQuantity: part.quantityInStock,
+      unitPrice: part.unitPrice ? Number(part.unitPrice) : null,
+      stockValue: part.unitPrice ? Number(part.unitPrice) * quantity : null,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        asOf,
+        parts: formattedLevels,
+        totalStockValue: formattedLevels.reduce((sum, level) => sum + (level.stockValue || 0), 0),
+      },
+    });
+  } catch (error) {
+    console.error('Error reconstructing stock levels:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reconstruct stock levels',
+    });
+  }
+}
+
+module.exports = {
+  getAllParts,
+  getLowStockParts,
+  getPartById,
+  createPart,
+  updatePart,
+  archivePart,
+  adjustStock,
+  getStockMovements,
+  getStockLevelAtDate,
+};
@@ -0,0 +1,239 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { recordPayment, summarizeInvoiceBalance } = require('../services/paymentService');
+const { roundMoney } = require('../services/invoiceService');
+
+/**
+ * Format a payment for the response
+ */
+function formatPayment(payment) {
+  return {
+    id: payment.id.toString(),
+    invoiceId: payment.invoiceId,
+    type: payment.type,
+    method: payment.method,
+    amount: Number(payment.amount),
+    reference: payment.reference,
+    notes: payment.notes,
+    recordedBy: payment.recordedBy,
+    paidAt: payment.paidAt,
+  };
+}
+
+/**
+ * Get payments and refunds recorded against an invoice
+ */
+async function getInvoicePayments(req, res) {
+  try {
+    const { invoiceId } = req.params;
+
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: parseInt(invoiceId) },
+      include: {
+        payments: {
+          orderBy: { paidAt: 'asc' },
+        },
+      },
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        status: invoice.status,
+        ...summarizeInvoiceBalance(invoice),
+        payments: invoice.payments.map(formatPayment),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payments',
+    });
+  }
+}
+
+/**
+ * Record a payment or refund (shared by the payment and refund endpoints)
+ */
+async function recordInvoiceTransaction(req, res, type) {
+  try {
+    const { invoiceId } = req.params;
+    const { amount, method, reference, notes, paidAt } = req.body;
+
+    if (!amount || !method) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount and method are required',
+      });
+    }
+
+    const { payment, invoice } = await recordPayment(prisma, {
+      invoiceId: parseInt(invoiceId),
+      type,
+      method,
+      amount: parseFloat(amount),
+      reference,
+      notes,
+      recordedBy: req.user.userId,
+      paidAt: paidAt ? new Date(paidAt) : undefined,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: type === 'refund' ? 'Refund recorded successfully' : 'Payment recorded successfully',
+      data: {
+        payment: formatPayment(payment),
+        invoiceStatus: invoice.status,
+        ...summarizeInvoiceBalance(invoice),
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error(`Error recording ${type}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: `Failed to record ${type}`,
+    });
+  }
+}
+
+/**
+ * Record a (full or partial) payment against an invoice
+ */
+async function recordInvoicePayment(req, res) {
+  return recordInvoiceTransaction(req, res, 'payment');
+}
+
+/**
+ * Record a refund against an invoice
+ */
+async function recordInvoiceRefund(req, res) {
+  return recordInvoiceTransaction(req, res, 'refund');
+}
+
+/**
+ * Summarize a customer's invoices into an outstanding balance
+ */
+function summarizeCustomerBalance(customer, invoices) {
+  const formattedInvoices = invoices.map((invoice) => ({
+    id: invoice.id.toString(),
+    invoiceNumber: invoice.invoiceNumber,
+    appointmentId: invoice.appointmentId,
+    status: invoice.status,
+    issuedAt: invoice.issuedAt,
+    ...summarizeInvoiceBalance(invoice),
+  }));
+
+  return {
+    customerId: customer.id,
+    customerName: `${customer.firstName} ${customer.lastName}`,
+    phone: customer.phone,
+    totalInvoiced: roundMoney(formattedInvoices.reduce((sum, invoice) => sum + invoice.total, 0)),
+    totalPaid: roundMoney(formattedInvoices.reduce((sum, invoice) => sum + invoice.amountPaid, 0)),
+    outstandingBalance: roundMoney(formattedInvoices.reduce((sum, invoice) => sum + invoice.balanceDue, 0)),
+    invoices: formattedInvoices,
+  };
+}
+
+/**
+ * Get outstanding balances for all customers who still owe money
+ */
+async function getOutstandingBalances(req, res) {
+  try {
+    const invoices = await prisma.invoice.findMany({
+      where: {
+        status: { in: ['issued', 'partially_paid'] },
+      },
+      include: {
+        payments: true,
+        customer: true,
+      },
+      orderBy: { issuedAt: 'asc' },
+    });
+
+    // Group open invoices per customer
+    const invoicesByCustomer = new Map();
+    for (const invoice of invoices) {
+      const entry = invoicesByCustomer.get(invoice.customerId) || { customer: invoice.customer, invoices: [] };
+      entry.invoices.push(invoice);
+      invoicesByCustomer.set(invoice.customerId, entry);
+    }
+
+    const balances = [...invoicesByCustomer.values()]
+      .map(({ customer, invoices: customerInvoices }) => summarizeCustomerBalance(customer, customerInvoices))
+      .filter((balance) => balance.outstandingBalance > 0)
+      .sort((a, b) => b.outstandingBalance - a.outstandingBalance);
+
+    return res.status(200).json({
+      success: true,
+      data: balances,
+    });
+  } catch (error) {
+    console.error('Error fetching outstanding balances:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch outstanding balances',
+    });
+  }
+}
+
+/**
+ * Get the balance and invoice history of a single customer
+ */
+async function getCustomerBalance(req, res) {
+  try {
+    const { customerId } = req.params;
+
+    const customer = await prisma.customer.findUnique({
+      where: { id: parseInt(customerId) },
+      include: {
+        invoices: {
+          include: { payments: true },
+          orderBy: { issuedAt: 'desc' },
+        },
+      },
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: summarizeCustomerBalance(customer, customer.invoices),
+    });
+  } catch (error) {
+    console.error('Error fetching customer balance:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch customer balance',
+    });
+  }
+}
+
+module.exports = {
+  getInvoicePayments,
+  recordInvoicePayment,
+  recordInvoiceRefund,
+  getOutstandingBalances,
+  getCustomerBalance,
+};
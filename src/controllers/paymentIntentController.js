@@ -0,0 +1,228 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { getPaymentProvider } = require('../services/paymentGateway');
+const {
+  createPaymentIntent,
+  applyPaymentEvent,
+  confirmPaymentIntent,
+  refundPaymentIntent,
+} = require('../services/onlinePaymentService');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Format a payment intent for the response
+ */
+function formatPaymentIntent(intent) {
+  return {
+    id: intent.id.toString(),
+    invoiceId: intent.invoiceId,
+    provider: intent.provider,
+    providerIntentId: intent.providerIntentId,
+    amount: Number(intent.amount),
+    amountRefunded: Number(intent.amountRefunded),
+    currency: intent.currency,
+    status: intent.status,
+    failureReason: intent.failureReason,
+    createdAt: intent.createdAt,
+    updatedAt: intent.updatedAt,
+  };
+}
+
+/**
+ * Find a payment intent, restricted to the customer's own payments unless
+ * the user is an admin
+ */
+async function findPaymentIntent(user, intentId) {
+  const where = { id: parseInt(intentId) };
+
+  if (user.role !== 'admin') {
+    const customer = await prisma.customer.findUnique({
+      where: { userId: user.userId },
+    });
+
+    if (!customer) {
+      throw createHttpError(404, 'Customer profile not found');
+    }
+
+    where.customerId = customer.id;
+  }
+
+  const intent = await prisma.paymentIntent.findFirst({ where });
+
+  if (!intent) {
+    throw createHttpError(404, 'Payment not found');
+  }
+
+  return intent;
+}
+
+/**
+ * Send the error response for a failed payment request
+ */
+function handlePaymentError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+  });
+}
+
+/**
+ * Start an online payment for an invoice (customer)
+ */
+async function createIntent(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { invoiceId } = req.body;
+
+    if (!invoiceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice ID is required',
+      });
+    }
+
+    // Get customer ID from user ID
+    const customer = await prisma.customer.findUnique({
+      where: { userId },
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer profile not found',
+      });
+    }
+
+    const { intent, clientSecret } = await createPaymentIntent(prisma, {
+      invoiceId: parseInt(invoiceId),
+      customerId: customer.id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Payment started',
+      data: {
+        ...formatPaymentIntent(intent),
+        clientSecret,
+      },
+    });
+  } catch (error) {
+    return handlePaymentError(res, error, 'Failed to start payment');
+  }
+}
+
+/**
+ * Get an online payment (owning customer or admin)
+ */
+async function getIntent(req, res) {
+  try {
+    const { intentId } = req.params;
+
+    const intent = await findPaymentIntent(req.user, intentId);
+
+    return res.status(200).json({
+      success: true,
+      data: formatPaymentIntent(intent),
+    });
+  } catch (error) {
+    return handlePaymentError(res, error, 'Failed to fetch payment');
+  }
+}
+
+/**
+ * Confirm an online payment with a payment method (owning customer)
+ */
+async function confirmIntent(req, res) {
+  try {
+    const { intentId } = req.params;
+    const { paymentMethod } = req.body;
+
+    const intent = await findPaymentIntent(req.user, intentId);
+
+    const updatedIntent = await confirmPaymentIntent(prisma, intent, {
+      paymentMethod,
+      recordedBy: req.user.userId,
+    });
+
+    if (updatedIntent.status !== 'succeeded') {
+      return res.status(402).json({
+        success: false,
+        error: updatedIntent.failureReason || 'Payment failed',
+        data: formatPaymentIntent(updatedIntent),
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Payment successful',
+      data: formatPaymentIntent(updatedIntent),
+    });
+  } catch (error) {
+    return handlePaymentError(res, error, 'Failed to confirm payment');
+  }
+}
+
+/**
+ * Refund (part of) an online payment through its provider (admin)
+ */
+async function refundIntent(req, res) {
+  try {
+    const { intentId } = req.params;
+    const { amount, reason } = req.body;
+
+    const intent = await findPaymentIntent(req.user, intentId);
+
+    const updatedIntent = await refundPaymentIntent(prisma, intent, {
+      amount: amount === undefined ? undefined : parseFloat(amount),
+      reason,
+      recordedBy: req.user.userId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Refund issued successfully',
+      data: formatPaymentIntent(updatedIntent),
+    });
+  } catch (error) {
+    return handlePaymentError(res, error, 'Failed to refund payment');
+  }
+}
+
+/**
+ * Receive a webhook from a payment provider.
+ * Authenticated by the provider's signature instead of a user token.
+ */
+async function handleWebhook(req, res) {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+
+    // Signatures are computed over the exact bytes that were sent
+    const event = provider.verifyWebhook(req.rawBody, req.headers);
+
+    const intent = await applyPaymentEvent(prisma, provider.name, event);
+
+    return res.status(200).json({
+      success: true,
+      received: true,
+      ignored: !intent,
+    });
+  } catch (error) {
+    return handlePaymentError(res, error, 'Failed to process payment webhook');
+  }
+}
+
+module.exports = {
+  createIntent,
+  getIntent,
+  confirmIntent,
+  refundIntent,
+  handleWebhook,
+};
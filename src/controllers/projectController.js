@@ -1,5 +1,15 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { renderProjectQuotePdf } = require('../services/pdfService');
+const { formatQuote, getLatestQuote, respondToQuote } = require('../services/quoteService');
+const {
+  formatChangeOrder,
+  summarizeProjectCosts,
+  respondToChangeOrder,
+} = require('../services/changeOrderService');
+const { buildProjectTimeline } = require('../services/projectWorkService');
+const { formatMilestone, sortMilestones, calculateProgress } = require('../services/milestoneService');
+const { createHttpError } = require('../utils/httpError');
 
 /**
  * Get all modification requests for authenticated customer
@@ -36,6 +46,7 @@ async function getCustomerProjects(req, res) {
             },
           },
         },
+        milestones: true,
       },
       orderBy: { createdAt: 'desc' },
     });
@@ -56,6 +67,7 @@ async function getCustomerProjects(req, res) {
       endDate: project.endDate,
       approvedBy: project.approvedBy,
       approvedAt: project.approvedAt,
+      ...calculateProgress(project, project.milestones),
       createdAt: project.createdAt,
       updatedAt: project.updatedAt,
     }));
@@ -110,9 +122,17 @@ async function getProjectById(req, res) {
                 lastName: true,
               },
             },
+            serviceParts: {
+              include: {
+                part: {
+                  select: { name: true },
+                },
+              },
+            },
           },
           orderBy: { createdAt: 'desc' },
         },
+        milestones: true,
       },
     });
 
@@ -125,7 +145,13 @@ async function getProjectById(req, res) {
 
     return res.status(200).json({
       success: true,
-      data: project,
+      data: {
+        ...project,
+        milestones: sortMilestones(project.milestones).map(formatMilestone),
+        ...calculateProgress(project, project.milestones),
+        totalHours: project.projectLogs.reduce((sum, log) => sum + Number(log.hoursLogged), 0),
+        timeline: buildProjectTimeline(project),
+      },
     });
   } catch (error) {
     console.error('Error fetching project:', error);
@@ -256,19 +282,25 @@ async function updateProject(req, res) {
       });
     }
 
-    // Update project
-    const updatedProject = await prisma.project.update({
-      where: { id: parseInt(projectId) },
-      data: {
-        title: title || project.title,
-        description: description || project.description,
-        estimatedCost: estimatedCost !== undefined ? parseFloat(estimatedCost) : project.estimatedCost,
-        priority: priority || project.priority,
-      },
-      include: {
-        vehicle: true,
-      },
-    });
+    // Update project; an unanswered quote no longer matches the changed request
+    const [, updatedProject] = await prisma.$transaction([
+      prisma.projectQuote.updateMany({
+        where: { projectId: project.id, status: 'pending' },
+        data: { status: 'superseded' },
+      }),
+      prisma.project.update({
+        where: { id: parseInt(projectId) },
+        data: {
+          title: title || project.title,
+          description: description || project.description,
+          estimatedCost: estimatedCost !== undefined ? parseFloat(estimatedCost) : project.estimatedCost,
+          priority: priority || project.priority,
+        },
+        include: {
+          vehicle: true,
+        },
+      }),
+    ]);
 
     return res.status(200).json({
       success: true,
@@ -338,10 +370,321 @@ async function deleteProject(req, res) {
   }
 }
 
+/**
+ * Build the printable quote for a project, including accepted change orders
+ */
+function buildQuoteDocument(project, quote) {
+  const estimatedCost = project.estimatedCost ? Number(project.estimatedCost) : null;
+  const quotedAmount = quote ? Number(quote.amount) : estimatedCost;
+  const acceptedChangeOrders = project.changeOrders.filter((changeOrder) => changeOrder.status === 'accepted');
+  const { changeOrderTotal } = summarizeProjectCosts(project, project.changeOrders);
+
+  const totals = [
+    ['Estimated cost', estimatedCost],
+    ['Quoted price', quote ? quotedAmount : null],
+  ];
+
+  if (acceptedChangeOrders.length > 0) {
+    totals.push(['Change orders', changeOrderTotal]);
+  }
+
+  totals.push(['Total', quotedAmount !== null ? quotedAmount + changeOrderTotal : null, true]);
+
+  return {
+    project,
+    customer: project.customer,
+    vehicle: project.vehicle,
+    quote,
+    items: [
+      {
+        description: project.projectType
+          ? `${project.title} (${project.projectType})`
+          : project.title,
+        quantity: 1,
+        unitPrice: quotedAmount,
+        amount: quotedAmount,
+      },
+      ...acceptedChangeOrders.map((changeOrder) => ({
+        description: `Change order: ${changeOrder.title}`,
+        quantity: 1,
+        unitPrice: Number(changeOrder.costDelta),
+        amount: Number(changeOrder.costDelta),
+      })),
+    ],
+    totals,
+  };
+}
+
+/**
+ * Download the quote for a modification project as a PDF (owning customer or admin)
+ */
+async function downloadProjectQuotePdf(req, res) {
+  try {
+    const { userId, role } = req.user;
+    const { projectId } = req.params;
+
+    const where = { id: parseInt(projectId) };
+
+    // Customers may only download quotes for their own projects
+    if (role !== 'admin') {
+      const customer = await prisma.customer.findUnique({
+        where: { userId },
+      });
+
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer profile not found',
+        });
+      }
+
+      where.customerId = customer.id;
+    }
+
+    const project = await prisma.project.findFirst({
+      where,
+      include: {
+        customer: true,
+        vehicle: true,
+        changeOrders: {
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Modification request not found',
+      });
+    }
+
+    const quote = await getLatestQuote(prisma, project.id);
+
+    const pdf = await renderProjectQuotePdf(buildQuoteDocument(project, quote));
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="quote-${project.id}.pdf"`);
+    return res.status(200).send(pdf);
+  } catch (error) {
+    console.error('Error rendering quote PDF:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate quote PDF',
+    });
+  }
+}
+
+/**
+ * Find a project belonging to the authenticated customer
+ */
+async function findCustomerProject(userId, projectId) {
+  const customer = await prisma.customer.findUnique({
+    where: { userId },
+  });
+
+  if (!customer) {
+    throw createHttpError(404, 'Customer profile not found');
+  }
+
+  const project = await prisma.project.findFirst({
+    where: {
+      id: parseInt(projectId),
+      customerId: customer.id,
+    },
+  });
+
+  if (!project) {
+    throw createHttpError(404, 'Modification request not found');
+  }
+
+  return project;
+}
+
+/**
+ * Get the latest quote for a modification request
+ */
+async function getProjectQuote(req, res) {
+  try {
+    const { projectId } = req.params;
+
+    const project = await findCustomerProject(req.user.userId, projectId);
+    const quote = await getLatestQuote(prisma, project.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: 'No quote has been issued for this modification request yet',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatQuote(quote),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error fetching quote:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quote',
+    });
+  }
+}
+
+/**
+ * Accept or reject the pending quote for a modification request
+ */
+async function respondToProjectQuote(req, res) {
+  try {
+    const { projectId } = req.params;
+    const { decision, reason } = req.body;
+
+    if (!decision) {
+      return res.status(400).json({
+        success: false,
+        error: 'Decision is required',
+      });
+    }
+
+    const project = await findCustomerProject(req.user.userId, projectId);
+
+    const result = await respondToQuote(prisma, project, {
+      decision,
+      reason,
+      userId: req.user.userId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: decision === 'accept' ? 'Quote accepted. Your modification is approved' : 'Quote rejected',
+      data: {
+        quote: formatQuote(result.quote),
+        projectStatus: result.project.status,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error responding to quote:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to respond to quote',
+    });
+  }
+}
+
+/**
+ * Get the change orders of a modification request with its revised total
+ */
+async function getProjectChangeOrders(req, res) {
+  try {
+    const { projectId } = req.params;
+
+    const project = await findCustomerProject(req.user.userId, projectId);
+
+    const changeOrders = await prisma.changeOrder.findMany({
+      where: {
+        projectId: project.id,
+        status: { not: 'cancelled' },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...summarizeProjectCosts(project, changeOrders),
+        changeOrders: changeOrders.map(formatChangeOrder),
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error fetching change orders:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch change orders',
+    });
+  }
+}
+
+/**
+ * Accept or reject a change order for a modification request
+ */
+async function respondToProjectChangeOrder(req, res) {
+  try {
+    const { projectId, changeOrderId } = req.params;
+    const { decision, reason } = req.body;
+
+    if (!decision) {
+      return res.status(400).json({
+        success: false,
+        error: 'Decision is required',
+      });
+    }
+
+    const project = await findCustomerProject(req.user.userId, projectId);
+
+    const changeOrder = await respondToChangeOrder(prisma, project, parseInt(changeOrderId), {
+      decision,
+      reason,
+      userId: req.user.userId,
+    });
+
+    const changeOrders = await prisma.changeOrder.findMany({
+      where: { projectId: project.id },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: decision === 'accept' ? 'Change order accepted' : 'Change order rejected',
+      data: {
+        changeOrder: formatChangeOrder(changeOrder),
+        ...summarizeProjectCosts(project, changeOrders),
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error responding to change order:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to respond to change order',
+    });
+  }
+}
+
 module.exports = {
   getCustomerProjects,
   getProjectById,
   createProject,
   updateProject,
   deleteProject,
+  downloadProjectQuotePdf,
+  getProjectQuote,
+  respondToProjectQuote,
+  getProjectChangeOrders,
+  respondToProjectChangeOrder,
 };
@@ -0,0 +1,569 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { receivePartStock } = require('../services/inventoryService');
+const { formatDocumentNumber } = require('../utils/documentNumber');
+const { createHttpError } = require('../utils/httpError');
+
+const purchaseOrderInclude = {
+  supplier: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  items: {
+    include: {
+      part: {
+        select: {
+          id: true,
+          name: true,
+          partNumber: true,
+          quantityInStock: true,
+        },
+      },
+    },
+    orderBy: { id: 'asc' },
+  },
+};
+
+/**
+ * Format a purchase order for the response
+ */
+function formatPurchaseOrder(order) {
+  const items = order.items.map((item) => ({
+    id: item.id.toString(),
+    partId: item.partId,
+    partName: item.part.name,
+    partNumber: item.part.partNumber,
+    quantityOrdered: item.quantityOrdered,
+    quantityReceived: item.quantityReceived,
+    quantityOutstanding: item.quantityOrdered - item.quantityReceived,
+    unitCost: item.unitCost ? Number(item.unitCost) : null,
+    lineTotal: item.unitCost ? Number(item.unitCost) * item.quantityOrdered : null,
+  }));
+
+  return {
+    id: order.id.toString(),
+    orderNumber: order.orderNumber,
+    supplierId: order.supplierId,
+    supplierName: order.supplier.name,
+    status: order.status,
+    expectedDate: order.expectedDate,
+    notes: order.notes,
+    items,
+    totalCost: items.reduce((sum, item) => sum + (item.lineTotal || 0), 0),
+    sentAt: order.sentAt,
+    receivedAt: order.receivedAt,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+  };
+}
+
+/**
+ * Validate and normalize order lines from the request body
+ * @returns {Array|null} - Normalized lines, or null if invalid
+ */
+function parseOrderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return null;
+  }
+
+  const parsedItems = items.map((item) => ({
+    partId: parseInt(item.partId),
+    quantityOrdered: parseInt(item.quantity),
+    unitCost: item.unitCost !== undefined && item.unitCost !== null && item.unitCost !== ''
+      ? parseFloat(item.unitCost)
+      : null,
+  }));
+
+  const isValid = parsedItems.every((item) => item.partId
+    && item.quantityOrdered > 0
+    && (item.unitCost === null || (Number.isFinite(item.unitCost) && item.unitCost >= 0)));
+  return isValid ? parsedItems : null;
+}
+
+/**
+ * Get all purchase orders
+ */
+async function getAllPurchaseOrders(req, res) {
+  try {
+    const { status, supplierId } = req.query;
+
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (supplierId) {
+      where.supplierId = parseInt(supplierId);
+    }
+
+    const orders = await prisma.purchaseOrder.findMany({
+      where,
+      include: purchaseOrderInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: orders.map(formatPurchaseOrder),
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch purchase orders',
+    });
+  }
+}
+
+/**
+ * Get a specific purchase order
+ */
+async function getPurchaseOrderById(req, res) {
+  try {
+    const { purchaseOrderId } = req.params;
+
+    const order = await prisma.purchaseOrder.findUnique({
+      where: { id: parseInt(purchaseOrderId) },
+      include: purchaseOrderInclude,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatPurchaseOrder(order),
+    });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch purchase order',
+    });
+  }
+}
+
+/**
+ * Create a draft purchase order
+ */
+async function createPurchaseOrder(req, res) {
+  try {
+    const { supplierId, expectedDate, notes, items } = req.body;
+
+    const orderItems = parseOrderItems(items);
+
+    // Validate required fields
+    if (!supplierId || !orderItems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Supplier and at least one item with part ID and positive quantity are required, and unit costs must be zero or more',
+      });
+    }
+
+    const supplier = await prisma.supplier.findUnique({
+      where: { id: parseInt(supplierId) },
+    });
+
+    if (!supplier || !supplier.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found',
+      });
+    }
+
+    // Verify all parts exist
+    const partIds = [...new Set(orderItems.map((item) => item.partId))];
+    const partCount = await prisma.part.count({
+      where: { id: { in: partIds } },
+    });
+
+    if (partCount !== partIds.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'One or more parts not found',
+      });
+    }
+
+    // Create order and assign its number in a transaction
+    const order = await prisma.$transaction(async (tx) => {
+      const created = await tx.purchaseOrder.create({
+        data: {
+          supplierId: supplier.id,
+          expectedDate: expectedDate ? new Date(expectedDate) : null,
+          notes,
+          createdBy: req.user.userId,
+          items: {
+            create: orderItems,
+          },
+        },
+      });
+
+      return tx.purchaseOrder.update({
+        where: { id: created.id },
+        data: { orderNumber: formatDocumentNumber('PO', created.id) },
+        include: purchaseOrderInclude,
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: formatPurchaseOrder(order),
+    });
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create purchase order',
+    });
+  }
+}
+
+/**
+ * Update a draft purchase order (items are replaced when provided)
+ */
+async function updatePurchaseOrder(req, res) {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { expectedDate, notes, items } = req.body;
+
+    const order = await prisma.purchaseOrder.findUnique({
+      where: { id: parseInt(purchaseOrderId) },
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found',
+      });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only draft purchase orders can be edited',
+      });
+    }
+
+    const orderItems = items !== undefined ? parseOrderItems(items) : undefined;
+
+    if (orderItems === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item with part ID and positive quantity is required, and unit costs must be zero or more',
+      });
+    }
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      if (orderItems) {
+        await tx.purchaseOrderItem.deleteMany({
+          where: { purchaseOrderId: order.id },
+        });
+
+        await tx.purchaseOrderItem.createMany({
+          data: orderItems.map((item) => ({ ...item, purchaseOrderId: order.id })),
+        });
+      }
+
+      return tx.purchaseOrder.update({
+        where: { id: order.id },
+        data: {
+          expectedDate: expectedDate !== undefined
+            ? (expectedDate ? new Date(expectedDate) : null)
+            : order.expectedDate,
+          notes: notes !== undefined ? notes : order.notes,
+        },
+        include: purchaseOrderInclude,
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: formatPurchaseOrder(updatedOrder),
+    });
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update purchase order',
+    });
+  }
+}
+
+/**
+ * Mark a draft purchase order as sent to the supplier
+ */
+async function sendPurchaseOrder(req, res) {
+  try {
+    const { purchaseOrderId } = req.params;
+
+    const order = await prisma.purchaseOrder.findUnique({
+      where: { id: parseInt(purchaseOrderId) },
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found',
+      });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only draft purchase orders can be sent',
+      });
+    }
+
+    const updatedOrder = await prisma.purchaseOrder.update({
+      where: { id: order.id },
+      data: {
+        status: 'sent',
+        sentAt: new Date(),
+      },
+      include: purchaseOrderInclude,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Purchase order sent successfully',
+      data: formatPurchaseOrder(updatedOrder),
+    });
+  } catch (error) {
+    console.error('Error sending purchase order:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to send purchase order',
+    });
+  }
+}
+
+/**
+ * Receive goods against a purchase order (increments stock)
+ */
+async function receivePurchaseOrder(req, res) {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one received item is required',
+      });
+    }
+
+    const order = await prisma.purchaseOrder.findUnique({
+      where: { id: parseInt(purchaseOrderId) },
+      include: { items: true },
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found',
+      });
+    }
+
+    if (!['sent', 'partially_received'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Goods can only be received against sent purchase orders',
+      });
+    }
+
+    // Add up the lines per item, then check each total against what is still outstanding
+    const receiptsByItem = new Map();
+    for (const receivedItem of items) {
+      const orderItem = order.items.find((item) => item.id === parseInt(receivedItem.itemId));
+      const quantityReceived = parseInt(receivedItem.quantityReceived);
+
+      if (!orderItem) {
+        return res.status(404).json({
+          success: false,
+          error: `Purchase order item ${receivedItem.itemId} not found`,
+        });
+      }
+
+      if (!quantityReceived || quantityReceived <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Received quantity must be a positive number',
+        });
+      }
+
+      const hasUnitCost = receivedItem.unitCost !== undefined && receivedItem.unitCost !== null && receivedItem.unitCost !== '';
+      const unitCost = hasUnitCost ? parseFloat(receivedItem.unitCost) : null;
+
+      if (hasUnitCost && (!Number.isFinite(unitCost) || unitCost < 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unit cost must be a number, zero or more',
+        });
+      }
+
+      const receipt = receiptsByItem.get(orderItem.id) || { orderItem, quantityReceived: 0, unitCost: null };
+      receipt.quantityReceived += quantityReceived;
+      if (hasUnitCost) {
+        receipt.unitCost = unitCost;
+      }
+      receiptsByItem.set(orderItem.id, receipt);
+    }
+
+    const receipts = [...receiptsByItem.values()];
+    for (const { orderItem, quantityReceived } of receipts) {
+      if (orderItem.quantityReceived + quantityReceived > orderItem.quantityOrdered) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot receive more than the ${orderItem.quantityOrdered - orderItem.quantityReceived} outstanding units of item ${orderItem.id}`,
+        });
+      }
+    }
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      for (const receipt of receipts) {
+        // Only applies while the units are still outstanding, so a concurrent
+        // receipt of the same item cannot push it past the ordered quantity
+        const { count } = await tx.purchaseOrderItem.updateMany({
+          where: {
+            id: receipt.orderItem.id,
+            quantityReceived: { lte: receipt.orderItem.quantityOrdered - receipt.quantityReceived },
+          },
+          data: {
+            quantityReceived: { increment: receipt.quantityReceived },
+            ...(receipt.unitCost !== null && { unitCost: receipt.unitCost }),
+          },
+        });
+
+        if (count === 0) {
+          throw createHttpError(409, `Item ${receipt.orderItem.id} was received in the meantime. Please reload the purchase order`);
+        }
+
+        await receivePartStock(tx, receipt.orderItem.partId, receipt.quantityReceived, {
+          userId: req.user.userId,
+          purchaseOrderItemId: receipt.orderItem.id,
+          unitCost: receipt.unitCost !== null ? receipt.unitCost : receipt.orderItem.unitCost,
+          reason: `Received on ${order.orderNumber}`,
+        });
+      }
+
+      // Work out whether everything has now arrived
+      const orderItems = await tx.purchaseOrderItem.findMany({
+        where: { purchaseOrderId: order.id },
+      });
+      const isFullyReceived = orderItems.every((item) => item.quantityReceived >= item.quantityOrdered);
+
+      // Only move the order on if it was not cancelled or closed in the meantime
+      const { count } = await tx.purchaseOrder.updateMany({
+        where: { id: order.id, status: { in: ['sent', 'partially_received'] } },
+        data: {
+          status: isFullyReceived ? 'received' : 'partially_received',
+          receivedAt: isFullyReceived ? new Date() : null,
+        },
+      });
+
+      if (count === 0) {
+        throw createHttpError(409, 'This purchase order was changed in the meantime. Please reload it');
+      }
+
+      return tx.purchaseOrder.findUnique({
+        where: { id: order.id },
+        include: purchaseOrderInclude,
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Goods received successfully',
+      data: formatPurchaseOrder(updatedOrder),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error receiving purchase order:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to receive purchase order',
+    });
+  }
+}
+
+/**
+ * Cancel a purchase order that has not received any goods
+ */
+async function cancelPurchaseOrder(req, res) {
+  try {
+    const { purchaseOrderId } = req.params;
+
+    const order = await prisma.purchaseOrder.findUnique({
+      where: { id: parseInt(purchaseOrderId) },
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found',
+      });
+    }
+
+    if (!['draft', 'sent'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only draft or sent purchase orders can be cancelled',
+      });
+    }
+
+    // Only cancel if no goods were received in the meantime
+    const { count } = await prisma.purchaseOrder.updateMany({
+      where: { id: order.id, status: { in: ['draft', 'sent'] } },
+      data: { status: 'cancelled' },
+    });
+
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'This purchase order was changed in the meantime. Please reload it',
+      });
+    }
+
+    const updatedOrder = await prisma.purchaseOrder.findUnique({
+      where: { id: order.id },
+      include: purchaseOrderInclude,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Purchase order cancelled successfully',
+      data: formatPurchaseOrder(updatedOrder),
+    });
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel purchase order',
+    });
+  }
+}
+
+module.exports = {
+  getAllPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+};
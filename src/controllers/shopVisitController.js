@@ -0,0 +1,181 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const {
+  formatShopVisit,
+  validateCheckIn,
+  validateCheckOut,
+  readSignatureImage,
+  checkInVehicle,
+  checkOutVehicle,
+} = require('../services/shopVisitService');
+const { uploadAttachment, deleteAttachment } = require('../services/storageService');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Find an appointment with what check-in and check-out need
+ */
+async function findAppointment(appointmentId) {
+  const appointment = await prisma.appointment.findUnique({
+    where: { id: parseInt(appointmentId) },
+    include: {
+      vehicle: true,
+      customer: true,
+      shopVisit: true,
+      serviceLogs: { select: { status: true } },
+    },
+  });
+
+  if (!appointment) {
+    throw createHttpError(404, 'Appointment not found');
+  }
+
+  return appointment;
+}
+
+/**
+ * Send the error response for a failed check-in or check-out request
+ */
+function handleShopVisitError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+  });
+}
+
+/**
+ * Check a vehicle in for an appointment (multipart, optional "photos" of its condition)
+ */
+async function checkInAppointment(req, res) {
+  const uploaded = [];
+
+  try {
+    const { appointmentId } = req.params;
+    const { damageNotes, keyTag } = req.body;
+
+    const appointment = await findAppointment(appointmentId);
+    const { odometer, fuelLevel } = validateCheckIn(appointment, req.body);
+
+    for (const file of req.files || []) {
+      const storagePath = await uploadAttachment(file.buffer, file.originalname, file.mimetype);
+      uploaded.push({
+        storagePath,
+        fileName: file.originalname,
+        contentType: file.mimetype,
+        size: file.size,
+      });
+    }
+
+    const visit = await checkInVehicle(prisma, appointment, {
+      odometer,
+      fuelLevel,
+      damageNotes,
+      keyTag,
+      photos: uploaded,
+      userId: req.user.userId,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Vehicle checked in. The appointment is now in progress',
+      data: {
+        ...formatShopVisit(visit),
+        photoCount: uploaded.length,
+      },
+    });
+  } catch (error) {
+    // Don't leave uploaded photos behind if the check-in wasn't saved
+    await Promise.all(uploaded.map((photo) => deleteAttachment(photo.storagePath)));
+    return handleShopVisitError(res, error, 'Failed to check in vehicle');
+  }
+}
+
+/**
+ * Check a vehicle out of an appointment with the customer's signature
+ * (multipart field "signature", or a data URL in the "signature" body field)
+ */
+async function checkOutAppointment(req, res) {
+  let storagePath = null;
+
+  try {
+    const { appointmentId } = req.params;
+
+    const appointment = await findAppointment(appointmentId);
+    const { odometer } = validateCheckOut(appointment, req.body);
+    const signature = readSignatureImage(req.file, req.body.signature);
+
+    const fileName = `signature-${appointment.id}.${signature.extension}`;
+    storagePath = await uploadAttachment(signature.buffer, fileName, signature.contentType);
+
+    const { visit, invoice } = await checkOutVehicle(prisma, appointment, {
+      odometer,
+      signature: {
+        storagePath,
+        fileName,
+        contentType: signature.contentType,
+        size: signature.buffer.length,
+      },
+      userId: req.user.userId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Vehicle checked out. The appointment is completed',
+      data: {
+        ...formatShopVisit(visit),
+        invoiceNumber: invoice?.invoiceNumber || null,
+      },
+    });
+  } catch (error) {
+    if (storagePath) {
+      await deleteAttachment(storagePath);
+    }
+    return handleShopVisitError(res, error, 'Failed to check out vehicle');
+  }
+}
+
+/**
+ * Get the check-in and check-out record of an appointment
+ * (the customer who booked it, employees and admins)
+ */
+async function getShopVisit(req, res) {
+  try {
+    const { appointmentId } = req.params;
+
+    const appointment = await findAppointment(appointmentId);
+
+    if (req.user.role === 'customer' && appointment.customer.userId !== req.user.userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found',
+      });
+    }
+
+    if (!appointment.shopVisit) {
+      return res.status(404).json({
+        success: false,
+        error: 'This vehicle has not been checked in',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatShopVisit(appointment.shopVisit),
+    });
+  } catch (error) {
+    return handleShopVisitError(res, error, 'Failed to fetch check-in record');
+  }
+}
+
+module.exports = {
+  checkInAppointment,
+  checkOutAppointment,
+  getShopVisit,
+};
@@ -0,0 +1,198 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { parseBoolean } = require('../utils/boolean');
+
+/**
+ * Format a supplier for the response
+ */
+function formatSupplier(supplier) {
+  return {
+    id: supplier.id.toString(),
+    name: supplier.name,
+    contactName: supplier.contactName,
+    email: supplier.email,
+    phone: supplier.phone,
+    address: supplier.address,
+    notes: supplier.notes,
+    isActive: supplier.isActive,
+    createdAt: supplier.createdAt,
+    updatedAt: supplier.updatedAt,
+  };
+}
+
+/**
+ * Get all suppliers
+ */
+async function getAllSuppliers(req, res) {
+  try {
+    const { search, includeInactive } = req.query;
+
+    const where = {};
+
+    if (includeInactive !== 'true') {
+      where.isActive = true;
+    }
+
+    if (search) {
+      where.name = {
+        contains: search,
+        mode: 'insensitive',
+      };
+    }
+
+    const suppliers = await prisma.supplier.findMany({
+      where,
+      orderBy: { name: 'asc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: suppliers.map(formatSupplier),
+    });
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch suppliers',
+    });
+  }
+}
+
+/**
+ * Create a new supplier
+ */
+async function createSupplier(req, res) {
+  try {
+    const { name, contactName, email, phone, address, notes } = req.body;
+
+    // Validate required fields
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Supplier name is required',
+      });
+    }
+
+    const supplier = await prisma.supplier.create({
+      data: {
+        name,
+        contactName,
+        email,
+        phone,
+        address,
+        notes,
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: formatSupplier(supplier),
+    });
+  } catch (error) {
+    console.error('Error creating supplier:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create supplier',
+    });
+  }
+}
+
+/**
+ * Update a supplier
+ */
+async function updateSupplier(req, res) {
+  try {
+    const { supplierId } = req.params;
+    const { name, contactName, email, phone, address, notes, isActive } = req.body;
+
+    const active = isActive !== undefined ? parseBoolean(isActive) : undefined;
+
+    if (active === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive must be true or false',
+      });
+    }
+
+    const supplier = await prisma.supplier.findUnique({
+      where: { id: parseInt(supplierId) },
+    });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found',
+      });
+    }
+
+    const updatedSupplier = await prisma.supplier.update({
+      where: { id: supplier.id },
+      data: {
+        name: name || supplier.name,
+        contactName: contactName !== undefined ? contactName : supplier.contactName,
+        email: email !== undefined ? email : supplier.email,
+        phone: phone !== undefined ? phone : supplier.phone,
+        address: address !== undefined ? address : supplier.address,
+        notes: notes !== undefined ? notes : supplier.notes,
+        isActive: active !== undefined ? active : supplier.isActive,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: formatSupplier(updatedSupplier),
+    });
+  } catch (error) {
+    console.error('Error updating supplier:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update supplier',
+    });
+  }
+}
+
+/**
+ * Deactivate a supplier (kept for purchase order history)
+ */
+async function deactivateSupplier(req, res) {
+  try {
+    const { supplierId } = req.params;
+
+    const supplier = await prisma.supplier.findUnique({
+      where: { id: parseInt(supplierId) },
+    });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found',
+      });
+    }
+
+    const updatedSupplier = await prisma.supplier.update({
+      where: { id: supplier.id },
+      data: { isActive: false },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Supplier deactivated successfully',
+      data: formatSupplier(updatedSupplier),
+    });
+  } catch (error) {
+    console.error('Error deactivating supplier:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate supplier',
+    });
+  }
+}
+
+module.exports = {
+  getAllSuppliers,
+  createSupplier,
+  updateSupplier,
+  deactivateSupplier,
+};
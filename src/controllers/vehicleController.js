@@ -1,6 +1,115 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
-const { uploadVehicleImage, deleteMultipleVehicleImages } = require('../services/supabaseService');
+const {
+  uploadVehicleImage,
+  deleteVehicleImage,
+  deleteMultipleVehicleImages,
+  deleteAttachment,
+} = require('../services/storageService');
+const { processVehicleImage } = require('../services/imageService');
+const { createHttpError } = require('../utils/httpError');
+const { decodeVin, findVinMismatches } = require('../utils/vin');
+const { recordOdometerReading, summarizeMileage } = require('../services/odometerService');
+const { resolveMaintenancePlan, evaluateMaintenancePlan } = require('../services/maintenanceService');
+const { redactPreviousOwnerHistory } = require('../services/vehicleTransferService');
+
+// Image upload fields and the columns holding each image and its thumbnail
+const VEHICLE_IMAGE_SLOTS = [
+  { field: 'exteriorImage1', thumbnailField: 'exteriorImage1Thumb' },
+  { field: 'exteriorImage2', thumbnailField: 'exteriorImage2Thumb' },
+  { field: 'interiorImage', thumbnailField: 'interiorImageThumb' },
+];
+
+// Most images a vehicle's gallery can hold
+const MAX_GALLERY_IMAGES = 20;
+
+/**
+ * Validate, clean up and store an uploaded vehicle image along with its thumbnail
+ */
+async function storeVehicleImage(file) {
+  const { contentType, extension, image, thumbnail } = await processVehicleImage(file.buffer);
+  const baseName = file.originalname.replace(/\.[^.]*$/, '');
+
+  const url = await uploadVehicleImage(image, `${baseName}.${extension}`, contentType);
+
+  try {
+    const thumbnailUrl = await uploadVehicleImage(thumbnail, `${baseName}-thumb.${extension}`, contentType);
+    return { url, thumbnailUrl };
+  } catch (error) {
+    await deleteVehicleImage(url);
+    throw error;
+  }
+}
+
+/**
+ * Find a vehicle belonging to the authenticated customer
+ */
+async function findCustomerVehicle(userId, vehicleId) {
+  const customer = await prisma.customer.findUnique({
+    where: { userId },
+  });
+
+  if (!customer) {
+    throw createHttpError(404, 'Customer profile not found');
+  }
+
+  const vehicle = await prisma.vehicle.findFirst({
+    where: {
+      id: parseInt(vehicleId),
+      customerId: customer.id,
+    },
+  });
+
+  if (!vehicle) {
+    throw createHttpError(404, 'Vehicle not found');
+  }
+
+  return vehicle;
+}
+
+/**
+ * Look up an image slot by its upload field name
+ */
+function findImageSlot(slotName) {
+  const slot = VEHICLE_IMAGE_SLOTS.find((imageSlot) => imageSlot.field === slotName);
+
+  if (!slot) {
+    throw createHttpError(400, `Invalid image slot. Must be one of: ${VEHICLE_IMAGE_SLOTS.map((imageSlot) => imageSlot.field).join(', ')}`);
+  }
+
+  return slot;
+}
+
+/**
+ * Format a gallery image for the response
+ */
+function formatGalleryImage(image) {
+  return {
+    id: image.id.toString(),
+    url: image.url,
+    thumbnailUrl: image.thumbnailUrl || image.url,
+    sortOrder: image.sortOrder,
+    createdAt: image.createdAt,
+  };
+}
+
+/**
+ * Send the error response for a failed vehicle request
+ */
+function handleVehicleError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+  });
+}
 
 /**
  * Get all vehicles for the authenticated customer
@@ -75,9 +184,18 @@ async function getVehicleById(req, res) {
       });
     }
 
+    const odometerReadings = await prisma.odometerReading.findMany({
+      where: { vehicleId: vehicle.id },
+    });
+    const { averageKmPerMonth, history } = summarizeMileage(odometerReadings);
+
     return res.status(200).json({
       success: true,
-      data: vehicle,
+      data: {
+        ...vehicle,
+        mileageHistory: history,
+        averageKmPerMonth,
+      },
     });
   } catch (error) {
     console.error('Error fetching vehicle:', error);
@@ -94,7 +212,26 @@ async function getVehicleById(req, res) {
 async function createVehicle(req, res) {
   try {
     const userId = req.user.userId;
-    const { make, model, year, licensePlate, vin, color, mileage } = req.body;
+    const { model, licensePlate, color, mileage } = req.body;
+    let { make, year, vin } = req.body;
+    let vinWarnings = [];
+
+    // Validate the VIN and fill in the make and year it encodes
+    if (vin) {
+      const decoded = decodeVin(vin);
+
+      if (!decoded.valid) {
+        return res.status(400).json({
+          success: false,
+          error: decoded.error,
+        });
+      }
+
+      vin = decoded.vin;
+      vinWarnings = findVinMismatches(decoded, { make, year });
+      make = make || decoded.make;
+      year = year || decoded.modelYear;
+    }
 
     // Validate required fields
     if (!make || !model || !year) {
@@ -104,6 +241,14 @@ async function createVehicle(req, res) {
       });
     }
 
+    const initialMileage = mileage ? parseInt(mileage) : null;
+    if (initialMileage !== null && (Number.isNaN(initialMileage) || initialMileage < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Mileage must be a whole number of km, zero or more',
+      });
+    }
+
     // Get customer ID
     const customer = await prisma.customer.findUnique({
       where: { userId },
@@ -117,40 +262,27 @@ async function createVehicle(req, res) {
     }
 
     // Handle image uploads
-    let exteriorImage1Url = null;
-    let exteriorImage2Url = null;
-    let interiorImageUrl = null;
+    const imageData = {};
 
     try {
-      // Upload exterior images if provided
-      if (req.files && req.files.exteriorImage1) {
-        const file = req.files.exteriorImage1[0];
-        exteriorImage1Url = await uploadVehicleImage(
-          file.buffer,
-          file.originalname,
-          file.mimetype
-        );
+      for (const slot of VEHICLE_IMAGE_SLOTS) {
+        if (req.files && req.files[slot.field]) {
+          const { url, thumbnailUrl } = await storeVehicleImage(req.files[slot.field][0]);
+          imageData[slot.field] = url;
+          imageData[slot.thumbnailField] = thumbnailUrl;
+        }
       }
-
-      if (req.files && req.files.exteriorImage2) {
-        const file = req.files.exteriorImage2[0];
-        exteriorImage2Url = await uploadVehicleImage(
-          file.buffer,
-          file.originalname,
-          file.mimetype
-        );
+    } catch (uploadError) {
+      // Don't keep the images that made it before the failure
+      await deleteMultipleVehicleImages(Object.values(imageData));
+
+      if (uploadError.status) {
+        return res.status(uploadError.status).json({
+          success: false,
+          error: uploadError.message,
+        });
       }
 
-      // Upload interior image if provided
-      if (req.files && req.files.interiorImage) {
-        const file = req.files.interiorImage[0];
-        interiorImageUrl = await uploadVehicleImage(
-          file.buffer,
-          file.originalname,
-          file.mimetype
-        );
-      }
-    } catch (uploadError) {
       console.error('Error uploading images:', uploadError);
       return res.status(500).json({
         success: false,
@@ -166,12 +298,14 @@ async function createVehicle(req, res) {
         model,
         year: parseInt(year),
         licensePlate,
-        vin,
+        vin: vin || null,
         color,
-        mileage: mileage ? parseInt(mileage) : null,
-        exteriorImage1: exteriorImage1Url,
-        exteriorImage2: exteriorImage2Url,
-        interiorImage: interiorImageUrl,
+        mileage: initialMileage,
+        ...imageData,
+        // The mileage entered on creation is the first odometer reading
+        odometerReadings: initialMileage !== null
+          ? { create: { reading: initialMileage, source: 'customer', recordedBy: userId } }
+          : undefined,
       },
     });
 
@@ -179,6 +313,7 @@ async function createVehicle(req, res) {
       success: true,
       message: 'Vehicle created successfully',
       data: vehicle,
+      warnings: vinWarnings,
     });
   } catch (error) {
     console.error('Error creating vehicle:', error);
@@ -225,26 +360,62 @@ async function updateVehicle(req, res) {
       });
     }
 
-    // Update vehicle
-    const updatedVehicle = await prisma.vehicle.update({
-      where: { id: parseInt(vehicleId) },
-      data: {
-        make: make || existingVehicle.make,
-        model: model || existingVehicle.model,
-        year: year ? parseInt(year) : existingVehicle.year,
-        licensePlate: licensePlate !== undefined ? licensePlate : existingVehicle.licensePlate,
-        vin: vin !== undefined ? vin : existingVehicle.vin,
-        color: color !== undefined ? color : existingVehicle.color,
-        mileage: mileage !== undefined ? (mileage ? parseInt(mileage) : null) : existingVehicle.mileage,
-      },
+    // Validate a new VIN; an empty one clears it
+    let newVin = vin;
+    if (vin) {
+      const decoded = decodeVin(vin);
+
+      if (!decoded.valid) {
+        return res.status(400).json({
+          success: false,
+          error: decoded.error,
+        });
+      }
+
+      newVin = decoded.vin;
+    }
+
+    // Update vehicle; a new mileage is kept as an odometer reading and cannot go backwards
+    const updatedVehicle = await prisma.$transaction(async (tx) => {
+      if (mileage !== undefined && mileage !== null && mileage !== '' && parseInt(mileage) !== existingVehicle.mileage) {
+        await recordOdometerReading(tx, existingVehicle, {
+          reading: mileage,
+          source: 'customer',
+          recordedBy: userId,
+        });
+      }
+
+      return tx.vehicle.update({
+        where: { id: parseInt(vehicleId) },
+        data: {
+          make: make || existingVehicle.make,
+          model: model || existingVehicle.model,
+          year: year ? parseInt(year) : existingVehicle.year,
+          licensePlate: licensePlate !== undefined ? licensePlate : existingVehicle.licensePlate,
+          vin: vin !== undefined ? (newVin || null) : existingVehicle.vin,
+          color: color !== undefined ? color : existingVehicle.color,
+        },
+      });
     });
 
+    // Cross-check the VIN against the make and year the vehicle ends up with
+    const decodedVin = updatedVehicle.vin ? decodeVin(updatedVehicle.vin) : null;
+    const vinWarnings = decodedVin && decodedVin.valid ? findVinMismatches(decodedVin, updatedVehicle) : [];
+
     return res.status(200).json({
       success: true,
       message: 'Vehicle updated successfully',
       data: updatedVehicle,
+      warnings: vinWarnings,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     console.error('Error updating vehicle:', error);
     return res.status(500).json({
       success: false,
@@ -288,22 +459,33 @@ async function deleteVehicle(req, res) {
       });
     }
 
-    // Delete associated images from Supabase
+    // Delete associated images from storage
+    const galleryImages = await prisma.vehicleImage.findMany({
+      where: { vehicleId: vehicle.id },
+    });
+
     const imageUrls = [
-      vehicle.exteriorImage1,
-      vehicle.exteriorImage2,
-      vehicle.interiorImage,
+      ...VEHICLE_IMAGE_SLOTS.flatMap((slot) => [vehicle[slot.field], vehicle[slot.thumbnailField]]),
+      ...galleryImages.flatMap((image) => [image.url, image.thumbnailUrl]),
     ].filter(Boolean);
 
     if (imageUrls.length > 0) {
       await deleteMultipleVehicleImages(imageUrls);
     }
 
+    const documents = await prisma.vehicleDocument.findMany({
+      where: { vehicleId: vehicle.id },
+      select: { storagePath: true },
+    });
+
     // Delete vehicle
     await prisma.vehicle.delete({
       where: { id: parseInt(vehicleId) },
     });
 
+    // Stored documents are deleted with the vehicle, so remove their files too
+    await Promise.all(documents.map((document) => deleteAttachment(document.storagePath)));
+
     return res.status(200).json({
       success: true,
       message: 'Vehicle deleted successfully',
@@ -317,6 +499,32 @@ async function deleteVehicle(req, res) {
   }
 }
 
+/**
+ * Get the appointments of a vehicle, newest first
+ */
+async function findServiceHistory(vehicleId) {
+  return prisma.appointment.findMany({
+    where: { vehicleId },
+    include: {
+      service: true,
+      serviceLogs: {
+        include: {
+          employee: {
+            include: {
+              user: {
+                select: {
+                  email: true,
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    orderBy: { scheduledDate: 'desc' },
+  });
+}
+
 /**
  * Get service history for a specific vehicle
  */
@@ -352,31 +560,13 @@ async function getVehicleServiceHistory(req, res) {
       });
     }
 
-    // Get service history (appointments for this vehicle)
-    const serviceHistory = await prisma.appointment.findMany({
-      where: { vehicleId: parseInt(vehicleId) },
-      include: {
-        service: true,
-        serviceLogs: {
-          include: {
-            employee: {
-              include: {
-                user: {
-                  select: {
-                    email: true,
-                  },
-                },
-              },
-            },
-          },
-        },
-      },
-      orderBy: { scheduledDate: 'desc' },
-    });
+    // Get service history (appointments for this vehicle), including work
+    // booked by earlier owners without what they wrote themselves
+    const serviceHistory = await findServiceHistory(vehicle.id);
 
     return res.status(200).json({
       success: true,
-      data: serviceHistory,
+      data: redactPreviousOwnerHistory(serviceHistory, customer.id),
     });
   } catch (error) {
     console.error('Error fetching vehicle service history:', error);
@@ -417,6 +607,12 @@ async function getVehicleImages(req, res) {
         exteriorImage1: true,
         exteriorImage2: true,
         interiorImage: true,
+        exteriorImage1Thumb: true,
+        exteriorImage2Thumb: true,
+        interiorImageThumb: true,
+        galleryImages: {
+          orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+        },
       },
     });
 
@@ -427,11 +623,18 @@ async function getVehicleImages(req, res) {
       });
     }
 
+    // Images uploaded before thumbnails existed fall back to the full-size image
+    const exteriorSlots = VEHICLE_IMAGE_SLOTS
+      .filter((slot) => slot.field.startsWith('exterior') && vehicle[slot.field]);
+
     return res.status(200).json({
       success: true,
       data: {
-        exteriorImages: [vehicle.exteriorImage1, vehicle.exteriorImage2].filter(Boolean),
+        exteriorImages: exteriorSlots.map((slot) => vehicle[slot.field]),
+        exteriorThumbnails: exteriorSlots.map((slot) => vehicle[slot.thumbnailField] || vehicle[slot.field]),
         interiorImage: vehicle.interiorImage,
+        interiorThumbnail: vehicle.interiorImageThumb || vehicle.interiorImage,
+        gallery: vehicle.galleryImages.map(formatGalleryImage),
       },
     });
   } catch (error) {
@@ -443,6 +646,299 @@ async function getVehicleImages(req, res) {
   }
 }
 
+/**
+ * Upload a replacement for one of the vehicle's image slots
+ */
+async function replaceVehicleImage(req, res) {
+  try {
+    const { vehicleId, slot: slotName } = req.params;
+
+    const slot = findImageSlot(slotName);
+    const vehicle = await findCustomerVehicle(req.user.userId, vehicleId);
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'An image is required',
+      });
+    }
+
+    const { url, thumbnailUrl } = await storeVehicleImage(req.file);
+
+    let updatedVehicle;
+    try {
+      updatedVehicle = await prisma.vehicle.update({
+        where: { id: vehicle.id },
+        data: {
+          [slot.field]: url,
+          [slot.thumbnailField]: thumbnailUrl,
+        },
+      });
+    } catch (error) {
+      await deleteMultipleVehicleImages([url, thumbnailUrl]);
+      throw error;
+    }
+
+    // Only remove the old image once the new one is saved
+    for (const oldUrl of [vehicle[slot.field], vehicle[slot.thumbnailField]]) {
+      if (oldUrl) {
+        await deleteVehicleImage(oldUrl);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Vehicle image replaced successfully',
+      data: updatedVehicle,
+    });
+  } catch (error) {
+    return handleVehicleError(res, error, 'Failed to replace vehicle image');
+  }
+}
+
+/**
+ * Remove the image in one of the vehicle's image slots
+ */
+async function removeVehicleImage(req, res) {
+  try {
+    const { vehicleId, slot: slotName } = req.params;
+
+    const slot = findImageSlot(slotName);
+    const vehicle = await findCustomerVehicle(req.user.userId, vehicleId);
+
+    if (!vehicle[slot.field]) {
+      return res.status(404).json({
+        success: false,
+        error: 'There is no image in this slot',
+      });
+    }
+
+    const updatedVehicle = await prisma.vehicle.update({
+      where: { id: vehicle.id },
+      data: {
+        [slot.field]: null,
+        [slot.thumbnailField]: null,
+      },
+    });
+
+    for (const oldUrl of [vehicle[slot.field], vehicle[slot.thumbnailField]]) {
+      if (oldUrl) {
+        await deleteVehicleImage(oldUrl);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Vehicle image removed successfully',
+      data: updatedVehicle,
+    });
+  } catch (error) {
+    return handleVehicleError(res, error, 'Failed to remove vehicle image');
+  }
+}
+
+/**
+ * Add images to the end of the vehicle's gallery
+ */
+async function addGalleryImages(req, res) {
+  try {
+    const { vehicleId } = req.params;
+
+    const vehicle = await findCustomerVehicle(req.user.userId, vehicleId);
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one image is required',
+      });
+    }
+
+    const existingImages = await prisma.vehicleImage.findMany({
+      where: { vehicleId: vehicle.id },
+      select: { sortOrder: true },
+    });
+
+    if (existingImages.length + req.files.length > MAX_GALLERY_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        error: `A vehicle gallery can hold at most ${MAX_GALLERY_IMAGES} images`,
+      });
+    }
+
+    const nextSortOrder = existingImages.reduce((max, image) => Math.max(max, image.sortOrder + 1), 0);
+    const storedImages = [];
+
+    try {
+      for (const file of req.files) {
+        storedImages.push(await storeVehicleImage(file));
+      }
+
+      await prisma.vehicleImage.createMany({
+        data: storedImages.map((image, index) => ({
+          vehicleId: vehicle.id,
+          url: image.url,
+          thumbnailUrl: image.thumbnailUrl,
+          sortOrder: nextSortOrder + index,
+        })),
+      });
+    } catch (error) {
+      // Don't keep the images that made it before the failure
+      await deleteMultipleVehicleImages(storedImages.flatMap((image) => [image.url, image.thumbnailUrl]));
+      throw error;
+    }
+
+    const gallery = await prisma.vehicleImage.findMany({
+      where: { vehicleId: vehicle.id },
+      orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Images added to gallery successfully',
+      data: gallery.map(formatGalleryImage),
+    });
+  } catch (error) {
+    return handleVehicleError(res, error, 'Failed to add gallery images');
+  }
+}
+
+/**
+ * Reorder the vehicle's gallery
+ */
+async function reorderGalleryImages(req, res) {
+  try {
+    const { vehicleId } = req.params;
+    const { imageIds } = req.body;
+
+    const vehicle = await findCustomerVehicle(req.user.userId, vehicleId);
+
+    const galleryImages = await prisma.vehicleImage.findMany({
+      where: { vehicleId: vehicle.id },
+      select: { id: true },
+    });
+
+    // The new order must list every gallery image exactly once
+    const orderedIds = Array.isArray(imageIds) ? imageIds.map((id) => parseInt(id)) : [];
+    const galleryIds = galleryImages.map((image) => image.id);
+
+    if (
+      orderedIds.length !== galleryIds.length
+      || new Set(orderedIds).size !== orderedIds.length
+      || !orderedIds.every((id) => galleryIds.includes(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: 'imageIds must list every gallery image of this vehicle exactly once',
+      });
+    }
+
+    await prisma.$transaction(
+      orderedIds.map((id, index) => prisma.vehicleImage.update({
+        where: { id },
+        data: { sortOrder: index },
+      }))
+    );
+
+    const gallery = await prisma.vehicleImage.findMany({
+      where: { vehicleId: vehicle.id },
+      orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Gallery reordered successfully',
+      data: gallery.map(formatGalleryImage),
+    });
+  } catch (error) {
+    return handleVehicleError(res, error, 'Failed to reorder gallery');
+  }
+}
+
+/**
+ * Remove an image from the vehicle's gallery
+ */
+async function removeGalleryImage(req, res) {
+  try {
+    const { vehicleId, imageId } = req.params;
+
+    const vehicle = await findCustomerVehicle(req.user.userId, vehicleId);
+
+    const image = await prisma.vehicleImage.findFirst({
+      where: {
+        id: parseInt(imageId),
+        vehicleId: vehicle.id,
+      },
+    });
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gallery image not found',
+      });
+    }
+
+    await prisma.vehicleImage.delete({
+      where: { id: image.id },
+    });
+
+    for (const oldUrl of [image.url, image.thumbnailUrl]) {
+      if (oldUrl) {
+        await deleteVehicleImage(oldUrl);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Gallery image removed successfully',
+    });
+  } catch (error) {
+    return handleVehicleError(res, error, 'Failed to remove gallery image');
+  }
+}
+
+/**
+ * Get the maintenance that is overdue or coming up for a vehicle
+ */
+async function getMaintenanceDue(req, res) {
+  try {
+    const { vehicleId } = req.params;
+
+    const vehicle = await findCustomerVehicle(req.user.userId, vehicleId);
+
+    const [planItems, serviceHistory, odometerReadings] = await Promise.all([
+      prisma.maintenancePlanItem.findMany({
+        where: { isActive: true },
+        include: { service: true },
+      }),
+      findServiceHistory(vehicle.id),
+      prisma.odometerReading.findMany({
+        where: { vehicleId: vehicle.id },
+      }),
+    ]);
+
+    const { currentMileage, averageKmPerMonth } = summarizeMileage(odometerReadings);
+    const { overdue, upcoming } = evaluateMaintenancePlan(
+      vehicle,
+      resolveMaintenancePlan(planItems, vehicle),
+      serviceHistory,
+      odometerReadings,
+      { currentMileage, averageKmPerMonth }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        currentMileage: currentMileage !== null ? currentMileage : vehicle.mileage,
+        averageKmPerMonth,
+        overdue,
+        upcoming,
+      },
+    });
+  } catch (error) {
+    return handleVehicleError(res, error, 'Failed to fetch maintenance schedule');
+  }
+}
+
 module.exports = {
   getCustomerVehicles,
   getVehicleById,
@@ -451,4 +947,10 @@ module.exports = {
   deleteVehicle,
   getVehicleServiceHistory,
   getVehicleImages,
+  replaceVehicleImage,
+  removeVehicleImage,
+  addGalleryImages,
+  reorderGalleryImages,
+  removeGalleryImage,
+  getMaintenanceDue,
 };
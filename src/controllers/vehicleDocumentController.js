@@ -0,0 +1,264 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const {
+  VEHICLE_DOCUMENT_TYPES,
+  formatVehicleDocument,
+  validateVehicleDocument,
+} = require('../services/vehicleDocumentService');
+const {
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+} = require('../services/storageService');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Find a vehicle belonging to the authenticated customer
+ */
+async function findCustomerVehicle(userId, vehicleId) {
+  const customer = await prisma.customer.findUnique({
+    where: { userId },
+  });
+
+  if (!customer) {
+    throw createHttpError(404, 'Customer profile not found');
+  }
+
+  const vehicle = await prisma.vehicle.findFirst({
+    where: {
+      id: parseInt(vehicleId),
+      customerId: customer.id,
+    },
+  });
+
+  if (!vehicle) {
+    throw createHttpError(404, 'Vehicle not found');
+  }
+
+  return { customer, vehicle };
+}
+
+/**
+ * Find a document the customer stored for one of their vehicles
+ */
+async function findCustomerDocument(userId, vehicleId, documentId) {
+  const { customer, vehicle } = await findCustomerVehicle(userId, vehicleId);
+
+  const document = await prisma.vehicleDocument.findFirst({
+    where: {
+      id: parseInt(documentId),
+      vehicleId: vehicle.id,
+      customerId: customer.id,
+    },
+  });
+
+  if (!document) {
+    throw createHttpError(404, 'Document not found');
+  }
+
+  return document;
+}
+
+/**
+ * Send the error response for a failed document request
+ */
+function handleDocumentError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+  });
+}
+
+/**
+ * Get the documents stored for a vehicle (filter by type)
+ */
+async function getVehicleDocuments(req, res) {
+  try {
+    const { vehicleId } = req.params;
+    const { type } = req.query;
+
+    const { customer, vehicle } = await findCustomerVehicle(req.user.userId, vehicleId);
+
+    if (type && !VEHICLE_DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid document type. Must be one of: ${VEHICLE_DOCUMENT_TYPES.join(', ')}`,
+      });
+    }
+
+    // Documents of earlier owners stay private to them
+    const documents = await prisma.vehicleDocument.findMany({
+      where: {
+        vehicleId: vehicle.id,
+        customerId: customer.id,
+        ...(type ? { type } : {}),
+      },
+      orderBy: [{ type: 'asc' }, { expiryDate: 'desc' }],
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: documents.map(formatVehicleDocument),
+    });
+  } catch (error) {
+    return handleDocumentError(res, error, 'Failed to fetch vehicle documents');
+  }
+}
+
+/**
+ * Store a document for a vehicle (multipart field "file")
+ */
+async function createVehicleDocument(req, res) {
+  try {
+    const { vehicleId } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A file is required',
+      });
+    }
+
+    const { customer, vehicle } = await findCustomerVehicle(req.user.userId, vehicleId);
+    const fields = validateVehicleDocument(req.body);
+
+    const storagePath = await uploadAttachment(req.file.buffer, req.file.originalname, req.file.mimetype);
+
+    let document;
+    try {
+      document = await prisma.vehicleDocument.create({
+        data: {
+          ...fields,
+          vehicleId: vehicle.id,
+          customerId: customer.id,
+          fileName: req.file.originalname,
+          storagePath,
+          contentType: req.file.mimetype,
+          size: req.file.size,
+        },
+      });
+    } catch (error) {
+      // Don't leave the uploaded file behind if the record can't be saved
+      await deleteAttachment(storagePath);
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Document stored successfully',
+      data: formatVehicleDocument(document),
+    });
+  } catch (error) {
+    return handleDocumentError(res, error, 'Failed to store vehicle document');
+  }
+}
+
+/**
+ * Update the details of a document, optionally replacing its file
+ * (e.g. with the renewed policy)
+ */
+async function updateVehicleDocument(req, res) {
+  try {
+    const { vehicleId, documentId } = req.params;
+
+    const document = await findCustomerDocument(req.user.userId, vehicleId, documentId);
+    const fields = validateVehicleDocument(req.body, document);
+
+    let newStoragePath = null;
+    if (req.file) {
+      newStoragePath = await uploadAttachment(req.file.buffer, req.file.originalname, req.file.mimetype);
+    }
+
+    let updatedDocument;
+    try {
+      updatedDocument = await prisma.vehicleDocument.update({
+        where: { id: document.id },
+        data: {
+          ...fields,
+          ...(req.file ? {
+            fileName: req.file.originalname,
+            storagePath: newStoragePath,
+            contentType: req.file.mimetype,
+            size: req.file.size,
+          } : {}),
+        },
+      });
+    } catch (error) {
+      if (newStoragePath) {
+        await deleteAttachment(newStoragePath);
+      }
+      throw error;
+    }
+
+    // Remove the replaced file only once the record points at the new one
+    if (newStoragePath) {
+      await deleteAttachment(document.storagePath);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Document updated successfully',
+      data: formatVehicleDocument(updatedDocument),
+    });
+  } catch (error) {
+    return handleDocumentError(res, error, 'Failed to update vehicle document');
+  }
+}
+
+/**
+ * Download the file of a document
+ */
+async function downloadVehicleDocument(req, res) {
+  try {
+    const { vehicleId, documentId } = req.params;
+
+    const document = await findCustomerDocument(req.user.userId, vehicleId, documentId);
+    const file = await downloadAttachment(document.storagePath);
+
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${document.fileName.replace(/"/g, '')}"`);
+    return res.status(200).send(file);
+  } catch (error) {
+    return handleDocumentError(res, error, 'Failed to download vehicle document');
+  }
+}
+
+/**
+ * Delete a document and its file
+ */
+async function deleteVehicleDocument(req, res) {
+  try {
+    const { vehicleId, documentId } = req.params;
+
+    const document = await findCustomerDocument(req.user.userId, vehicleId, documentId);
+
+    await prisma.vehicleDocument.delete({
+      where: { id: document.id },
+    });
+
+    await deleteAttachment(document.storagePath);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully',
+    });
+  } catch (error) {
+    return handleDocumentError(res, error, 'Failed to delete vehicle document');
+  }
+}
+
+module.exports = {
+  getVehicleDocuments,
+  createVehicleDocument,
+  updateVehicleDocument,
+  downloadVehicleDocument,
+  deleteVehicleDocument,
+};
@@ -0,0 +1,247 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const {
+  formatVehicleTransfer,
+  initiateVehicleTransfer,
+  respondToVehicleTransfer,
+  cancelVehicleTransfer,
+} = require('../services/vehicleTransferService');
+const { createHttpError } = require('../utils/httpError');
+
+const TRANSFER_INCLUDE = {
+  vehicle: true,
+  fromCustomer: true,
+  toCustomer: true,
+};
+
+/**
+ * Find the customer profile of the authenticated user
+ */
+async function findCustomer(userId) {
+  const customer = await prisma.customer.findUnique({
+    where: { userId },
+  });
+
+  if (!customer) {
+    throw createHttpError(404, 'Customer profile not found');
+  }
+
+  return customer;
+}
+
+/**
+ * Find a transfer, restricted to transfers offered to the customer unless
+ * the user is an admin
+ */
+async function findIncomingTransfer(user, transferId) {
+  const where = { id: parseInt(transferId) };
+
+  if (user.role !== 'admin') {
+    const customer = await findCustomer(user.userId);
+    where.toCustomerId = customer.id;
+  }
+
+  const transfer = await prisma.vehicleTransfer.findFirst({
+    where,
+    include: TRANSFER_INCLUDE,
+  });
+
+  if (!transfer) {
+    throw createHttpError(404, 'Vehicle transfer not found');
+  }
+
+  return transfer;
+}
+
+/**
+ * Send the error response for a failed transfer request
+ */
+function handleTransferError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+  });
+}
+
+/**
+ * Offer one of the customer's vehicles to another customer
+ */
+async function initiateTransfer(req, res) {
+  try {
+    const { vehicleId } = req.params;
+    const { newOwnerEmail, note } = req.body;
+
+    const customer = await findCustomer(req.user.userId);
+
+    const vehicle = await prisma.vehicle.findFirst({
+      where: {
+        id: parseInt(vehicleId),
+        customerId: customer.id,
+      },
+      include: { customer: true },
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found',
+      });
+    }
+
+    const transfer = await initiateVehicleTransfer(prisma, vehicle, { newOwnerEmail, note });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Transfer started. The vehicle moves once the new owner accepts it',
+      data: formatVehicleTransfer(transfer),
+    });
+  } catch (error) {
+    return handleTransferError(res, error, 'Failed to start vehicle transfer');
+  }
+}
+
+/**
+ * Cancel the pending transfer of one of the customer's vehicles
+ */
+async function cancelTransfer(req, res) {
+  try {
+    const { vehicleId } = req.params;
+
+    const customer = await findCustomer(req.user.userId);
+
+    const transfer = await prisma.vehicleTransfer.findFirst({
+      where: {
+        vehicleId: parseInt(vehicleId),
+        fromCustomerId: customer.id,
+        status: 'pending',
+      },
+      include: TRANSFER_INCLUDE,
+    });
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending transfer for this vehicle',
+      });
+    }
+
+    const cancelled = await cancelVehicleTransfer(prisma, transfer, req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Transfer cancelled',
+      data: formatVehicleTransfer(cancelled),
+    });
+  } catch (error) {
+    return handleTransferError(res, error, 'Failed to cancel vehicle transfer');
+  }
+}
+
+/**
+ * Get the transfers offered to and by the authenticated customer
+ */
+async function getMyTransfers(req, res) {
+  try {
+    const customer = await findCustomer(req.user.userId);
+
+    const transfers = await prisma.vehicleTransfer.findMany({
+      where: {
+        OR: [
+          { fromCustomerId: customer.id },
+          { toCustomerId: customer.id },
+        ],
+      },
+      include: TRANSFER_INCLUDE,
+      orderBy: { initiatedAt: 'desc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        incoming: transfers
+          .filter((transfer) => transfer.toCustomerId === customer.id)
+          .map(formatVehicleTransfer),
+        outgoing: transfers
+          .filter((transfer) => transfer.fromCustomerId === customer.id)
+          .map(formatVehicleTransfer),
+      },
+    });
+  } catch (error) {
+    return handleTransferError(res, error, 'Failed to fetch vehicle transfers');
+  }
+}
+
+/**
+ * Accept or reject a transfer (the new owner, or an admin on their behalf)
+ */
+async function respondToTransfer(req, res) {
+  try {
+    const { transferId } = req.params;
+    const { decision } = req.body;
+
+    if (!decision) {
+      return res.status(400).json({
+        success: false,
+        error: 'Decision is required',
+      });
+    }
+
+    const transfer = await findIncomingTransfer(req.user, transferId);
+
+    const updatedTransfer = await respondToVehicleTransfer(prisma, transfer, {
+      decision,
+      userId: req.user.userId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: decision === 'accept' ? 'Transfer accepted. The vehicle now belongs to the new owner' : 'Transfer rejected',
+      data: formatVehicleTransfer(updatedTransfer),
+    });
+  } catch (error) {
+    return handleTransferError(res, error, 'Failed to respond to vehicle transfer');
+  }
+}
+
+/**
+ * Get all vehicle transfers (admin only, filter by status)
+ */
+async function getAllTransfers(req, res) {
+  try {
+    const { status } = req.query;
+
+    const transfers = await prisma.vehicleTransfer.findMany({
+      where: status ? { status } : {},
+      include: TRANSFER_INCLUDE,
+      orderBy: { initiatedAt: 'desc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: transfers.map((transfer) => ({
+        ...formatVehicleTransfer(transfer),
+        fromCustomerId: transfer.fromCustomerId,
+        toCustomerId: transfer.toCustomerId,
+        respondedBy: transfer.respondedBy,
+      })),
+    });
+  } catch (error) {
+    return handleTransferError(res, error, 'Failed to fetch vehicle transfers');
+  }
+}
+
+module.exports = {
+  initiateTransfer,
+  cancelTransfer,
+  getMyTransfers,
+  respondToTransfer,
+  getAllTransfers,
+};
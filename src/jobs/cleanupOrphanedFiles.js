@@ -0,0 +1,186 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const {
+  VEHICLE_IMAGE_BUCKET,
+  ATTACHMENT_BUCKET,
+  storageKeyFromUrl,
+  listStoredFiles,
+  removeStoredFiles,
+} = require('../services/storageService');
+
+/**
+ * Find stored files no database record points at and report or delete them.
+ *
+ * Usage:
+ *   npm run storage:cleanup                      # report only
+ *   npm run storage:cleanup -- --delete          # delete the orphans
+ *   npm run storage:cleanup -- --grace-hours=48  # only touch files older than 48 hours
+ */
+
+// Uploads happen before their record is saved, so recent files may not be referenced yet
+const DEFAULT_GRACE_HOURS = 24;
+
+// Files are removed in batches to keep each storage request small
+const DELETE_BATCH_SIZE = 100;
+
+/**
+ * Collect the storage keys referenced by the database, per bucket
+ * @param {object} db - Prisma client
+ * @returns {Promise<object>} - Bucket name -> Set of referenced keys
+ */
+async function getReferencedKeys(db) {
+  const [vehicles, galleryImages, attachments, documents] = await Promise.all([
+    db.vehicle.findMany({
+      select: {
+        exteriorImage1: true,
+        exteriorImage2: true,
+        interiorImage: true,
+        exteriorImage1Thumb: true,
+        exteriorImage2Thumb: true,
+        interiorImageThumb: true,
+      },
+    }),
+    db.vehicleImage.findMany({
+      select: { url: true, thumbnailUrl: true },
+    }),
+    db.attachment.findMany({
+      select: { storagePath: true },
+    }),
+    db.vehicleDocument.findMany({
+      select: { storagePath: true },
+    }),
+  ]);
+
+  const vehicleImageUrls = [
+    ...vehicles.flatMap((vehicle) => Object.values(vehicle)),
+    ...galleryImages.flatMap((image) => [image.url, image.thumbnailUrl]),
+  ].filter(Boolean);
+
+  return {
+    [VEHICLE_IMAGE_BUCKET]: new Set(vehicleImageUrls.map(storageKeyFromUrl)),
+    // Vehicle documents are kept in the attachments bucket too
+    [ATTACHMENT_BUCKET]: new Set([...attachments, ...documents].map((file) => file.storagePath)),
+  };
+}
+
+/**
+ * Compare stored files against the database
+ * @param {object} db - Prisma client
+ * @param {object} options
+ * @param {number} options.graceHours - Files younger than this are never reported
+ * @returns {Promise<Array<{bucket: string, scanned: number, recent: number, orphans: Array<object>}>>}
+ */
+async function findOrphanedFiles(db, { graceHours }) {
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+  const buckets = [VEHICLE_IMAGE_BUCKET, ATTACHMENT_BUCKET];
+
+  // List files before reading references, so a file saved in between is seen as referenced
+  const storedFiles = await Promise.all(buckets.map((bucket) => listStoredFiles(bucket)));
+  const referencedKeys = await getReferencedKeys(db);
+
+  return buckets.map((bucket, index) => {
+    const unreferenced = storedFiles[index].filter((file) => !referencedKeys[bucket].has(file.key));
+
+    return {
+      bucket,
+      scanned: storedFiles[index].length,
+      recent: unreferenced.filter((file) => file.createdAt >= cutoff).length,
+      orphans: unreferenced.filter((file) => file.createdAt < cutoff),
+    };
+  });
+}
+
+/**
+ * Report orphaned files, deleting them when asked to
+ * @param {object} db - Prisma client
+ * @param {object} options
+ * @param {number} options.graceHours - Files younger than this are left alone
+ * @param {boolean} options.deleteFiles - Delete the orphans instead of only reporting them
+ * @returns {Promise<Array<object>>} - Per-bucket results, with the number of files deleted
+ */
+async function cleanupOrphanedFiles(db, { graceHours, deleteFiles }) {
+  const results = await findOrphanedFiles(db, { graceHours });
+
+  for (const result of results) {
+    result.deleted = 0;
+
+    if (!deleteFiles) {
+      continue;
+    }
+
+    const keys = result.orphans.map((file) => file.key);
+    for (let start = 0; start < keys.length; start += DELETE_BATCH_SIZE) {
+      const batch = keys.slice(start, start + DELETE_BATCH_SIZE);
+      await removeStoredFiles(result.bucket, batch);
+      result.deleted += batch.length;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Read the command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{graceHours: number, deleteFiles: boolean}}
+ */
+function parseArgs(args) {
+  const options = { graceHours: DEFAULT_GRACE_HOURS, deleteFiles: false };
+
+  for (const arg of args) {
+    if (arg === '--delete') {
+      options.deleteFiles = true;
+    } else if (arg.startsWith('--grace-hours=')) {
+      options.graceHours = Number(arg.split('=')[1]);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!Number.isFinite(options.graceHours) || options.graceHours < 0) {
+    throw new Error('--grace-hours must be a non-negative number');
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const prisma = new PrismaClient();
+
+  try {
+    console.log(`Looking for orphaned files older than ${options.graceHours} hours${options.deleteFiles ? '' : ' (report only)'}...`);
+
+    const results = await cleanupOrphanedFiles(prisma, options);
+
+    for (const result of results) {
+      console.log(`\n${result.bucket}: ${result.scanned} files, ${result.orphans.length} orphaned, ${result.recent} unreferenced within the grace period`);
+
+      for (const file of result.orphans) {
+        console.log(`  ${file.key}\t${file.size !== null ? `${file.size} bytes` : 'unknown size'}\t${file.createdAt.toISOString()}`);
+      }
+
+      if (options.deleteFiles) {
+        console.log(`  Deleted ${result.deleted} files`);
+      }
+    }
+
+    if (!options.deleteFiles && results.some((result) => result.orphans.length > 0)) {
+      console.log('\nRun again with --delete to remove the orphaned files.');
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Error cleaning up orphaned files:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  findOrphanedFiles,
+  cleanupOrphanedFiles,
+};
@@ -0,0 +1,157 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const {
+  EXPIRY_REMINDER_DAYS,
+  startOfUtcDay,
+  daysUntilExpiry,
+} = require('../services/vehicleDocumentService');
+
+/**
+ * Remind customers of vehicle documents that are about to expire.
+ * Meant to run once a day (e.g. from cron); each document is reminded about
+ * once per expiry date, so running it more often is harmless.
+ *
+ * Usage:
+ *   npm run documents:reminders
+ *   npm run documents:reminders -- --days=14   # remind closer to the expiry date
+ */
+
+const DOCUMENT_TYPE_NAMES = {
+  insurance: 'insurance',
+  registration: 'registration',
+  emission_test: 'emission test certificate',
+  other: 'document',
+};
+
+/**
+ * Describe a document in a reminder ("insurance", or its title for other documents)
+ * @param {object} document - Vehicle document record
+ * @returns {string}
+ */
+function describeDocument(document) {
+  if (document.type === 'other' && document.title) {
+    return `"${document.title}"`;
+  }
+
+  return DOCUMENT_TYPE_NAMES[document.type];
+}
+
+/**
+ * Create a notification for every document expiring within the reminder window
+ * that its owner has not been reminded about yet
+ * @param {object} db - Prisma client
+ * @param {object} options
+ * @param {number} options.days - Remind this many days before expiry
+ * @param {Date} [options.now]
+ * @returns {Promise<{due: number, sent: number, skipped: number}>}
+ */
+async function sendDocumentExpiryReminders(db, { days, now = new Date() }) {
+  const today = startOfUtcDay(now);
+  const lastDay = new Date(today.getTime() + days * 24 * 60 * 60 * 1000);
+
+  const documents = await db.vehicleDocument.findMany({
+    where: {
+      expiryDate: { gte: today, lte: lastDay },
+      expiryReminderSentAt: null,
+    },
+    include: {
+      vehicle: true,
+      customer: { select: { userId: true } },
+    },
+  });
+
+  const result = { due: documents.length, sent: 0, skipped: 0 };
+
+  for (const document of documents) {
+    // The customer sold the vehicle since storing the document
+    if (document.vehicle.customerId !== document.customerId) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const { vehicle } = document;
+    const daysLeft = daysUntilExpiry(document.expiryDate, now);
+    const expiryDate = new Date(document.expiryDate).toISOString().split('T')[0];
+    const when = daysLeft === 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+
+    const sent = await db.$transaction(async (tx) => {
+      // Guard against a second run reminding about the same document
+      const { count } = await tx.vehicleDocument.updateMany({
+        where: { id: document.id, expiryReminderSentAt: null },
+        data: { expiryReminderSentAt: now },
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      await tx.notification.create({
+        data: {
+          userId: document.customer.userId,
+          title: 'Vehicle document expiring soon',
+          message: `The ${describeDocument(document)} of your ${vehicle.year} ${vehicle.make} ${vehicle.model} expires ${when} (${expiryDate}). Please renew it and upload the new document.`,
+          type: 'document_expiry',
+          relatedEntityType: 'vehicle_document',
+          relatedEntityId: document.id,
+        },
+      });
+
+      return true;
+    });
+
+    if (sent) {
+      result.sent += 1;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read the command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{days: number}}
+ */
+function parseArgs(args) {
+  const options = { days: EXPIRY_REMINDER_DAYS };
+
+  for (const arg of args) {
+    if (arg.startsWith('--days=')) {
+      options.days = Number(arg.split('=')[1]);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(options.days) || options.days < 0) {
+    throw new Error('--days must be a whole number, zero or more');
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const prisma = new PrismaClient();
+
+  try {
+    console.log(`Looking for vehicle documents expiring within ${options.days} days...`);
+
+    const result = await sendDocumentExpiryReminders(prisma, options);
+
+    console.log(`${result.due} documents due, ${result.sent} reminders sent, ${result.skipped} skipped (vehicle has a new owner)`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Error sending document expiry reminders:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  sendDocumentExpiryReminders,
+};
@@ -0,0 +1,48 @@
+const multer = require('multer');
+const { createHttpError } = require('../utils/httpError');
+
+// File types accepted as job attachments (photos, printouts, receipts)
+const ATTACHMENT_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/heic',
+  'application/pdf',
+  'text/plain',
+];
+
+// Configure multer for memory storage
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit per file
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept only image files
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  },
+});
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit per file
+  },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(createHttpError(400, 'Only images, PDF and text files can be attached'));
+    }
+  },
+});
+
+module.exports = {
+  ATTACHMENT_MIME_TYPES,
+  imageUpload,
+  attachmentUpload,
+};
@@ -1,6 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const partController = require('../controllers/partController');
+const supplierController = require('../controllers/supplierController');
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const invoiceController = require('../controllers/invoiceController');
+const projectController = require('../controllers/projectController');
+const paymentController = require('../controllers/paymentController');
+const maintenancePlanController = require('../controllers/maintenancePlanController');
+const vehicleTransferController = require('../controllers/vehicleTransferController');
+const inspectionController = require('../controllers/inspectionController');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
 
 /**
@@ -87,7 +96,7 @@ router.get(
   adminController.getAllModificationRequests
 );
 
-// PATCH /api/admin/modifications/:projectId - Update modification status and approved cost
+// PATCH /api/admin/modifications/:projectId - Update modification status
 router.patch(
   '/modifications/:projectId',
   authenticateToken,
@@ -95,4 +104,420 @@ router.patch(
   adminController.updateModificationStatus
 );
 
+// POST /api/admin/modifications/:projectId/quote - Issue a priced quote to the customer
+router.post(
+  '/modifications/:projectId/quote',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.issueModificationQuote
+);
+
+// GET /api/admin/modifications/:projectId/quotes - Get the quote history of a modification request
+router.get(
+  '/modifications/:projectId/quotes',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.getModificationQuotes
+);
+
+// GET /api/admin/modifications/:projectId/change-orders - Get change orders and the revised total
+router.get(
+  '/modifications/:projectId/change-orders',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.getModificationChangeOrders
+);
+
+// POST /api/admin/modifications/:projectId/change-orders - Raise a change order for customer approval
+router.post(
+  '/modifications/:projectId/change-orders',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.createModificationChangeOrder
+);
+
+// POST /api/admin/modifications/:projectId/change-orders/:changeOrderId/cancel - Withdraw a pending change order
+router.post(
+  '/modifications/:projectId/change-orders/:changeOrderId/cancel',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.cancelModificationChangeOrder
+);
+
+// GET /api/admin/modifications/:projectId/work-summary - Get hours and spend logged against the estimate
+router.get(
+  '/modifications/:projectId/work-summary',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.getModificationWorkSummary
+);
+
+// GET /api/admin/modifications/:projectId/milestones - Get milestones and progress
+router.get(
+  '/modifications/:projectId/milestones',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.getModificationMilestones
+);
+
+// POST /api/admin/modifications/:projectId/milestones - Add a milestone
+router.post(
+  '/modifications/:projectId/milestones',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.createModificationMilestone
+);
+
+// PUT /api/admin/modifications/:projectId/milestones/:milestoneId - Update or complete a milestone
+router.put(
+  '/modifications/:projectId/milestones/:milestoneId',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.updateModificationMilestone
+);
+
+// DELETE /api/admin/modifications/:projectId/milestones/:milestoneId - Delete a milestone
+router.delete(
+  '/modifications/:projectId/milestones/:milestoneId',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.deleteModificationMilestone
+);
+
+// GET /api/admin/modifications/:projectId/quote/pdf - Download a project quote as a PDF
+router.get(
+  '/modifications/:projectId/quote/pdf',
+  authenticateToken,
+  authorizeRole('admin'),
+  projectController.downloadProjectQuotePdf
+);
+
+// GET /api/admin/vehicles/:vehicleId/odometer - Get a vehicle's odometer history and average km per month
+router.get(
+  '/vehicles/:vehicleId/odometer',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.getVehicleOdometerReadings
+);
+
+// POST /api/admin/vehicles/:vehicleId/odometer - Record an odometer reading (override allows a lower reading with a note)
+router.post(
+  '/vehicles/:vehicleId/odometer',
+  authenticateToken,
+  authorizeRole('admin'),
+  adminController.recordVehicleOdometerReading
+);
+
+// GET /api/admin/maintenance-plan - Get maintenance plan items (filter by make)
+router.get(
+  '/maintenance-plan',
+  authenticateToken,
+  authorizeRole('admin'),
+  maintenancePlanController.getMaintenancePlanItems
+);
+
+// POST /api/admin/maintenance-plan - Add a maintenance plan item (generic, per make or per make/model)
+router.post(
+  '/maintenance-plan',
+  authenticateToken,
+  authorizeRole('admin'),
+  maintenancePlanController.createMaintenancePlanItem
+);
+
+// PUT /api/admin/maintenance-plan/:itemId - Update a maintenance plan item
+router.put(
+  '/maintenance-plan/:itemId',
+  authenticateToken,
+  authorizeRole('admin'),
+  maintenancePlanController.updateMaintenancePlanItem
+);
+
+// DELETE /api/admin/maintenance-plan/:itemId - Delete a maintenance plan item
+router.delete(
+  '/maintenance-plan/:itemId',
+  authenticateToken,
+  authorizeRole('admin'),
+  maintenancePlanController.deleteMaintenancePlanItem
+);
+
+// GET /api/admin/vehicle-transfers - Get all vehicle transfers (filter by status)
+router.get(
+  '/vehicle-transfers',
+  authenticateToken,
+  authorizeRole('admin'),
+  vehicleTransferController.getAllTransfers
+);
+
+// POST /api/admin/vehicle-transfers/:transferId/respond - Accept or reject a vehicle transfer on behalf of the new owner
+router.post(
+  '/vehicle-transfers/:transferId/respond',
+  authenticateToken,
+  authorizeRole('admin'),
+  vehicleTransferController.respondToTransfer
+);
+
+// GET /api/admin/inspection-templates - Get inspection templates (includeInactive=true for all)
+router.get(
+  '/inspection-templates',
+  authenticateToken,
+  authorizeRole('admin'),
+  inspectionController.getInspectionTemplates
+);
+
+// POST /api/admin/inspection-templates - Create an inspection template with its items
+router.post(
+  '/inspection-templates',
+  authenticateToken,
+  authorizeRole('admin'),
+  inspectionController.createInspectionTemplate
+);
+
+// PUT /api/admin/inspection-templates/:templateId - Update an inspection template (items replace the existing ones)
+router.put(
+  '/inspection-templates/:templateId',
+  authenticateToken,
+  authorizeRole('admin'),
+  inspectionController.updateInspectionTemplate
+);
+
+// DELETE /api/admin/inspection-templates/:templateId - Delete an inspection template
+router.delete(
+  '/inspection-templates/:templateId',
+  authenticateToken,
+  authorizeRole('admin'),
+  inspectionController.deleteInspectionTemplate
+);
+
+// GET /api/admin/parts - Get all parts (search and category filter)
+router.get(
+  '/parts',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.getAllParts
+);
+
+// GET /api/admin/parts/low-stock - Get parts at or below their reorder level
+router.get(
+  '/parts/low-stock',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.getLowStockParts
+);
+
+// GET /api/admin/parts/stock-level - Get stock levels of all parts at a past date
+router.get(
+  '/parts/stock-level',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.getStockLevelAtDate
+);
+
+// GET /api/admin/parts/:partId - Get a specific part
+router.get(
+  '/parts/:partId',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.getPartById
+);
+
+// POST /api/admin/parts - Create a new part
+router.post(
+  '/parts',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.createPart
+);
+
+// PUT /api/admin/parts/:partId - Update part details
+router.put(
+  '/parts/:partId',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.updatePart
+);
+
+// DELETE /api/admin/parts/:partId - Archive a part
+router.delete(
+  '/parts/:partId',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.archivePart
+);
+
+// POST /api/admin/parts/:partId/adjust-stock - Adjust stock with a reason
+router.post(
+  '/parts/:partId/adjust-stock',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.adjustStock
+);
+
+// GET /api/admin/parts/:partId/movements - Get the stock movement ledger for a part
+router.get(
+  '/parts/:partId/movements',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.getStockMovements
+);
+
+// GET /api/admin/parts/:partId/stock-level - Get the stock level of a part at a past date
+router.get(
+  '/parts/:partId/stock-level',
+  authenticateToken,
+  authorizeRole('admin'),
+  partController.getStockLevelAtDate
+);
+
+// GET /api/admin/suppliers - Get all suppliers
+router.get(
+  '/suppliers',
+  authenticateToken,
+  authorizeRole('admin'),
+  supplierController.getAllSuppliers
+);
+
+// POST /api/admin/suppliers - Create a new supplier
+router.post(
+  '/suppliers',
+  authenticateToken,
+  authorizeRole('admin'),
+  supplierController.createSupplier
+);
+
+// PUT /api/admin/suppliers/:supplierId - Update a supplier
+router.put(
+  '/suppliers/:supplierId',
+  authenticateToken,
+  authorizeRole('admin'),
+  supplierController.updateSupplier
+);
+
+// DELETE /api/admin/suppliers/:supplierId - Deactivate a supplier
+router.delete(
+  '/suppliers/:supplierId',
+  authenticateToken,
+  authorizeRole('admin'),
+  supplierController.deactivateSupplier
+);
+
+// GET /api/admin/purchase-orders - Get all purchase orders
+router.get(
+  '/purchase-orders',
+  authenticateToken,
+  authorizeRole('admin'),
+  purchaseOrderController.getAllPurchaseOrders
+);
+
+// GET /api/admin/purchase-orders/:purchaseOrderId - Get a specific purchase order
+router.get(
+  '/purchase-orders/:purchaseOrderId',
+  authenticateToken,
+  authorizeRole('admin'),
+  purchaseOrderController.getPurchaseOrderById
+);
+
+// POST /api/admin/purchase-orders - Create a draft purchase order
+router.post(
+  '/purchase-orders',
+  authenticateToken,
+  authorizeRole('admin'),
+  purchaseOrderController.createPurchaseOrder
+);
+
+// PUT /api/admin/purchase-orders/:purchaseOrderId - Update a draft purchase order
+router.put(
+  '/purchase-orders/:purchaseOrderId',
+  authenticateToken,
+  authorizeRole('admin'),
+  purchaseOrderController.updatePurchaseOrder
+);
+
+// POST /api/admin/purchase-orders/:purchaseOrderId/send - Mark a purchase order as sent
+router.post(
+  '/purchase-orders/:purchaseOrderId/send',
+  authenticateToken,
+  authorizeRole('admin'),
+  purchaseOrderController.sendPurchaseOrder
+);
+
+// POST /api/admin/purchase-orders/:purchaseOrderId/receive - Receive goods against a purchase order
+router.post(
+  '/purchase-orders/:purchaseOrderId/receive',
+  authenticateToken,
+  authorizeRole('admin'),
+  purchaseOrderController.receivePurchaseOrder
+);
+
+// POST /api/admin/purchase-orders/:purchaseOrderId/cancel - Cancel a purchase order
+router.post(
+  '/purchase-orders/:purchaseOrderId/cancel',
+  authenticateToken,
+  authorizeRole('admin'),
+  purchaseOrderController.cancelPurchaseOrder
+);
+
+// GET /api/admin/invoices - Get all invoices
+router.get(
+  '/invoices',
+  authenticateToken,
+  authorizeRole('admin'),
+  invoiceController.getAllInvoices
+);
+
+// GET /api/admin/invoices/:invoiceId - Get a specific invoice
+router.get(
+  '/invoices/:invoiceId',
+  authenticateToken,
+  authorizeRole('admin'),
+  invoiceController.getInvoiceById
+);
+
+// GET /api/admin/invoices/:invoiceId/pdf - Download an invoice as a PDF
+router.get(
+  '/invoices/:invoiceId/pdf',
+  authenticateToken,
+  authorizeRole('admin'),
+  invoiceController.downloadInvoicePdf
+);
+
+// GET /api/admin/invoices/:invoiceId/payments - Get payments recorded against an invoice
+router.get(
+  '/invoices/:invoiceId/payments',
+  authenticateToken,
+  authorizeRole('admin'),
+  paymentController.getInvoicePayments
+);
+
+// POST /api/admin/invoices/:invoiceId/payments - Record a full or partial payment
+router.post(
+  '/invoices/:invoiceId/payments',
+  authenticateToken,
+  authorizeRole('admin'),
+  paymentController.recordInvoicePayment
+);
+
+// POST /api/admin/invoices/:invoiceId/refunds - Record a refund
+router.post(
+  '/invoices/:invoiceId/refunds',
+  authenticateToken,
+  authorizeRole('admin'),
+  paymentController.recordInvoiceRefund
+);
+
+// GET /api/admin/balances - Get outstanding balances per customer
+router.get(
+  '/balances',
+  authenticateToken,
+  authorizeRole('admin'),
+  paymentController.getOutstandingBalances
+);
+
+// GET /api/admin/customers/:customerId/balance - Get a customer's balance and invoices
+router.get(
+  '/customers/:customerId/balance',
+  authenticateToken,
+  authorizeRole('admin'),
+  paymentController.getCustomerBalance
+);
+
 module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const appointmentController = require('../controllers/appointmentController');
-const { authenticateToken } = require('../middleware/auth');
+const invoiceController = require('../controllers/invoiceController');
+const shopVisitController = require('../controllers/shopVisitController');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
 
 /**
  * All appointment routes require authentication
@@ -25,4 +28,39 @@ router.put('/:appointmentId', authenticateToken, appointmentController.updateApp
 // DELETE /api/appointments/:appointmentId/cancel - Cancel an appointment
 router.delete('/:appointmentId/cancel', authenticateToken, appointmentController.cancelAppointment);
 
+// GET /api/appointments/:appointmentId/invoice - Get the invoice for an appointment (owner or admin)
+router.get('/:appointmentId/invoice', authenticateToken, invoiceController.getAppointmentInvoice);
+
+// GET /api/appointments/:appointmentId/invoice/pdf - Download the invoice as a PDF (owner or admin)
+router.get('/:appointmentId/invoice/pdf', authenticateToken, invoiceController.downloadAppointmentInvoicePdf);
+
+// POST /api/appointments/:appointmentId/invoice - Generate or regenerate the invoice (admin only)
+router.post(
+  '/:appointmentId/invoice',
+  authenticateToken,
+  authorizeRole('admin'),
+  invoiceController.generateAppointmentInvoice
+);
+
+// GET /api/appointments/:appointmentId/visit - Get the check-in and check-out record (owner, employee or admin)
+router.get('/:appointmentId/visit', authenticateToken, shopVisitController.getShopVisit);
+
+// POST /api/appointments/:appointmentId/check-in - Check the vehicle in (multipart, optional "photos")
+router.post(
+  '/:appointmentId/check-in',
+  authenticateToken,
+  authorizeRole('employee', 'admin'),
+  imageUpload.array('photos', 10),
+  shopVisitController.checkInAppointment
+);
+
+// POST /api/appointments/:appointmentId/check-out - Check the vehicle out with the customer's signature
+router.post(
+  '/:appointmentId/check-out',
+  authenticateToken,
+  authorizeRole('employee', 'admin'),
+  imageUpload.single('signature'),
+  shopVisitController.checkOutAppointment
+);
+
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const attachmentController = require('../controllers/attachmentController');
+const { authenticateToken } = require('../middleware/auth');
+const { attachmentUpload } = require('../middleware/upload');
+
+/**
+ * All attachment routes require authentication. Access to each file is
+ * checked against the project, appointment or service log it belongs to.
+ */
+
+// GET /api/attachments?entityType=&entityId= - Get attachments visible to the user
+router.get('/', authenticateToken, attachmentController.getAttachments);
+
+// POST /api/attachments - Upload an attachment (multipart field "file")
+router.post(
+  '/',
+  authenticateToken,
+  attachmentUpload.single('file'),
+  attachmentController.createAttachment
+);
+
+// GET /api/attachments/:attachmentId/download - Download an attachment
+router.get('/:attachmentId/download', authenticateToken, attachmentController.downloadAttachmentFile);
+
+// DELETE /api/attachments/:attachmentId - Delete an attachment (uploader or admin)
+router.delete('/:attachmentId', authenticateToken, attachmentController.removeAttachment);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const employeeController = require('../controllers/employeeController');
+const inspectionController = require('../controllers/inspectionController');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
 
 /**
  * All employee routes require authentication and employee role
@@ -47,4 +49,125 @@ router.patch(
   employeeController.updateServiceStatus
 );
 
+// GET /api/employees/services/:serviceId/parts - Get parts used on a service
+router.get(
+  '/services/:serviceId/parts',
+  authenticateToken,
+  authorizeRole('employee'),
+  employeeController.getServiceParts
+);
+
+// POST /api/employees/services/:serviceId/parts - Record parts used on a service
+router.post(
+  '/services/:serviceId/parts',
+  authenticateToken,
+  authorizeRole('employee'),
+  employeeController.addServicePart
+);
+
+// DELETE /api/employees/services/:serviceId/parts/:servicePartId - Reverse a part usage entry
+router.delete(
+  '/services/:serviceId/parts/:servicePartId',
+  authenticateToken,
+  authorizeRole('employee'),
+  employeeController.removeServicePart
+);
+
+// GET /api/employees/inspection-templates - Get active inspection templates
+router.get(
+  '/inspection-templates',
+  authenticateToken,
+  authorizeRole('employee'),
+  inspectionController.getInspectionTemplates
+);
+
+// POST /api/employees/services/:serviceId/inspection - Start the inspection of a service from a template
+router.post(
+  '/services/:serviceId/inspection',
+  authenticateToken,
+  authorizeRole('employee'),
+  inspectionController.startServiceInspection
+);
+
+// GET /api/employees/services/:serviceId/inspection - Get the inspection of a service
+router.get(
+  '/services/:serviceId/inspection',
+  authenticateToken,
+  authorizeRole('employee'),
+  inspectionController.getServiceInspection
+);
+
+// PUT /api/employees/inspections/:inspectionId/results/:resultId - Record the result of an inspection item
+router.put(
+  '/inspections/:inspectionId/results/:resultId',
+  authenticateToken,
+  authorizeRole('employee'),
+  inspectionController.updateInspectionResult
+);
+
+// POST /api/employees/inspections/:inspectionId/results/:resultId/photos - Add a photo to an inspection item (multipart field "photo")
+router.post(
+  '/inspections/:inspectionId/results/:resultId/photos',
+  authenticateToken,
+  authorizeRole('employee'),
+  imageUpload.single('photo'),
+  inspectionController.addInspectionPhoto
+);
+
+// POST /api/employees/inspections/:inspectionId/complete - Complete an inspection and send it to the customer
+router.post(
+  '/inspections/:inspectionId/complete',
+  authenticateToken,
+  authorizeRole('employee'),
+  inspectionController.completeServiceInspection
+);
+
+// GET /api/employees/projects - Get modification projects open for work
+router.get(
+  '/projects',
+  authenticateToken,
+  authorizeRole('employee'),
+  employeeController.getActiveProjects
+);
+
+// GET /api/employees/project-logs - Get own project work logs
+router.get(
+  '/project-logs',
+  authenticateToken,
+  authorizeRole('employee'),
+  employeeController.getProjectLogs
+);
+
+// POST /api/employees/project-logs - Log hours and parts on a project
+router.post(
+  '/project-logs',
+  authenticateToken,
+  authorizeRole('employee'),
+  employeeController.createProjectLog
+);
+
+// DELETE /api/employees/project-logs/:logId - Delete a project log (restores stock)
+router.delete(
+  '/project-logs/:logId',
+  authenticateToken,
+  authorizeRole('employee'),
+  employeeController.deleteProjectLog
+);
+
+// POST /api/employees/project-logs/:logId/parts - Record parts used on a project log
+router.post(
+  '/project-logs/:logId/parts',
+  authenticateToken,
+  authorizeRole('employee'),
+  employeeController.addProjectLogPart
+);
+
+// DELETE /api/employees/project-logs/:logId/parts/:servicePartId - Reverse a project part usage entry
+router.delete(
+  '/project-logs/:logId/parts/:servicePartId',
+  authenticateToken,
+  authorizeRole('employee'),
+  employeeController.removeProjectLogPart
+);
+
 module.exports = router;
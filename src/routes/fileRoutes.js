@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const fileController = require('../controllers/fileController');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * Files stored by the local storage driver. Supabase serves its public
+ * buckets itself, so these routes only matter when STORAGE_DRIVER=local.
+ */
+
+// GET /api/files/:bucket/:key - Download a stored file
+router.get('/:bucket/:key', authenticateToken, fileController.downloadFile);
+
+module.exports = router;
@@ -9,6 +9,10 @@ const appointmentRoutes = require('./appointmentRoutes');
 const projectRoutes = require('./projectRoutes');
 const adminRoutes = require('./adminRoutes');
 const employeeRoutes = require('./employeeRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
+const fileRoutes = require('./fileRoutes');
+const inspectionRoutes = require('./inspectionRoutes');
 
 // Health check endpoint (can be accessed at /api/health)
 router.get('/health', (req, res) => {
@@ -28,6 +32,10 @@ router.use('/appointments', appointmentRoutes);
 router.use('/projects', projectRoutes);
 router.use('/admin', adminRoutes);
 router.use('/employees', employeeRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/attachments', attachmentRoutes);
+router.use('/files', fileRoutes);
+router.use('/inspections', inspectionRoutes);
 
 // API documentation endpoint
 router.get('/', (req, res) => {
@@ -53,6 +61,22 @@ router.get('/', (req, res) => {
         update: 'PUT /api/vehicles/:vehicleId (protected)',
         delete: 'DELETE /api/vehicles/:vehicleId (protected)',
         serviceHistory: 'GET /api/vehicles/:vehicleId/service-history (protected)',
+        images: 'GET /api/vehicles/:vehicleId/images (protected)',
+        replaceImage: 'PUT /api/vehicles/:vehicleId/images/:slot (protected, multipart)',
+        removeImage: 'DELETE /api/vehicles/:vehicleId/images/:slot (protected)',
+        addGalleryImages: 'POST /api/vehicles/:vehicleId/gallery (protected, multipart)',
+        reorderGallery: 'PUT /api/vehicles/:vehicleId/gallery/order (protected)',
+        removeGalleryImage: 'DELETE /api/vehicles/:vehicleId/gallery/:imageId (protected)',
+        maintenanceDue: 'GET /api/vehicles/:vehicleId/maintenance-due (protected)',
+        transfers: 'GET /api/vehicles/transfers (protected)',
+        initiateTransfer: 'POST /api/vehicles/:vehicleId/transfer (protected)',
+        cancelTransfer: 'DELETE /api/vehicles/:vehicleId/transfer (protected)',
+        respondToTransfer: 'POST /api/vehicles/transfers/:transferId/respond (protected)',
+        documents: 'GET /api/vehicles/:vehicleId/documents (protected)',
+        createDocument: 'POST /api/vehicles/:vehicleId/documents (protected, multipart)',
+        updateDocument: 'PUT /api/vehicles/:vehicleId/documents/:documentId (protected, multipart)',
+        downloadDocument: 'GET /api/vehicles/:vehicleId/documents/:documentId/download (protected)',
+        deleteDocument: 'DELETE /api/vehicles/:vehicleId/documents/:documentId (protected)',
       },
       appointments: {
         list: 'GET /api/appointments (protected)',
@@ -60,6 +84,12 @@ router.get('/', (req, res) => {
         create: 'POST /api/appointments (protected)',
         update: 'PUT /api/appointments/:appointmentId (protected)',
         cancel: 'DELETE /api/appointments/:appointmentId/cancel (protected)',
+        invoice: 'GET /api/appointments/:appointmentId/invoice (protected, owner or admin)',
+        generateInvoice: 'POST /api/appointments/:appointmentId/invoice (admin only, completed appointments unless allowIncomplete)',
+        invoicePdf: 'GET /api/appointments/:appointmentId/invoice/pdf (protected, owner or admin)',
+        visit: 'GET /api/appointments/:appointmentId/visit (protected, owner, employee or admin)',
+        checkIn: 'POST /api/appointments/:appointmentId/check-in (employee or admin, multipart)',
+        checkOut: 'POST /api/appointments/:appointmentId/check-out (employee or admin, multipart or JSON)',
       },
       projects: {
         list: 'GET /api/projects (protected)',
@@ -67,6 +97,11 @@ router.get('/', (req, res) => {
         create: 'POST /api/projects (protected)',
         update: 'PUT /api/projects/:projectId (protected)',
         delete: 'DELETE /api/projects/:projectId (protected)',
+        quotePdf: 'GET /api/projects/:projectId/quote/pdf (protected)',
+        quote: 'GET /api/projects/:projectId/quote (protected)',
+        respondToQuote: 'POST /api/projects/:projectId/quote (protected)',
+        changeOrders: 'GET /api/projects/:projectId/change-orders (protected)',
+        respondToChangeOrder: 'POST /api/projects/:projectId/change-orders/:changeOrderId (protected)',
       },
       admin: {
         dashboardStats: 'GET /api/admin/dashboard-stats (admin only)',
@@ -80,6 +115,58 @@ router.get('/', (req, res) => {
         createEmployee: 'POST /api/admin/employees (admin only)',
         modifications: 'GET /api/admin/modifications (admin only)',
         updateModification: 'PATCH /api/admin/modifications/:projectId (admin only)',
+        parts: 'GET /api/admin/parts?search=&category=&includeArchived= (admin only)',
+        lowStockParts: 'GET /api/admin/parts/low-stock (admin only)',
+        getPart: 'GET /api/admin/parts/:partId (admin only)',
+        createPart: 'POST /api/admin/parts (admin only)',
+        updatePart: 'PUT /api/admin/parts/:partId (admin only)',
+        archivePart: 'DELETE /api/admin/parts/:partId (admin only)',
+        adjustStock: 'POST /api/admin/parts/:partId/adjust-stock (admin only)',
+        suppliers: 'GET /api/admin/suppliers (admin only)',
+        createSupplier: 'POST /api/admin/suppliers (admin only)',
+        updateSupplier: 'PUT /api/admin/suppliers/:supplierId (admin only)',
+        deactivateSupplier: 'DELETE /api/admin/suppliers/:supplierId (admin only)',
+        purchaseOrders: 'GET /api/admin/purchase-orders?status=&supplierId= (admin only)',
+        getPurchaseOrder: 'GET /api/admin/purchase-orders/:purchaseOrderId (admin only)',
+        createPurchaseOrder: 'POST /api/admin/purchase-orders (admin only)',
+        updatePurchaseOrder: 'PUT /api/admin/purchase-orders/:purchaseOrderId (admin only)',
+        sendPurchaseOrder: 'POST /api/admin/purchase-orders/:purchaseOrderId/send (admin only)',
+        receivePurchaseOrder: 'POST /api/admin/purchase-orders/:purchaseOrderId/receive (admin only)',
+        cancelPurchaseOrder: 'POST /api/admin/purchase-orders/:purchaseOrderId/cancel (admin only)',
+        stockTake: 'GET /api/admin/parts/stock-level?date= (admin only)',
+        stockMovements: 'GET /api/admin/parts/:partId/movements?startDate=&endDate=&type= (admin only)',
+        partStockLevel: 'GET /api/admin/parts/:partId/stock-level?date= (admin only)',
+        invoices: 'GET /api/admin/invoices?status=&customerId= (admin only)',
+        getInvoice: 'GET /api/admin/invoices/:invoiceId (admin only)',
+        invoicePdf: 'GET /api/admin/invoices/:invoiceId/pdf (admin only)',
+        modificationQuotePdf: 'GET /api/admin/modifications/:projectId/quote/pdf (admin only)',
+        invoicePayments: 'GET /api/admin/invoices/:invoiceId/payments (admin only)',
+        recordPayment: 'POST /api/admin/invoices/:invoiceId/payments (admin only)',
+        recordRefund: 'POST /api/admin/invoices/:invoiceId/refunds (admin only)',
+        outstandingBalances: 'GET /api/admin/balances (admin only)',
+        customerBalance: 'GET /api/admin/customers/:customerId/balance (admin only)',
+        issueModificationQuote: 'POST /api/admin/modifications/:projectId/quote (admin only)',
+        modificationQuotes: 'GET /api/admin/modifications/:projectId/quotes (admin only)',
+        modificationChangeOrders: 'GET /api/admin/modifications/:projectId/change-orders (admin only)',
+        createChangeOrder: 'POST /api/admin/modifications/:projectId/change-orders (admin only)',
+        cancelChangeOrder: 'POST /api/admin/modifications/:projectId/change-orders/:changeOrderId/cancel (admin only)',
+        modificationWorkSummary: 'GET /api/admin/modifications/:projectId/work-summary (admin only)',
+        modificationMilestones: 'GET /api/admin/modifications/:projectId/milestones (admin only)',
+        createMilestone: 'POST /api/admin/modifications/:projectId/milestones (admin only)',
+        updateMilestone: 'PUT /api/admin/modifications/:projectId/milestones/:milestoneId (admin only)',
+        deleteMilestone: 'DELETE /api/admin/modifications/:projectId/milestones/:milestoneId (admin only)',
+        vehicleOdometer: 'GET /api/admin/vehicles/:vehicleId/odometer (admin only)',
+        recordOdometer: 'POST /api/admin/vehicles/:vehicleId/odometer (admin only)',
+        maintenancePlan: 'GET /api/admin/maintenance-plan (admin only)',
+        createMaintenancePlanItem: 'POST /api/admin/maintenance-plan (admin only)',
+        updateMaintenancePlanItem: 'PUT /api/admin/maintenance-plan/:itemId (admin only)',
+        deleteMaintenancePlanItem: 'DELETE /api/admin/maintenance-plan/:itemId (admin only)',
+        vehicleTransfers: 'GET /api/admin/vehicle-transfers (admin only)',
+        respondToVehicleTransfer: 'POST /api/admin/vehicle-transfers/:transferId/respond (admin only)',
+        inspectionTemplates: 'GET /api/admin/inspection-templates (admin only)',
+        createInspectionTemplate: 'POST /api/admin/inspection-templates (admin only)',
+        updateInspectionTemplate: 'PUT /api/admin/inspection-templates/:templateId (admin only)',
+        deleteInspectionTemplate: 'DELETE /api/admin/inspection-templates/:templateId (admin only)',
       },
       employees: {
         assignedServices: 'GET /api/employees/assigned-services (employee only)',
@@ -87,6 +174,42 @@ router.get('/', (req, res) => {
         logTime: 'POST /api/employees/time-logs (employee only)',
         timeLogs: 'GET /api/employees/time-logs (employee only)',
         updateServiceStatus: 'PATCH /api/employees/services/:serviceId/status (employee only)',
+        serviceParts: 'GET /api/employees/services/:serviceId/parts (employee only)',
+        addServicePart: 'POST /api/employees/services/:serviceId/parts (employee only)',
+        removeServicePart: 'DELETE /api/employees/services/:serviceId/parts/:servicePartId (employee only)',
+        activeProjects: 'GET /api/employees/projects (employee only)',
+        projectLogs: 'GET /api/employees/project-logs?projectId= (employee only)',
+        createProjectLog: 'POST /api/employees/project-logs (employee only)',
+        deleteProjectLog: 'DELETE /api/employees/project-logs/:logId (employee only)',
+        addProjectLogPart: 'POST /api/employees/project-logs/:logId/parts (employee only)',
+        removeProjectLogPart: 'DELETE /api/employees/project-logs/:logId/parts/:servicePartId (employee only)',
+        inspectionTemplates: 'GET /api/employees/inspection-templates (employee only)',
+        startInspection: 'POST /api/employees/services/:serviceId/inspection (employee only)',
+        serviceInspection: 'GET /api/employees/services/:serviceId/inspection (employee only)',
+        updateInspectionItem: 'PUT /api/employees/inspections/:inspectionId/results/:resultId (employee only)',
+        addInspectionPhoto: 'POST /api/employees/inspections/:inspectionId/results/:resultId/photos (employee only, multipart)',
+        completeInspection: 'POST /api/employees/inspections/:inspectionId/complete (employee only)',
+      },
+      payments: {
+        createIntent: 'POST /api/payments/intents',
+        getIntent: 'GET /api/payments/intents/:intentId',
+        confirmIntent: 'POST /api/payments/intents/:intentId/confirm',
+        refundIntent: 'POST /api/payments/intents/:intentId/refund (admin only)',
+        webhook: 'POST /api/payments/webhooks/:provider (provider signature)',
+      },
+      attachments: {
+        list: 'GET /api/attachments?entityType=&entityId=&category= (protected)',
+        upload: 'POST /api/attachments (protected, multipart)',
+        download: 'GET /api/attachments/:attachmentId/download (protected)',
+        delete: 'DELETE /api/attachments/:attachmentId (protected)',
+      },
+      files: {
+        download: 'GET /api/files/:bucket/:key (protected, local storage driver)',
+      },
+      inspections: {
+        list: 'GET /api/inspections?appointmentId=&vehicleId= (protected)',
+        get: 'GET /api/inspections/:inspectionId (protected, owner or admin)',
+        decideRepair: 'POST /api/inspections/:inspectionId/results/:resultId/decision (protected)',
       },
       health: 'GET /api/health',
     }
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const inspectionController = require('../controllers/inspectionController');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * All inspection report routes require authentication. Customers see the
+ * completed inspections of their own appointments; admins see all of them.
+ */
+
+// GET /api/inspections?appointmentId=&vehicleId= - Get the customer's inspection reports
+router.get('/', authenticateToken, inspectionController.getCustomerInspections);
+
+// GET /api/inspections/:inspectionId - Get an inspection report
+router.get('/:inspectionId', authenticateToken, inspectionController.getInspectionById);
+
+// POST /api/inspections/:inspectionId/results/:resultId/decision - Approve or decline a recommended repair
+router.post('/:inspectionId/results/:resultId/decision', authenticateToken, inspectionController.decideInspectionRepair);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const paymentIntentController = require('../controllers/paymentIntentController');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+
+/**
+ * Online payment routes. Webhooks are authenticated by the provider's
+ * signature, everything else requires a user token.
+ */
+
+// POST /api/payments/webhooks/:provider - Receive a payment provider webhook
+router.post('/webhooks/:provider', paymentIntentController.handleWebhook);
+
+// POST /api/payments/intents - Start an online payment for an invoice
+router.post('/intents', authenticateToken, paymentIntentController.createIntent);
+
+// GET /api/payments/intents/:intentId - Get an online payment
+router.get('/intents/:intentId', authenticateToken, paymentIntentController.getIntent);
+
+// POST /api/payments/intents/:intentId/confirm - Confirm an online payment
+router.post('/intents/:intentId/confirm', authenticateToken, paymentIntentController.confirmIntent);
+
+// POST /api/payments/intents/:intentId/refund - Refund an online payment
+router.post(
+  '/intents/:intentId/refund',
+  authenticateToken,
+  authorizeRole('admin'),
+  paymentIntentController.refundIntent
+);
+
+module.exports = router;
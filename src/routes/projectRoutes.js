@@ -22,4 +22,19 @@ router.put('/:projectId', authenticateToken, projectController.updateProject);
 // DELETE /api/projects/:projectId - Delete a modification request
 router.delete('/:projectId', authenticateToken, projectController.deleteProject);
 
+// GET /api/projects/:projectId/quote/pdf - Download the project quote as a PDF
+router.get('/:projectId/quote/pdf', authenticateToken, projectController.downloadProjectQuotePdf);
+
+// GET /api/projects/:projectId/quote - Get the latest quote for a modification request
+router.get('/:projectId/quote', authenticateToken, projectController.getProjectQuote);
+
+// POST /api/projects/:projectId/quote - Accept or reject the pending quote
+router.post('/:projectId/quote', authenticateToken, projectController.respondToProjectQuote);
+
+// GET /api/projects/:projectId/change-orders - Get change orders and the revised total
+router.get('/:projectId/change-orders', authenticateToken, projectController.getProjectChangeOrders);
+
+// POST /api/projects/:projectId/change-orders/:changeOrderId - Accept or reject a change order
+router.post('/:projectId/change-orders/:changeOrderId', authenticateToken, projectController.respondToProjectChangeOrder);
+
 module.exports = router;
@@ -1,24 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
 const vehicleController = require('../controllers/vehicleController');
+const vehicleTransferController = require('../controllers/vehicleTransferController');
+const vehicleDocumentController = require('../controllers/vehicleDocumentController');
 const { authenticateToken } = require('../middleware/auth');
-
-// Configure multer for memory storage
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit per file
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept only image files
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  },
-});
+const { imageUpload, attachmentUpload } = require('../middleware/upload');
 
 /**
  * All vehicle routes require authentication
@@ -27,6 +13,12 @@ const upload = multer({
 // GET /api/vehicles - Get all vehicles for authenticated customer
 router.get('/', authenticateToken, vehicleController.getCustomerVehicles);
 
+// GET /api/vehicles/transfers - Get transfers offered to and by the customer
+router.get('/transfers', authenticateToken, vehicleTransferController.getMyTransfers);
+
+// POST /api/vehicles/transfers/:transferId/respond - Accept or reject a transfer offered to the customer
+router.post('/transfers/:transferId/respond', authenticateToken, vehicleTransferController.respondToTransfer);
+
 // GET /api/vehicles/:vehicleId - Get specific vehicle by ID
 router.get('/:vehicleId', authenticateToken, vehicleController.getVehicleById);
 
@@ -34,7 +26,7 @@ router.get('/:vehicleId', authenticateToken, vehicleController.getVehicleById);
 router.post(
   '/',
   authenticateToken,
-  upload.fields([
+  imageUpload.fields([
     { name: 'exteriorImage1', maxCount: 1 },
     { name: 'exteriorImage2', maxCount: 1 },
     { name: 'interiorImage', maxCount: 1 },
@@ -48,10 +40,69 @@ router.put('/:vehicleId', authenticateToken, vehicleController.updateVehicle);
 // DELETE /api/vehicles/:vehicleId - Delete a vehicle
 router.delete('/:vehicleId', authenticateToken, vehicleController.deleteVehicle);
 
+// POST /api/vehicles/:vehicleId/transfer - Offer the vehicle to another customer
+router.post('/:vehicleId/transfer', authenticateToken, vehicleTransferController.initiateTransfer);
+
+// DELETE /api/vehicles/:vehicleId/transfer - Cancel the pending transfer of the vehicle
+router.delete('/:vehicleId/transfer', authenticateToken, vehicleTransferController.cancelTransfer);
+
 // GET /api/vehicles/:vehicleId/service-history - Get service history for a vehicle
 router.get('/:vehicleId/service-history', authenticateToken, vehicleController.getVehicleServiceHistory);
 
+// GET /api/vehicles/:vehicleId/maintenance-due - Get overdue and upcoming maintenance
+router.get('/:vehicleId/maintenance-due', authenticateToken, vehicleController.getMaintenanceDue);
+
 // GET /api/vehicles/:vehicleId/images - Get vehicle images
 router.get('/:vehicleId/images', authenticateToken, vehicleController.getVehicleImages);
 
+// PUT /api/vehicles/:vehicleId/images/:slot - Replace the image in a slot (multipart field "image")
+router.put(
+  '/:vehicleId/images/:slot',
+  authenticateToken,
+  imageUpload.single('image'),
+  vehicleController.replaceVehicleImage
+);
+
+// DELETE /api/vehicles/:vehicleId/images/:slot - Remove the image in a slot
+router.delete('/:vehicleId/images/:slot', authenticateToken, vehicleController.removeVehicleImage);
+
+// POST /api/vehicles/:vehicleId/gallery - Add images to the gallery (multipart field "images")
+router.post(
+  '/:vehicleId/gallery',
+  authenticateToken,
+  imageUpload.array('images', 10),
+  vehicleController.addGalleryImages
+);
+
+// PUT /api/vehicles/:vehicleId/gallery/order - Reorder the gallery
+router.put('/:vehicleId/gallery/order', authenticateToken, vehicleController.reorderGalleryImages);
+
+// DELETE /api/vehicles/:vehicleId/gallery/:imageId - Remove an image from the gallery
+router.delete('/:vehicleId/gallery/:imageId', authenticateToken, vehicleController.removeGalleryImage);
+
+// GET /api/vehicles/:vehicleId/documents - Get the documents stored for the vehicle (filter by type)
+router.get('/:vehicleId/documents', authenticateToken, vehicleDocumentController.getVehicleDocuments);
+
+// POST /api/vehicles/:vehicleId/documents - Store a document (multipart field "file")
+router.post(
+  '/:vehicleId/documents',
+  authenticateToken,
+  attachmentUpload.single('file'),
+  vehicleDocumentController.createVehicleDocument
+);
+
+// PUT /api/vehicles/:vehicleId/documents/:documentId - Update a document (optionally replace its "file")
+router.put(
+  '/:vehicleId/documents/:documentId',
+  authenticateToken,
+  attachmentUpload.single('file'),
+  vehicleDocumentController.updateVehicleDocument
+);
+
+// GET /api/vehicles/:vehicleId/documents/:documentId/download - Download a document
+router.get('/:vehicleId/documents/:documentId/download', authenticateToken, vehicleDocumentController.downloadVehicleDocument);
+
+// DELETE /api/vehicles/:vehicleId/documents/:documentId - Delete a document
+router.delete('/:vehicleId/documents/:documentId', authenticateToken, vehicleDocumentController.deleteVehicleDocument);
+
 module.exports = router;
@@ -14,7 +14,14 @@ app.use(cors({
 }));
 
 // Body parsers
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body of payment webhooks for signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Root endpoint
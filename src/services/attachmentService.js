@@ -0,0 +1,131 @@
+const { createHttpError } = require('../utils/httpError');
+
+// Entities attachments can be linked to, and the column that links them
+const ATTACHMENT_TARGETS = {
+  project: 'projectId',
+  appointment: 'appointmentId',
+  service_log: 'serviceLogId',
+};
+
+// Categories that can be picked when uploading; signatures are only stored by vehicle check-out
+const ATTACHMENT_CATEGORIES = ['before_photo', 'after_photo', 'diagnostic', 'receipt', 'other'];
+
+// Which visibility levels each role may see
+const VISIBLE_TO_ROLE = {
+  customer: ['customer'],
+  employee: ['customer', 'staff'],
+  admin: ['customer', 'staff', 'admin'],
+};
+
+/**
+ * Visibility levels a role may see
+ * @param {string} role - User role
+ * @returns {Array<string>}
+ */
+function getVisibleVisibilities(role) {
+  return VISIBLE_TO_ROLE[role] || [];
+}
+
+/**
+ * Load the entity an attachment belongs to and check the user may access it.
+ * Customers can reach their own jobs, employees the jobs they work on, admins everything.
+ * @param {object} db - Prisma client
+ * @param {object} user - Authenticated user ({ userId, role })
+ * @param {string} entityType - project, appointment or service_log
+ * @param {number} entityId - ID of the entity
+ * @returns {Promise<{field: string, id: number}>} - The attachment column and value to filter on
+ */
+async function resolveAttachmentTarget(db, user, entityType, entityId) {
+  const field = ATTACHMENT_TARGETS[entityType];
+
+  if (!field) {
+    throw createHttpError(400, `Invalid entity type. Must be one of: ${Object.keys(ATTACHMENT_TARGETS).join(', ')}`);
+  }
+
+  if (!entityId) {
+    throw createHttpError(400, 'Entity ID is required');
+  }
+
+  let entity = null;
+
+  if (entityType === 'project') {
+    entity = await db.project.findUnique({
+      where: { id: entityId },
+      select: { id: true, customerId: true },
+    });
+  } else if (entityType === 'appointment') {
+    entity = await db.appointment.findUnique({
+      where: { id: entityId },
+      select: {
+        id: true,
+        customerId: true,
+        serviceLogs: { select: { employeeId: true } },
+      },
+    });
+  } else {
+    entity = await db.serviceLog.findUnique({
+      where: { id: entityId },
+      select: {
+        id: true,
+        employeeId: true,
+        appointment: { select: { customerId: true } },
+      },
+    });
+  }
+
+  if (!entity) {
+    throw createHttpError(404, 'Attachment target not found');
+  }
+
+  if (user.role === 'customer') {
+    const customer = await db.customer.findUnique({
+      where: { userId: user.userId },
+    });
+    const ownerId = entityType === 'service_log' ? entity.appointment.customerId : entity.customerId;
+
+    if (!customer || customer.id !== ownerId) {
+      throw createHttpError(404, 'Attachment target not found');
+    }
+  } else if (user.role === 'employee') {
+    const employee = await db.employee.findUnique({
+      where: { userId: user.userId },
+    });
+
+    if (!employee) {
+      throw createHttpError(404, 'Employee profile not found');
+    }
+
+    // Modification projects are not assigned to individual employees
+    const isAssigned = entityType === 'project'
+      || (entityType === 'appointment' && entity.serviceLogs.some((log) => log.employeeId === employee.id))
+      || (entityType === 'service_log' && entity.employeeId === employee.id);
+
+    if (!isAssigned) {
+      throw createHttpError(403, 'You are not assigned to this job');
+    }
+  } else if (user.role !== 'admin') {
+    throw createHttpError(403, 'Access denied. Insufficient permissions.');
+  }
+
+  return { field, id: entity.id };
+}
+
+/**
+ * Work out the entity type and ID an attachment is linked to
+ * @param {object} attachment - Attachment record
+ * @returns {{entityType: string, entityId: number}}
+ */
+function getAttachmentTarget(attachment) {
+  const [entityType, field] = Object.entries(ATTACHMENT_TARGETS)
+    .find(([, column]) => attachment[column] !== null && attachment[column] !== undefined);
+
+  return { entityType, entityId: attachment[field] };
+}
+
+module.exports = {
+  ATTACHMENT_TARGETS,
+  ATTACHMENT_CATEGORIES,
+  getVisibleVisibilities,
+  resolveAttachmentTarget,
+  getAttachmentTarget,
+};
@@ -0,0 +1,234 @@
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney } = require('./invoiceService');
+
+const CHANGE_ORDER_DECISIONS = ['accept', 'reject'];
+
+// Change orders can only be raised against work the customer has approved
+const CHANGEABLE_PROJECT_STATUSES = ['approved', 'in_progress'];
+
+/**
+ * Format a change order for the response
+ * @param {object} changeOrder - Change order record
+ * @returns {object}
+ */
+function formatChangeOrder(changeOrder) {
+  return {
+    id: changeOrder.id.toString(),
+    projectId: changeOrder.projectId,
+    title: changeOrder.title,
+    description: changeOrder.description,
+    costDelta: Number(changeOrder.costDelta),
+    status: changeOrder.status,
+    requestedBy: changeOrder.requestedBy,
+    respondedBy: changeOrder.respondedBy,
+    respondedAt: changeOrder.respondedAt,
+    rejectionReason: changeOrder.rejectionReason,
+    createdAt: changeOrder.createdAt,
+  };
+}
+
+/**
+ * Roll accepted change orders up into the project's revised total
+ * @param {object} project - Project record
+ * @param {Array<object>} changeOrders - The project's change orders
+ * @returns {{estimatedCost: number|null, approvedCost: number|null, changeOrderTotal: number, pendingChangeOrderTotal: number, revisedTotal: number|null}}
+ */
+function summarizeProjectCosts(project, changeOrders) {
+  const sumDeltas = (status) => roundMoney(
+    changeOrders
+      .filter((changeOrder) => changeOrder.status === status)
+      .reduce((sum, changeOrder) => sum + Number(changeOrder.costDelta), 0)
+  );
+
+  const estimatedCost = project.estimatedCost ? Number(project.estimatedCost) : null;
+  const approvedCost = project.actualCost ? Number(project.actualCost) : null;
+  const changeOrderTotal = sumDeltas('accepted');
+  const baseCost = approvedCost !== null ? approvedCost : estimatedCost;
+
+  return {
+    estimatedCost,
+    approvedCost,
+    changeOrderTotal,
+    pendingChangeOrderTotal: sumDeltas('pending'),
+    revisedTotal: baseCost !== null ? roundMoney(baseCost + changeOrderTotal) : null,
+  };
+}
+
+/**
+ * Raise a change order against an approved or in-progress project
+ * @param {object} db - Prisma client
+ * @param {object} project - Project with customer and changeOrders
+ * @param {object} data
+ * @param {string} data.title - Short summary of the change
+ * @param {string} [data.description]
+ * @param {number} data.costDelta - Added (positive) or removed (negative) cost
+ * @param {number} data.requestedBy - Admin raising the change order
+ * @returns {Promise<object>} - The new change order
+ */
+async function createChangeOrder(db, project, data) {
+  if (!CHANGEABLE_PROJECT_STATUSES.includes(project.status)) {
+    throw createHttpError(400, `Cannot raise a change order for a modification request that is ${project.status}`);
+  }
+
+  const costDelta = roundMoney(Number(data.costDelta));
+
+  if (Number.isNaN(costDelta)) {
+    throw createHttpError(400, 'Cost change must be a number');
+  }
+
+  // Removing work cannot take the job below zero, even if every pending
+  // reduction is accepted and every pending addition rejected
+  const { revisedTotal } = summarizeProjectCosts(project, project.changeOrders);
+  const pendingReductions = project.changeOrders
+    .filter((changeOrder) => changeOrder.status === 'pending' && Number(changeOrder.costDelta) < 0)
+    .reduce((sum, changeOrder) => sum + Number(changeOrder.costDelta), 0);
+  if (costDelta < 0 && roundMoney((revisedTotal || 0) + pendingReductions + costDelta) < 0) {
+    throw createHttpError(400, 'Change order would reduce the project total below zero');
+  }
+
+  return db.$transaction(async (tx) => {
+    const changeOrder = await tx.changeOrder.create({
+      data: {
+        projectId: project.id,
+        title: data.title,
+        description: data.description,
+        costDelta,
+        requestedBy: data.requestedBy,
+      },
+    });
+
+    await tx.notification.create({
+      data: {
+        userId: project.customer.userId,
+        title: 'A change to your modification needs your approval',
+        message: `"${data.title}" ${costDelta >= 0 ? 'adds' : 'removes'} ${Math.abs(costDelta).toFixed(2)} ${costDelta >= 0 ? 'to' : 'from'} "${project.title}". Please accept or reject the change.`,
+        type: 'change_order',
+        relatedEntityType: 'project',
+        relatedEntityId: project.id,
+      },
+    });
+
+    return changeOrder;
+  });
+}
+
+/**
+ * Accept or reject a pending change order on behalf of the customer
+ * @param {object} db - Prisma client
+ * @param {object} project - Project record
+ * @param {number} changeOrderId - Change order to answer
+ * @param {object} data
+ * @param {string} data.decision - accept or reject
+ * @param {string} [data.reason] - Why the change was rejected
+ * @param {number} data.userId - User responding to the change order
+ * @returns {Promise<object>} - The updated change order
+ */
+async function respondToChangeOrder(db, project, changeOrderId, data) {
+  if (!CHANGE_ORDER_DECISIONS.includes(data.decision)) {
+    throw createHttpError(400, `Invalid decision. Must be one of: ${CHANGE_ORDER_DECISIONS.join(', ')}`);
+  }
+
+  const changeOrder = await db.changeOrder.findFirst({
+    where: { id: changeOrderId, projectId: project.id },
+  });
+
+  if (!changeOrder) {
+    throw createHttpError(404, 'Change order not found');
+  }
+
+  if (!CHANGEABLE_PROJECT_STATUSES.includes(project.status)) {
+    throw createHttpError(400, `Cannot change a modification request that is ${project.status}`);
+  }
+
+  const accepted = data.decision === 'accept';
+
+  return db.$transaction(async (tx) => {
+    // Guard against answering the same change order twice
+    const { count } = await tx.changeOrder.updateMany({
+      where: { id: changeOrder.id, status: 'pending' },
+      data: {
+        status: accepted ? 'accepted' : 'rejected',
+        respondedBy: data.userId,
+        respondedAt: new Date(),
+        rejectionReason: accepted ? null : data.reason,
+      },
+    });
+
+    if (count === 0) {
+      throw createHttpError(409, 'This change order has already been answered or cancelled');
+    }
+
+    // Check a reduction against what is accepted now, not when it was raised
+    if (accepted && Number(changeOrder.costDelta) < 0) {
+      const acceptedChangeOrders = await tx.changeOrder.findMany({
+        where: { projectId: project.id, status: 'accepted' },
+      });
+      const { revisedTotal } = summarizeProjectCosts(project, acceptedChangeOrders);
+
+      if (revisedTotal !== null && revisedTotal < 0) {
+        throw createHttpError(400, 'Accepting this change order would reduce the project total below zero');
+      }
+    }
+
+    const admins = await tx.user.findMany({
+      where: { role: 'admin', isActive: true },
+      select: { id: true },
+    });
+
+    if (admins.length > 0) {
+      await tx.notification.createMany({
+        data: admins.map((admin) => ({
+          userId: admin.id,
+          title: accepted ? 'Change order accepted' : 'Change order rejected',
+          message: `"${changeOrder.title}" on "${project.title}" was ${accepted ? 'accepted' : 'rejected'}${!accepted && data.reason ? `: ${data.reason}` : ''}`,
+          type: 'change_order',
+          relatedEntityType: 'project',
+          relatedEntityId: project.id,
+        })),
+      });
+    }
+
+    return tx.changeOrder.findUnique({ where: { id: changeOrder.id } });
+  });
+}
+
+/**
+ * Withdraw a change order the customer has not answered yet
+ * @param {object} db - Prisma client
+ * @param {number} projectId
+ * @param {number} changeOrderId
+ * @returns {Promise<object>} - The cancelled change order
+ */
+async function cancelChangeOrder(db, projectId, changeOrderId) {
+  const changeOrder = await db.changeOrder.findFirst({
+    where: { id: changeOrderId, projectId },
+  });
+
+  if (!changeOrder) {
+    throw createHttpError(404, 'Change order not found');
+  }
+
+  if (changeOrder.status !== 'pending') {
+    throw createHttpError(400, `Cannot cancel a change order that is ${changeOrder.status}`);
+  }
+
+  // Only cancel if the customer has not answered it in the meantime
+  const { count } = await db.changeOrder.updateMany({
+    where: { id: changeOrder.id, status: 'pending' },
+    data: { status: 'cancelled' },
+  });
+
+  if (count === 0) {
+    throw createHttpError(409, 'This change order has already been answered');
+  }
+
+  return db.changeOrder.findUnique({ where: { id: changeOrder.id } });
+}
+
+module.exports = {
+  formatChangeOrder,
+  summarizeProjectCosts,
+  createChangeOrder,
+  respondToChangeOrder,
+  cancelChangeOrder,
+};
@@ -0,0 +1,99 @@
+const sharp = require('sharp');
+const { createHttpError } = require('../utils/httpError');
+
+// Longest side of stored vehicle images and of their thumbnails, in pixels
+const MAX_IMAGE_DIMENSION = 1600;
+const THUMBNAIL_DIMENSION = 320;
+
+// Image formats we accept, recognised by their leading bytes rather than the client's Content-Type
+const IMAGE_FORMATS = [
+  {
+    format: 'jpeg',
+    contentType: 'image/jpeg',
+    extension: 'jpg',
+    matches: (buffer) => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  {
+    format: 'png',
+    contentType: 'image/png',
+    extension: 'png',
+    matches: (buffer) => buffer.length >= 8
+      && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    format: 'webp',
+    contentType: 'image/webp',
+    extension: 'webp',
+    matches: (buffer) => buffer.length >= 12
+      && buffer.toString('ascii', 0, 4) === 'RIFF'
+      && buffer.toString('ascii', 8, 12) === 'WEBP',
+  },
+];
+
+/**
+ * Work out an image's format from its content
+ * @param {Buffer} buffer - File contents
+ * @returns {object|null} - The matching entry of IMAGE_FORMATS, or null if it is not a supported image
+ */
+function detectImageFormat(buffer) {
+  return IMAGE_FORMATS.find((imageFormat) => imageFormat.matches(buffer)) || null;
+}
+
+/**
+ * Re-encode an image, fitting it within a square of the given size.
+ * The image is turned upright first, and since sharp drops all metadata
+ * unless asked to keep it, the output carries no EXIF (GPS location included).
+ * @param {Buffer} buffer - Original image
+ * @param {object} imageFormat - Entry of IMAGE_FORMATS to encode as
+ * @param {number} dimension - Maximum width and height
+ * @returns {Promise<Buffer>}
+ */
+function renderImage(buffer, imageFormat, dimension) {
+  return sharp(buffer)
+    .rotate()
+    .resize({
+      width: dimension,
+      height: dimension,
+      fit: 'inside',
+      withoutEnlargement: true,
+    })
+    .toFormat(imageFormat.format)
+    .toBuffer();
+}
+
+/**
+ * Validate an uploaded vehicle image and produce the versions we store
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<{contentType: string, extension: string, image: Buffer, thumbnail: Buffer}>}
+ */
+async function processVehicleImage(buffer) {
+  const imageFormat = detectImageFormat(buffer);
+
+  if (!imageFormat) {
+    throw createHttpError(400, 'Only JPEG, PNG and WebP images are allowed');
+  }
+
+  try {
+    const [image, thumbnail] = await Promise.all([
+      renderImage(buffer, imageFormat, MAX_IMAGE_DIMENSION),
+      renderImage(buffer, imageFormat, THUMBNAIL_DIMENSION),
+    ]);
+
+    return {
+      contentType: imageFormat.contentType,
+      extension: imageFormat.extension,
+      image,
+      thumbnail,
+    };
+  } catch (error) {
+    // The header looked right but the image itself could not be decoded
+    throw createHttpError(400, 'The uploaded image is corrupt or unreadable');
+  }
+}
+
+module.exports = {
+  MAX_IMAGE_DIMENSION,
+  THUMBNAIL_DIMENSION,
+  detectImageFormat,
+  processVehicleImage,
+};
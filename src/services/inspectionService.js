@@ -0,0 +1,422 @@
+const { createHttpError } = require('../utils/httpError');
+const { getVisibleVisibilities } = require('./attachmentService');
+
+const INSPECTION_OUTCOMES = ['pass', 'advise', 'fail'];
+const REPAIR_DECISIONS = ['approve', 'decline'];
+
+// What an approved repair turns into: a booked service, or a modification request to be quoted
+const FOLLOW_UP_TYPES = ['appointment', 'project'];
+
+/**
+ * Format an inspection template for the response
+ * @param {object} template - Template with items (and their service)
+ * @returns {object}
+ */
+function formatInspectionTemplate(template) {
+  return {
+    id: template.id.toString(),
+    name: template.name,
+    description: template.description,
+    isActive: template.isActive,
+    items: [...template.items]
+      .sort((a, b) => a.sortOrder - b.sortOrder)
+      .map((item) => ({
+        id: item.id.toString(),
+        area: item.area,
+        label: item.label,
+        measurementUnit: item.measurementUnit,
+        serviceId: item.serviceId,
+        serviceName: item.service ? item.service.name : null,
+      })),
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+  };
+}
+
+/**
+ * Check the items of a template and put them in the form they are stored in.
+ * Items keep the order they were given in.
+ * @param {Array<object>} items - [{ area, label, measurementUnit, serviceId }]
+ * @returns {Array<object>}
+ */
+function validateTemplateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, 'A template needs at least one item');
+  }
+
+  return items.map((item, index) => {
+    if (!item || !item.area || !item.label) {
+      throw createHttpError(400, `Item ${index + 1} needs an area and a label`);
+    }
+
+    return {
+      area: String(item.area).trim(),
+      label: String(item.label).trim(),
+      measurementUnit: item.measurementUnit || null,
+      serviceId: item.serviceId ? parseInt(item.serviceId) : null,
+      sortOrder: index,
+    };
+  });
+}
+
+/**
+ * Format an inspection for the response, with its items grouped by area
+ * @param {object} inspection - Inspection with results (and their attachments)
+ * @param {string} role - Role of the user viewing it, to pick the photos they may see
+ * @returns {object}
+ */
+function formatInspection(inspection, role) {
+  const visibilities = getVisibleVisibilities(role);
+  const counts = { pass: 0, advise: 0, fail: 0, unchecked: 0 };
+  const areas = [];
+
+  const results = [...inspection.results].sort((a, b) => a.sortOrder - b.sortOrder || a.id - b.id);
+
+  for (const result of results) {
+    counts[result.result || 'unchecked'] += 1;
+
+    let area = areas.find((entry) => entry.area === result.area);
+    if (!area) {
+      area = { area: result.area, items: [] };
+      areas.push(area);
+    }
+
+    area.items.push({
+      id: result.id.toString(),
+      label: result.label,
+      result: result.result,
+      measurement: result.measurement !== null ? Number(result.measurement) : null,
+      measurementUnit: result.measurementUnit,
+      notes: result.notes,
+      recommendation: result.recommendation,
+      estimatedCost: result.estimatedCost !== null ? Number(result.estimatedCost) : null,
+      serviceId: result.serviceId,
+      customerDecision: result.customerDecision,
+      decidedAt: result.decidedAt,
+      appointmentId: result.appointmentId,
+      projectId: result.projectId,
+      photos: (result.attachments || [])
+        .filter((attachment) => visibilities.includes(attachment.visibility))
+        .map((attachment) => ({
+          id: attachment.id.toString(),
+          caption: attachment.caption,
+          downloadUrl: `/api/attachments/${attachment.id}/download`,
+        })),
+    });
+  }
+
+  return {
+    id: inspection.id.toString(),
+    serviceLogId: inspection.serviceLogId,
+    appointmentId: inspection.serviceLog.appointmentId,
+    templateId: inspection.templateId,
+    status: inspection.status,
+    summary: inspection.summary,
+    counts,
+    areas,
+    completedAt: inspection.completedAt,
+    createdAt: inspection.createdAt,
+  };
+}
+
+/**
+ * Start an inspection of a service log from a template
+ * @param {object} db - Prisma client
+ * @param {object} serviceLog - Service log record
+ * @param {object} template - Active template with items
+ * @returns {Promise<object>} - The new inspection with results
+ */
+async function startInspection(db, serviceLog, template) {
+  if (!template.isActive) {
+    throw createHttpError(400, 'This inspection template is no longer in use');
+  }
+
+  if (template.items.length === 0) {
+    throw createHttpError(400, 'This inspection template has no items');
+  }
+
+  const existing = await db.inspection.findUnique({
+    where: { serviceLogId: serviceLog.id },
+  });
+
+  if (existing) {
+    throw createHttpError(409, 'This service already has an inspection');
+  }
+
+  return db.inspection.create({
+    data: {
+      serviceLogId: serviceLog.id,
+      templateId: template.id,
+      results: {
+        create: template.items.map((item) => ({
+          area: item.area,
+          label: item.label,
+          measurementUnit: item.measurementUnit,
+          serviceId: item.serviceId,
+          sortOrder: item.sortOrder,
+        })),
+      },
+    },
+    include: {
+      serviceLog: true,
+      results: { include: { attachments: true } },
+    },
+  });
+}
+
+/**
+ * Record the outcome of one inspection item
+ * @param {object} db - Prisma client
+ * @param {object} inspection - Inspection record
+ * @param {object} result - Inspection result record
+ * @param {object} data
+ * @param {string} [data.result] - pass, advise or fail
+ * @param {number} [data.measurement] - Reading in the item's unit
+ * @param {string} [data.notes]
+ * @param {string} [data.recommendation] - Repair recommended to the customer (advise or fail only)
+ * @param {number} [data.estimatedCost] - Estimated cost of the recommended repair
+ * @returns {Promise<object>} - The updated result
+ */
+async function recordInspectionResult(db, inspection, result, data) {
+  if (inspection.status !== 'draft') {
+    throw createHttpError(400, 'This inspection has already been completed');
+  }
+
+  const outcome = data.result !== undefined ? data.result : result.result;
+
+  if (outcome !== null && !INSPECTION_OUTCOMES.includes(outcome)) {
+    throw createHttpError(400, `Invalid result. Must be one of: ${INSPECTION_OUTCOMES.join(', ')}`);
+  }
+
+  const parseNumber = (value, field) => {
+    if (value === null || value === '') {
+      return null;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw createHttpError(400, `${field} must be a number, zero or more`);
+    }
+    return number;
+  };
+
+  const updateData = { result: outcome };
+
+  if (data.measurement !== undefined) {
+    updateData.measurement = parseNumber(data.measurement, 'Measurement');
+  }
+
+  if (data.notes !== undefined) {
+    updateData.notes = data.notes;
+  }
+
+  // Nothing to recommend for an item that passed
+  if (outcome === 'pass') {
+    updateData.recommendation = null;
+    updateData.estimatedCost = null;
+  } else {
+    if (data.recommendation !== undefined) {
+      updateData.recommendation = data.recommendation;
+    }
+
+    if (data.estimatedCost !== undefined) {
+      updateData.estimatedCost = parseNumber(data.estimatedCost, 'Estimated cost');
+    }
+  }
+
+  return db.inspectionResult.update({
+    where: { id: result.id },
+    data: updateData,
+    include: { attachments: true },
+  });
+}
+
+/**
+ * Complete an inspection once every item has a result and tell the customer
+ * @param {object} db - Prisma client
+ * @param {object} inspection - Inspection with results and serviceLog.appointment (with customer and vehicle)
+ * @param {object} data
+ * @param {string} [data.summary]
+ * @returns {Promise<object>} - The completed inspection
+ */
+async function completeInspection(db, inspection, data) {
+  if (inspection.status !== 'draft') {
+    throw createHttpError(400, 'This inspection has already been completed');
+  }
+
+  const unchecked = inspection.results.filter((result) => !result.result);
+
+  if (unchecked.length > 0) {
+    throw createHttpError(400, `${unchecked.length} item(s) still need a result`);
+  }
+
+  const flagged = inspection.results.filter((result) => result.result !== 'pass').length;
+  const { appointment } = inspection.serviceLog;
+  const vehicleName = `${appointment.vehicle.year} ${appointment.vehicle.make} ${appointment.vehicle.model}`;
+
+  return db.$transaction(async (tx) => {
+    const completed = await tx.inspection.update({
+      where: { id: inspection.id },
+      data: {
+        status: 'completed',
+        summary: data.summary !== undefined ? data.summary : inspection.summary,
+        completedAt: new Date(),
+      },
+      include: {
+        serviceLog: true,
+        results: { include: { attachments: true } },
+      },
+    });
+
+    await tx.notification.create({
+      data: {
+        userId: appointment.customer.userId,
+        title: 'Your inspection report is ready',
+        message: flagged > 0
+          ? `We inspected your ${vehicleName} and found ${flagged} item(s) that need attention. Please review the recommended repairs.`
+          : `We inspected your ${vehicleName} and everything passed.`,
+        type: 'inspection',
+        relatedEntityType: 'inspection',
+        relatedEntityId: inspection.id,
+      },
+    });
+
+    return completed;
+  });
+}
+
+/**
+ * Approve or decline a repair recommended by an inspection, on behalf of the customer.
+ * An approved repair becomes an appointment on the chosen date, or a modification
+ * request (project) the workshop then quotes.
+ * @param {object} db - Prisma client
+ * @param {object} inspection - Inspection with serviceLog.appointment (with vehicle)
+ * @param {object} result - Inspection result record
+ * @param {object} data
+ * @param {string} data.decision - approve or decline
+ * @param {string} [data.followUpType] - appointment or project (when approving)
+ * @param {Date} [data.scheduledDate] - When to book the appointment
+ * @returns {Promise<object>} - The updated result
+ */
+async function decideRecommendedRepair(db, inspection, result, data) {
+  if (!REPAIR_DECISIONS.includes(data.decision)) {
+    throw createHttpError(400, `Invalid decision. Must be one of: ${REPAIR_DECISIONS.join(', ')}`);
+  }
+
+  if (inspection.status !== 'completed') {
+    throw createHttpError(400, 'This inspection has not been completed yet');
+  }
+
+  if (result.result === 'pass') {
+    throw createHttpError(400, 'No repair was recommended for this item');
+  }
+
+  const approved = data.decision === 'approve';
+
+  if (approved && !FOLLOW_UP_TYPES.includes(data.followUpType)) {
+    throw createHttpError(400, `Invalid follow-up type. Must be one of: ${FOLLOW_UP_TYPES.join(', ')}`);
+  }
+
+  if (approved && data.followUpType === 'appointment') {
+    if (!data.scheduledDate || Number.isNaN(data.scheduledDate.getTime())) {
+      throw createHttpError(400, 'A valid scheduled date is required to book the repair');
+    }
+
+    if (data.scheduledDate <= new Date()) {
+      throw createHttpError(400, 'The repair must be booked for a future date');
+    }
+  }
+
+  const { appointment } = inspection.serviceLog;
+  const description = result.recommendation || result.notes || result.label;
+
+  return db.$transaction(async (tx) => {
+    // Guard against deciding on the same item twice
+    const { count } = await tx.inspectionResult.updateMany({
+      where: { id: result.id, customerDecision: null },
+      data: {
+        customerDecision: approved ? 'approved' : 'declined',
+        decidedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      throw createHttpError(409, 'A decision has already been made for this item');
+    }
+
+    // Repairs are only booked for the vehicle's current owner (see vehicle transfers)
+    if (approved) {
+      const vehicle = await tx.vehicle.findUnique({
+        where: { id: appointment.vehicleId },
+      });
+
+      if (!vehicle || vehicle.customerId !== appointment.customerId) {
+        throw createHttpError(403, 'This vehicle now belongs to another customer, so the repair cannot be booked');
+      }
+    }
+
+    const followUp = {};
+
+    if (approved && data.followUpType === 'appointment') {
+      const newAppointment = await tx.appointment.create({
+        data: {
+          customerId: appointment.customerId,
+          vehicleId: appointment.vehicleId,
+          serviceId: result.serviceId,
+          scheduledDate: data.scheduledDate,
+          status: 'scheduled',
+          notes: `${result.label} (from inspection): ${description}`,
+        },
+      });
+      followUp.appointmentId = newAppointment.id;
+    } else if (approved) {
+      const project = await tx.project.create({
+        data: {
+          customerId: appointment.customerId,
+          vehicleId: appointment.vehicleId,
+          title: `${result.label} (from inspection)`,
+          description,
+          projectType: 'repair',
+          status: 'pending',
+          estimatedCost: result.estimatedCost,
+        },
+      });
+      followUp.projectId = project.id;
+
+      const admins = await tx.user.findMany({
+        where: { role: 'admin', isActive: true },
+        select: { id: true },
+      });
+
+      if (admins.length > 0) {
+        await tx.notification.createMany({
+          data: admins.map((admin) => ({
+            userId: admin.id,
+            title: 'Inspection repair needs a quote',
+            message: `The customer approved "${result.label}" from an inspection of the ${appointment.vehicle.year} ${appointment.vehicle.make} ${appointment.vehicle.model}. Please quote the repair.`,
+            type: 'quote',
+            relatedEntityType: 'project',
+            relatedEntityId: project.id,
+          })),
+        });
+      }
+    }
+
+    return tx.inspectionResult.update({
+      where: { id: result.id },
+      data: followUp,
+      include: { attachments: true },
+    });
+  });
+}
+
+module.exports = {
+  INSPECTION_OUTCOMES,
+  formatInspectionTemplate,
+  validateTemplateItems,
+  formatInspection,
+  startInspection,
+  recordInspectionResult,
+  completeInspection,
+  decideRecommendedRepair,
+};
@@ -0,0 +1,225 @@
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Check whether a part is at or below its reorder level
+ * @param {object} part - Part record
+ * @returns {boolean}
+ */
+function isLowStock(part) {
+  return part.quantityInStock <= part.reorderLevel;
+}
+
+/**
+ * Raise or clear the low-stock flag for a part.
+ * Every admin is notified once when the part first drops to its reorder level;
+ * the flag is cleared when stock is replenished so the next drop alerts again.
+ * @param {object} tx - Prisma client or transaction client
+ * @param {object} part - The current part record
+ * @returns {Promise<object>} - The part with its flag up to date
+ */
+async function evaluateLowStock(tx, part) {
+  if (isLowStock(part) && part.isActive && !part.lowStockAlertedAt) {
+    const admins = await tx.user.findMany({
+      where: { role: 'admin', isActive: true },
+      select: { id: true },
+    });
+
+    if (admins.length > 0) {
+      await tx.notification.createMany({
+        data: admins.map((admin) => ({
+          userId: admin.id,
+          title: 'Low stock alert',
+          message: `${part.name}${part.partNumber ? ` (${part.partNumber})` : ''} is low on stock: ${part.quantityInStock} left, reorder level is ${part.reorderLevel}`,
+          type: 'low_stock',
+          relatedEntityType: 'part',
+          relatedEntityId: part.id,
+        })),
+      });
+    }
+
+    return tx.part.update({
+      where: { id: part.id },
+      data: { lowStockAlertedAt: new Date() },
+    });
+  }
+
+  if (!isLowStock(part) && part.lowStockAlertedAt) {
+    return tx.part.update({
+      where: { id: part.id },
+      data: { lowStockAlertedAt: null },
+    });
+  }
+
+  return part;
+}
+
+/**
+ * Append an entry to the stock movement ledger
+ * @param {object} tx - Prisma client or transaction client
+ * @param {object} part - The part after the change was applied
+ * @param {number} quantityChange - Signed change in units
+ * @param {object} movement - Movement details
+ * @param {string} movement.type - receipt, consumption, adjustment or return
+ * @param {number} [movement.userId] - The acting user
+ * @param {string} [movement.reason] - Free-text explanation
+ * @param {number} [movement.servicePartId] - Related usage entry
+ * @param {number} [movement.serviceLogId] - Service the parts were used on
+ * @param {number} [movement.projectId] - Project the parts were used on
+ * @param {number} [movement.purchaseOrderItemId] - Related purchase order line
+ * @param {number} [movement.unitCost] - Cost per unit (receipts)
+ * @returns {Promise<object>} - The created movement
+ */
+async function recordStockMovement(tx, part, quantityChange, movement) {
+  return tx.stockMovement.create({
+    data: {
+      partId: part.id,
+      type: movement.type,
+      quantityChange,
+      quantityAfter: part.quantityInStock,
+      unitCost: movement.unitCost !== undefined ? movement.unitCost : null,
+      reason: movement.reason,
+      userId: movement.userId,
+      servicePartId: movement.servicePartId,
+      serviceLogId: movement.serviceLogId,
+      projectId: movement.projectId,
+      purchaseOrderItemId: movement.purchaseOrderItemId,
+    },
+  });
+}
+
+/**
+ * Take parts out of stock.
+ * The decrement is conditional so concurrent usage can never push the stock below zero.
+ * @param {object} tx - Prisma client or transaction client
+ * @param {number} partId - The part to consume
+ * @param {number} quantity - Number of units consumed (positive)
+ * @param {object} [movement] - Ledger details (see recordStockMovement), type defaults to consumption
+ * @returns {Promise<object>} - The updated part
+ */
+async function consumePartStock(tx, partId, quantity, movement = {}) {
+  const result = await tx.part.updateMany({
+    where: {
+      id: partId,
+      quantityInStock: { gte: quantity },
+    },
+    data: {
+      quantityInStock: { decrement: quantity },
+    },
+  });
+
+  if (result.count === 0) {
+    const part = await tx.part.findUnique({ where: { id: partId } });
+
+    if (!part) {
+      throw createHttpError(404, 'Part not found');
+    }
+
+    throw createHttpError(
+      400,
+      `Insufficient stock for ${part.name}. Only ${part.quantityInStock} left in stock`
+    );
+  }
+
+  const part = await tx.part.findUnique({ where: { id: partId } });
+  await recordStockMovement(tx, part, -quantity, { type: 'consumption', ...movement });
+
+  return evaluateLowStock(tx, part);
+}
+
+/**
+ * Put parts back into stock (e.g. when a usage entry is reversed)
+ * @param {object} tx - Prisma client or transaction client
+ * @param {number} partId - The part to restore
+ * @param {number} quantity - Number of units returned (positive)
+ * @param {object} [movement] - Ledger details (see recordStockMovement), type defaults to return
+ * @returns {Promise<object>} - The updated part
+ */
+async function restorePartStock(tx, partId, quantity, movement = {}) {
+  const part = await tx.part.update({
+    where: { id: partId },
+    data: {
+      quantityInStock: { increment: quantity },
+    },
+  });
+
+  await recordStockMovement(tx, part, quantity, { type: 'return', ...movement });
+
+  return evaluateLowStock(tx, part);
+}
+
+/**
+ * Add received goods to stock
+ * @param {object} tx - Prisma client or transaction client
+ * @param {number} partId - The part received
+ * @param {number} quantity - Number of units received (positive)
+ * @param {object} [movement] - Ledger details (see recordStockMovement)
+ * @returns {Promise<object>} - The updated part
+ */
+async function receivePartStock(tx, partId, quantity, movement = {}) {
+  return restorePartStock(tx, partId, quantity, { ...movement, type: 'receipt' });
+}
+
+/**
+ * Apply a signed manual stock adjustment
+ * @param {object} tx - Prisma client or transaction client
+ * @param {number} partId - The part to adjust
+ * @param {number} quantityChange - Units to add (positive) or remove (negative)
+ * @param {object} [movement] - Ledger details (see recordStockMovement)
+ * @returns {Promise<object>} - The updated part
+ */
+async function adjustPartStock(tx, partId, quantityChange, movement = {}) {
+  if (quantityChange < 0) {
+    return consumePartStock(tx, partId, -quantityChange, { ...movement, type: 'adjustment' });
+  }
+
+  return restorePartStock(tx, partId, quantityChange, { ...movement, type: 'adjustment' });
+}
+
+/**
+ * Reconstruct stock levels at a past point in time.
+ * Works backwards from the current stock by undoing every movement recorded after the date.
+ * @param {object} db - Prisma client
+ * @param {Date} date - Point in time to reconstruct
+ * @param {Array<number>} [partIds] - Limit to these parts (all parts when omitted)
+ * @returns {Promise<Array<{part: object, quantity: number}>>}
+ */
+async function getStockLevelsAt(db, date, partIds) {
+  const partFilter = partIds ? { id: { in: partIds } } : {};
+
+  const parts = await db.part.findMany({
+    where: {
+      ...partFilter,
+      createdAt: { lte: date },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  const laterMovements = await db.stockMovement.groupBy({
+    by: ['partId'],
+    where: {
+      partId: { in: parts.map((part) => part.id) },
+      createdAt: { gt: date },
+    },
+    _sum: { quantityChange: true },
+  });
+
+  const changeByPart = new Map(
+    laterMovements.map((entry) => [entry.partId, entry._sum.quantityChange || 0])
+  );
+
+  return parts.map((part) => ({
+    part,
+    quantity: part.quantityInStock - (changeByPart.get(part.id) || 0),
+  }));
+}
+
+module.exports = {
+  isLowStock,
+  evaluateLowStock,
+  recordStockMovement,
+  consumePartStock,
+  restorePartStock,
+  receivePartStock,
+  adjustPartStock,
+  getStockLevelsAt,
+};
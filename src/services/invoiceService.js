@@ -0,0 +1,236 @@
+const { formatDocumentNumber } = require('../utils/documentNumber');
+const { createHttpError } = require('../utils/httpError');
+
+// Tax rate in percent applied to every invoice (e.g. INVOICE_TAX_RATE=8 for 8%)
+const TAX_RATE = parseFloat(process.env.INVOICE_TAX_RATE || '0');
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Build invoice lines for an appointment.
+ * Labor is billed as hours worked x the technician's hourly rate; when no billable
+ * time was recorded the service is charged at its catalog base price instead.
+ * Parts are billed at their unit price, grouped per part.
+ * @param {object} appointment - Appointment with service and serviceLogs (employee, serviceParts.part)
+ * @returns {Array<object>} - Invoice line items
+ */
+function buildInvoiceLines(appointment) {
+  const lines = [];
+
+  for (const log of appointment.serviceLogs) {
+    const hours = log.hoursWorked ? Number(log.hoursWorked) : 0;
+    const rate = log.employee?.hourlyRate ? Number(log.employee.hourlyRate) : 0;
+
+    if (hours > 0 && rate > 0) {
+      lines.push({
+        itemType: 'labor',
+        description: `Labor - ${log.employee.firstName} ${log.employee.lastName}`,
+        quantity: hours,
+        unitPrice: rate,
+        amount: roundMoney(hours * rate),
+        serviceLogId: log.id,
+      });
+    }
+  }
+
+  if (lines.length === 0 && appointment.service?.basePrice) {
+    const basePrice = Number(appointment.service.basePrice);
+    lines.push({
+      itemType: 'service',
+      description: appointment.service.name,
+      quantity: 1,
+      unitPrice: basePrice,
+      amount: roundMoney(basePrice),
+    });
+  }
+
+  // Group parts used across all service logs
+  const partLines = new Map();
+  for (const log of appointment.serviceLogs) {
+    for (const servicePart of log.serviceParts) {
+      const { part } = servicePart;
+      const existing = partLines.get(part.id);
+
+      if (existing) {
+        existing.quantity += servicePart.quantityUsed;
+        existing.amount = roundMoney(existing.quantity * existing.unitPrice);
+      } else {
+        const unitPrice = part.unitPrice ? Number(part.unitPrice) : 0;
+        partLines.set(part.id, {
+          itemType: 'part',
+          description: part.partNumber ? `${part.name} (${part.partNumber})` : part.name,
+          quantity: servicePart.quantityUsed,
+          unitPrice,
+          amount: roundMoney(servicePart.quantityUsed * unitPrice),
+          partId: part.id,
+        });
+      }
+    }
+  }
+
+  return [...lines, ...partLines.values()];
+}
+
+/**
+ * Calculate invoice totals from its lines
+ * @param {Array<object>} lines - Invoice line items
+ * @param {number} taxRate - Tax rate in percent
+ * @returns {{subtotal: number, taxRate: number, taxAmount: number, total: number}}
+ */
+function calculateTotals(lines, taxRate = TAX_RATE) {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const taxAmount = roundMoney((subtotal * taxRate) / 100);
+
+  return {
+    subtotal,
+    taxRate,
+    taxAmount,
+    total: roundMoney(subtotal + taxAmount),
+  };
+}
+
+/**
+ * Generate (or regenerate) the invoice for an appointment
+ * @param {object} db - Prisma client
+ * @param {number} appointmentId - The appointment to bill
+ * @param {object} [options]
+ * @param {boolean} [options.regenerate] - Recalculate an existing unpaid invoice
+ * @param {boolean} [options.allowIncomplete] - Admin override to bill an appointment that is not completed
+ * @returns {Promise<object>} - The invoice with its items
+ */
+async function generateInvoiceForAppointment(db, appointmentId, options = {}) {
+  const appointment = await db.appointment.findUnique({
+    where: { id: appointmentId },
+    include: {
+      service: true,
+      invoice: true,
+      serviceLogs: {
+        include: {
+          employee: true,
+          serviceParts: {
+            include: { part: true },
+          },
+        },
+        orderBy: { createdAt: 'asc' },
+      },
+    },
+  });
+
+  if (!appointment) {
+    throw createHttpError(404, 'Appointment not found');
+  }
+
+  const existingInvoice = appointment.invoice;
+
+  if (existingInvoice && !options.regenerate) {
+    return db.invoice.findUnique({
+      where: { id: existingInvoice.id },
+      include: { items: true },
+    });
+  }
+
+  // Only bill work that has been done
+  if (appointment.status !== 'completed' && !options.allowIncomplete) {
+    throw createHttpError(400, `Cannot invoice an appointment that is ${appointment.status}`);
+  }
+
+  if (existingInvoice && existingInvoice.status !== 'issued') {
+    throw createHttpError(400, `Cannot regenerate an invoice that is ${existingInvoice.status}`);
+  }
+
+  const lines = buildInvoiceLines(appointment);
+  const totals = calculateTotals(lines);
+
+  return db.$transaction(async (tx) => {
+    if (existingInvoice) {
+      await tx.invoiceItem.deleteMany({
+        where: { invoiceId: existingInvoice.id },
+      });
+
+      return tx.invoice.update({
+        where: { id: existingInvoice.id },
+        data: {
+          ...totals,
+          items: { create: lines },
+        },
+        include: { items: true },
+      });
+    }
+
+    const invoice = await tx.invoice.create({
+      data: {
+        appointmentId: appointment.id,
+        customerId: appointment.customerId,
+        ...totals,
+        items: { create: lines },
+      },
+    });
+
+    return tx.invoice.update({
+      where: { id: invoice.id },
+      data: { invoiceNumber: formatDocumentNumber('INV', invoice.id) },
+      include: { items: true },
+    });
+  });
+}
+
+/**
+ * Complete and bill an appointment once all of its service logs are completed
+ * @param {object} db - Prisma client
+ * @param {number} appointmentId - The appointment whose service was updated
+ * @returns {Promise<object|null>} - The invoice, or null if work is still outstanding
+ */
+async function completeAppointmentIfDone(db, appointmentId) {
+  const openLogs = await db.serviceLog.count({
+    where: {
+      appointmentId,
+      status: { not: 'completed' },
+    },
+  });
+
+  if (openLogs > 0) {
+    return null;
+  }
+
+  const appointment = await db.appointment.update({
+    where: { id: appointmentId },
+    data: { status: 'completed' },
+    include: {
+      customer: { select: { userId: true } },
+      invoice: { select: { id: true } },
+    },
+  });
+
+  const isNewInvoice = !appointment.invoice;
+  const invoice = await generateInvoiceForAppointment(db, appointmentId);
+
+  if (isNewInvoice) {
+    await db.notification.create({
+      data: {
+        userId: appointment.customer.userId,
+        title: 'Your invoice is ready',
+        message: `Invoice ${invoice.invoiceNumber} for ${Number(invoice.total).toFixed(2)} has been issued for your completed service`,
+        type: 'invoice',
+        relatedEntityType: 'invoice',
+        relatedEntityId: invoice.id,
+      },
+    });
+  }
+
+  return invoice;
+}
+
+module.exports = {
+  roundMoney,
+  buildInvoiceLines,
+  calculateTotals,
+  generateInvoiceForAppointment,
+  completeAppointmentIfDone,
+};
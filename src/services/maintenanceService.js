@@ -0,0 +1,243 @@
+const { createHttpError } = require('../utils/httpError');
+
+// How close a due point has to be before an item is listed as upcoming
+const UPCOMING_KM = 1000;
+const UPCOMING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.44;
+
+// Appointments still to happen, which count as the item being booked already
+const OPEN_APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'in_progress'];
+
+/**
+ * Format a maintenance plan item for the response
+ * @param {object} item - Maintenance plan item, optionally with service
+ * @returns {object}
+ */
+function formatMaintenancePlanItem(item) {
+  return {
+    id: item.id.toString(),
+    name: item.name,
+    description: item.description,
+    make: item.make,
+    model: item.model,
+    serviceId: item.serviceId,
+    serviceName: item.service ? item.service.name : null,
+    intervalKm: item.intervalKm,
+    intervalMonths: item.intervalMonths,
+    isActive: item.isActive,
+  };
+}
+
+/**
+ * Check the fields of a maintenance plan item
+ * @param {object} data - Item fields after merging with the existing item
+ * @returns {{intervalKm: number|null, intervalMonths: number|null}} - The parsed intervals
+ */
+function validateMaintenancePlanItem(data) {
+  if (!data.name) {
+    throw createHttpError(400, 'Name is required');
+  }
+
+  if (data.model && !data.make) {
+    throw createHttpError(400, 'A model-specific item must also name the make');
+  }
+
+  const parseInterval = (value) => (value !== undefined && value !== null && value !== '' ? Number(value) : null);
+  const intervalKm = parseInterval(data.intervalKm);
+  const intervalMonths = parseInterval(data.intervalMonths);
+
+  if (intervalKm === null && intervalMonths === null) {
+    throw createHttpError(400, 'At least one of intervalKm and intervalMonths is required');
+  }
+
+  for (const interval of [intervalKm, intervalMonths]) {
+    if (interval !== null && (!Number.isInteger(interval) || interval <= 0)) {
+      throw createHttpError(400, 'Intervals must be positive whole numbers');
+    }
+  }
+
+  return { intervalKm, intervalMonths };
+}
+
+/**
+ * Pick the plan items that apply to a vehicle.
+ * For each item name the most specific entry wins: make and model, then make, then generic.
+ * @param {Array<object>} items - Active maintenance plan items
+ * @param {object} vehicle - Vehicle record
+ * @returns {Array<object>}
+ */
+function resolveMaintenancePlan(items, vehicle) {
+  const same = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+  const byName = new Map();
+
+  for (const item of items) {
+    const matchesMake = !item.make || same(item.make, vehicle.make);
+    const matchesModel = !item.model || same(item.model, vehicle.model);
+
+    if (!matchesMake || !matchesModel) {
+      continue;
+    }
+
+    const specificity = (item.make ? 1 : 0) + (item.model ? 1 : 0);
+    const key = item.name.trim().toLowerCase();
+    const current = byName.get(key);
+
+    if (!current || specificity > current.specificity) {
+      byName.set(key, { item, specificity });
+    }
+  }
+
+  return [...byName.values()].map(({ item }) => item);
+}
+
+/**
+ * Add whole months to a date
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
+
+/**
+ * Work out when each plan item is next due for a vehicle
+ * @param {object} vehicle - Vehicle record
+ * @param {Array<object>} planItems - Items from resolveMaintenancePlan (with service)
+ * @param {Array<object>} appointments - The vehicle's appointments with service and serviceLogs
+ * @param {Array<object>} odometerReadings - The vehicle's odometer readings
+ * @param {object} mileage - { currentMileage, averageKmPerMonth } from summarizeMileage
+ * @returns {{overdue: Array<object>, upcoming: Array<object>, later: Array<object>}}
+ */
+function evaluateMaintenancePlan(vehicle, planItems, appointments, odometerReadings, mileage) {
+  const now = new Date();
+  const currentMileage = mileage.currentMileage !== null ? mileage.currentMileage : vehicle.mileage;
+  const result = { overdue: [], upcoming: [], later: [] };
+
+  for (const item of planItems) {
+    // Appointments for the item's catalog service, or a service with the item's name
+    const matching = appointments.filter((appointment) => appointment.service && (
+      appointment.serviceId === item.serviceId
+      || appointment.service.name.trim().toLowerCase() === item.name.trim().toLowerCase()
+    ));
+
+    const lastDone = matching
+      .filter((appointment) => appointment.status === 'completed')
+      .sort((a, b) => new Date(b.scheduledDate) - new Date(a.scheduledDate))[0];
+
+    const openAppointment = matching
+      .filter((appointment) => OPEN_APPOINTMENT_STATUSES.includes(appointment.status))
+      .sort((a, b) => new Date(a.scheduledDate) - new Date(b.scheduledDate))[0];
+
+    // Never done here: measure from when the car was new
+    let lastDoneAt = new Date(vehicle.year, 0, 1);
+    let lastDoneMileage = 0;
+    let lastDoneMileageEstimated = false;
+
+    if (lastDone) {
+      const endTimes = lastDone.serviceLogs
+        .map((log) => log.endTime)
+        .filter(Boolean)
+        .map((endTime) => new Date(endTime));
+      lastDoneAt = endTimes.length > 0 ? new Date(Math.max(...endTimes)) : new Date(lastDone.scheduledDate);
+
+      const readings = odometerReadings
+        .filter((reading) => reading.appointmentId === lastDone.id)
+        .map((reading) => reading.reading);
+
+      if (readings.length > 0) {
+        lastDoneMileage = Math.max(...readings);
+      } else {
+        // No reading was taken at the appointment (e.g. before readings were
+        // recorded at check-in): the last reading before it is a lower bound,
+        // so the km due point errs on the early side
+        const previousReading = odometerReadings
+          .filter((reading) => new Date(reading.recordedAt) <= lastDoneAt)
+          .sort((a, b) => new Date(b.recordedAt) - new Date(a.recordedAt) || b.id - a.id)[0];
+        lastDoneMileage = previousReading ? previousReading.reading : null;
+        lastDoneMileageEstimated = Boolean(previousReading);
+      }
+    }
+
+    const dueAtKm = item.intervalKm && lastDoneMileage !== null ? lastDoneMileage + item.intervalKm : null;
+    // The km interval cannot be checked without knowing the mileage it was last done at
+    const kmDueUnknown = Boolean(item.intervalKm) && dueAtKm === null;
+    const kmRemaining = dueAtKm !== null && currentMileage !== null && currentMileage !== undefined
+      ? dueAtKm - currentMileage
+      : null;
+    const dueDate = item.intervalMonths ? addMonths(lastDoneAt, item.intervalMonths) : null;
+    const daysRemaining = dueDate ? Math.ceil((dueDate - now) / DAY_MS) : null;
+
+    // When the km limit will probably be reached, at the rate the car is driven
+    let estimatedDueDate = dueDate;
+    if (kmRemaining !== null && mileage.averageKmPerMonth > 0) {
+      const kmDueDate = new Date(now.getTime() + Math.max(kmRemaining, 0) / mileage.averageKmPerMonth * DAYS_PER_MONTH * DAY_MS);
+      estimatedDueDate = !estimatedDueDate || kmDueDate < estimatedDueDate ? kmDueDate : estimatedDueDate;
+    }
+
+    let status = 'later';
+    if ((kmRemaining !== null && kmRemaining <= 0) || (daysRemaining !== null && daysRemaining <= 0)) {
+      status = 'overdue';
+    } else if (
+      (kmRemaining !== null && kmRemaining <= UPCOMING_KM)
+      || (estimatedDueDate && estimatedDueDate - now <= UPCOMING_DAYS * DAY_MS)
+    ) {
+      status = 'upcoming';
+    } else if (kmDueUnknown) {
+      // It may already be due by distance, so ask rather than hide it
+      status = 'upcoming';
+    }
+
+    const serviceType = item.service ? item.service.name : item.name;
+
+    result[status].push({
+      itemId: item.id.toString(),
+      name: item.name,
+      description: item.description,
+      intervalKm: item.intervalKm,
+      intervalMonths: item.intervalMonths,
+      lastDoneAt: lastDone ? lastDoneAt : null,
+      lastDoneMileage: lastDone ? lastDoneMileage : null,
+      lastDoneMileageEstimated,
+      dueAtKm,
+      kmDueUnknown,
+      kmRemaining,
+      dueDate,
+      daysRemaining,
+      estimatedDueDate,
+      status,
+      bookedAppointment: openAppointment
+        ? { id: openAppointment.id.toString(), scheduledDate: openAppointment.scheduledDate }
+        : null,
+      // Ready-made request for booking the work, unless it is already booked
+      booking: openAppointment ? null : {
+        endpoint: 'POST /api/appointments',
+        body: {
+          vehicleId: vehicle.id,
+          serviceType,
+          description: `${item.name} (recommended maintenance)`,
+        },
+      },
+    });
+  }
+
+  // Soonest first; items without any estimate go last
+  const dueTime = (entry) => (entry.estimatedDueDate ? new Date(entry.estimatedDueDate).getTime() : Infinity);
+  const byDueDate = (a, b) => (dueTime(a) > dueTime(b)) - (dueTime(a) < dueTime(b));
+  result.overdue.sort(byDueDate);
+  result.upcoming.sort(byDueDate);
+  result.later.sort(byDueDate);
+
+  return result;
+}
+
+module.exports = {
+  formatMaintenancePlanItem,
+  validateMaintenancePlanItem,
+  resolveMaintenancePlan,
+  evaluateMaintenancePlan,
+};
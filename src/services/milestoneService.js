@@ -0,0 +1,83 @@
+/**
+ * Format a milestone for the response
+ * @param {object} milestone - Milestone record
+ * @returns {object}
+ */
+function formatMilestone(milestone) {
+  return {
+    id: milestone.id.toString(),
+    projectId: milestone.projectId,
+    name: milestone.name,
+    description: milestone.description,
+    dueDate: milestone.dueDate,
+    weight: milestone.weight,
+    sortOrder: milestone.sortOrder,
+    isDone: milestone.isDone,
+    completedAt: milestone.completedAt,
+    isOverdue: isMilestoneOverdue(milestone),
+  };
+}
+
+/**
+ * Check whether an open milestone is past its due date
+ * @param {object} milestone - Milestone record
+ * @returns {boolean}
+ */
+function isMilestoneOverdue(milestone) {
+  if (milestone.isDone || !milestone.dueDate) {
+    return false;
+  }
+
+  const endOfDueDay = new Date(milestone.dueDate);
+  endOfDueDay.setHours(23, 59, 59, 999);
+
+  return endOfDueDay < new Date();
+}
+
+/**
+ * Sort milestones in the order they are worked through
+ * @param {Array<object>} milestones
+ * @returns {Array<object>}
+ */
+function sortMilestones(milestones) {
+  return [...milestones].sort((a, b) => a.sortOrder - b.sortOrder || a.id - b.id);
+}
+
+/**
+ * Compute a project's progress from its weighted milestones
+ * @param {object} project - Project record
+ * @param {Array<object>} milestones - The project's milestones
+ * @returns {{progress: number|null, milestonesDone: number, milestonesTotal: number, nextMilestone: object|null}}
+ */
+function calculateProgress(project, milestones) {
+  const totalWeight = milestones.reduce((sum, milestone) => sum + milestone.weight, 0);
+  const doneWeight = milestones
+    .filter((milestone) => milestone.isDone)
+    .reduce((sum, milestone) => sum + milestone.weight, 0);
+
+  let progress = null;
+
+  if (project.status === 'completed') {
+    progress = 100;
+  } else if (totalWeight > 0) {
+    progress = Math.round((doneWeight / totalWeight) * 100);
+  }
+
+  const nextMilestone = sortMilestones(milestones).find((milestone) => !milestone.isDone);
+
+  return {
+    progress,
+    milestonesDone: milestones.filter((milestone) => milestone.isDone).length,
+    milestonesTotal: milestones.length,
+    nextMilestone: nextMilestone
+      ? { name: nextMilestone.name, dueDate: nextMilestone.dueDate }
+      : null,
+  };
+}
+
+module.exports = {
+  formatMilestone,
+  isMilestoneOverdue,
+  sortMilestones,
+  calculateProgress,
+};
@@ -0,0 +1,125 @@
+const { createHttpError } = require('../utils/httpError');
+
+const ODOMETER_SOURCES = ['customer', 'check_in', 'check_out', 'admin'];
+
+// Average month length in days, for the km-per-month estimate
+const DAYS_PER_MONTH = 30.44;
+
+/**
+ * Format an odometer reading for the response
+ * @param {object} reading - Odometer reading record
+ * @returns {object}
+ */
+function formatOdometerReading(reading) {
+  return {
+    id: reading.id.toString(),
+    reading: reading.reading,
+    source: reading.source,
+    appointmentId: reading.appointmentId,
+    isOverride: reading.isOverride,
+    note: reading.note,
+    recordedAt: reading.recordedAt,
+  };
+}
+
+/**
+ * Record an odometer reading and make it the vehicle's current mileage.
+ * Readings may not go backwards unless an admin overrides the check
+ * (e.g. after an instrument cluster replacement) and says why.
+ * Runs inside the caller's transaction, so the reading is only kept if
+ * whatever it was taken for is saved too.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} vehicle - Vehicle record
+ * @param {object} data
+ * @param {number} data.reading - Odometer value in km
+ * @param {string} data.source - customer, check_in, check_out or admin
+ * @param {number} [data.appointmentId] - Appointment the reading was taken at
+ * @param {number} [data.recordedBy] - User recording the reading
+ * @param {boolean} [data.override] - Accept a reading lower than the last one (admins only)
+ * @param {string} [data.note]
+ * @returns {Promise<object>} - The new reading
+ */
+async function recordOdometerReading(tx, vehicle, data) {
+  const reading = Number(data.reading);
+
+  if (!Number.isInteger(reading) || reading < 0) {
+    throw createHttpError(400, 'Odometer reading must be a whole number of km, zero or more');
+  }
+
+  if (!ODOMETER_SOURCES.includes(data.source)) {
+    throw createHttpError(400, `Invalid odometer source. Must be one of: ${ODOMETER_SOURCES.join(', ')}`);
+  }
+
+  // Vehicles added before readings were tracked only have their mileage column
+  const lastReading = await tx.odometerReading.findFirst({
+    where: { vehicleId: vehicle.id },
+    orderBy: [{ recordedAt: 'desc' }, { id: 'desc' }],
+  });
+  const lastMileage = lastReading ? lastReading.reading : vehicle.mileage;
+  const goesBackwards = lastMileage !== null && lastMileage !== undefined && reading < lastMileage;
+
+  if (goesBackwards && !data.override) {
+    throw createHttpError(400, `Odometer reading ${reading} km is lower than the last recorded ${lastMileage} km`);
+  }
+
+  if (goesBackwards && !data.note) {
+    throw createHttpError(400, 'A note explaining the override is required');
+  }
+
+  const odometerReading = await tx.odometerReading.create({
+    data: {
+      vehicleId: vehicle.id,
+      reading,
+      source: data.source,
+      appointmentId: data.appointmentId,
+      recordedBy: data.recordedBy,
+      isOverride: goesBackwards,
+      note: data.note,
+    },
+  });
+
+  await tx.vehicle.update({
+    where: { id: vehicle.id },
+    data: { mileage: reading },
+  });
+
+  return odometerReading;
+}
+
+/**
+ * Summarize a vehicle's odometer history
+ * @param {Array<object>} readings - The vehicle's readings
+ * @returns {{currentMileage: number|null, averageKmPerMonth: number|null, history: Array<object>}}
+ */
+function summarizeMileage(readings) {
+  const history = [...readings].sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt) || a.id - b.id);
+
+  // An override resets the odometer, so only readings from the last one on are comparable
+  const lastOverrideIndex = history.map((reading) => reading.isOverride).lastIndexOf(true);
+  const comparable = history.slice(Math.max(lastOverrideIndex, 0));
+
+  let averageKmPerMonth = null;
+  if (comparable.length >= 2) {
+    const first = comparable[0];
+    const last = comparable[comparable.length - 1];
+    const months = (new Date(last.recordedAt) - new Date(first.recordedAt)) / (DAYS_PER_MONTH * 24 * 60 * 60 * 1000);
+
+    // Readings less than a month apart say little about how much the car is driven
+    if (months >= 1) {
+      averageKmPerMonth = Math.round((last.reading - first.reading) / months);
+    }
+  }
+
+  return {
+    currentMileage: history.length > 0 ? history[history.length - 1].reading : null,
+    averageKmPerMonth,
+    history: history.map(formatOdometerReading),
+  };
+}
+
+module.exports = {
+  ODOMETER_SOURCES,
+  formatOdometerReading,
+  recordOdometerReading,
+  summarizeMileage,
+};
@@ -0,0 +1,311 @@
+const { createHttpError } = require('../utils/httpError');
+const { getPaymentProvider } = require('./paymentGateway');
+const { applyPayment, summarizeInvoiceBalance } = require('./paymentService');
+const { roundMoney } = require('./invoiceService');
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+
+/**
+ * Create a payment intent for the outstanding balance of a customer's invoice
+ * @param {object} db - Prisma client
+ * @param {object} params
+ * @param {number} params.invoiceId - Invoice to pay
+ * @param {number} params.customerId - Customer paying (must own the invoice)
+ * @returns {Promise<{intent: object, clientSecret: string}>}
+ */
+async function createPaymentIntent(db, { invoiceId, customerId }) {
+  const invoice = await db.invoice.findFirst({
+    where: { id: invoiceId, customerId },
+    include: { payments: true },
+  });
+
+  if (!invoice) {
+    throw createHttpError(404, 'Invoice not found');
+  }
+
+  if (invoice.status === 'void') {
+    throw createHttpError(400, 'Cannot pay a void invoice');
+  }
+
+  const { balanceDue } = summarizeInvoiceBalance(invoice);
+
+  if (balanceDue <= 0) {
+    throw createHttpError(400, 'This invoice has already been paid');
+  }
+
+  const provider = getPaymentProvider();
+  const providerIntent = await provider.createIntent({
+    amount: balanceDue,
+    currency: CURRENCY,
+    metadata: { invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber },
+  });
+
+  const intent = await db.paymentIntent.create({
+    data: {
+      invoiceId: invoice.id,
+      customerId,
+      provider: provider.name,
+      providerIntentId: providerIntent.providerIntentId,
+      amount: balanceDue,
+      currency: CURRENCY,
+      status: providerIntent.status,
+    },
+  });
+
+  return { intent, clientSecret: providerIntent.clientSecret };
+}
+
+/**
+ * Apply a provider event (from a confirmation or a webhook) to our records.
+ * Safe to call more than once with the same event: an intent only moves to
+ * succeeded once, and a refund is only recorded once per provider refund ID.
+ * @param {object} db - Prisma client
+ * @param {string} providerName - Provider that sent the event
+ * @param {object} event - Provider-neutral payment event
+ * @param {object} [options]
+ * @param {number} [options.recordedBy] - User who triggered the event, if any
+ * @param {string} [options.notes] - Notes for the recorded payment
+ * @returns {Promise<object|null>} - The updated intent, or null if the intent is unknown
+ */
+async function applyPaymentEvent(db, providerName, event, options = {}) {
+  const intent = await db.paymentIntent.findUnique({
+    where: {
+      provider_providerIntentId: {
+        provider: providerName,
+        providerIntentId: event.providerIntentId,
+      },
+    },
+  });
+
+  if (!intent) {
+    return null;
+  }
+
+  switch (event.type) {
+    case 'payment.succeeded':
+      await db.$transaction(async (tx) => {
+        // A canceled intent had its money handed back and must not be recorded
+        const { count } = await tx.paymentIntent.updateMany({
+          where: { id: intent.id, status: { notIn: ['succeeded', 'canceled'] } },
+          data: { status: 'succeeded', failureReason: null },
+        });
+
+        // Already recorded by an earlier delivery of this event
+        if (count === 0) {
+          return;
+        }
+
+        await applyPayment(tx, {
+          invoiceId: intent.invoiceId,
+          method: 'online',
+          amount: Number(intent.amount),
+          reference: intent.providerIntentId,
+          notes: options.notes,
+          recordedBy: options.recordedBy,
+          paymentIntentId: intent.id,
+        });
+      });
+      break;
+
+    case 'payment.failed':
+      await db.paymentIntent.updateMany({
+        where: {
+          id: intent.id,
+          status: { in: ['requires_confirmation', 'processing'] },
+        },
+        data: { status: 'failed', failureReason: event.failureReason || 'Payment failed' },
+      });
+      break;
+
+    case 'refund.succeeded':
+      await db.$transaction(async (tx) => {
+        const existingRefund = await tx.payment.findFirst({
+          where: {
+            paymentIntentId: intent.id,
+            type: 'refund',
+            reference: event.providerRefundId,
+          },
+        });
+
+        if (existingRefund) {
+          return;
+        }
+
+        const amount = roundMoney(Number(event.amount));
+
+        await applyPayment(tx, {
+          invoiceId: intent.invoiceId,
+          type: 'refund',
+          method: 'online',
+          amount,
+          reference: event.providerRefundId,
+          notes: options.notes,
+          recordedBy: options.recordedBy,
+          paymentIntentId: intent.id,
+        });
+
+        await tx.paymentIntent.update({
+          where: { id: intent.id },
+          data: { amountRefunded: { increment: amount } },
+        });
+      });
+      break;
+
+    default:
+      // Event types we don't act on are acknowledged and ignored
+      break;
+  }
+
+  return db.paymentIntent.findUnique({ where: { id: intent.id } });
+}
+
+/**
+ * Give back money the provider captured that could not be recorded against
+ * the invoice, and cancel the intent so it is never confirmed again
+ * @param {object} db - Prisma client
+ * @param {object} provider - Provider driver that captured the payment
+ * @param {object} intent - Payment intent record
+ * @param {string} reason - Why the payment could not be recorded
+ * @returns {Promise<boolean>} - Whether the provider refunded the payment
+ */
+async function releaseUnappliedPayment(db, provider, intent, reason) {
+  let refunded = true;
+
+  try {
+    await provider.refund(intent.providerIntentId, {
+      amount: Number(intent.amount),
+      reason,
+    });
+  } catch (refundError) {
+    refunded = false;
+    console.error(`Error refunding unrecorded payment intent #${intent.id}:`, refundError);
+  }
+
+  await db.paymentIntent.update({
+    where: { id: intent.id },
+    data: {
+      status: 'canceled',
+      failureReason: refunded
+        ? `Refunded without being recorded: ${reason}`
+        : `Captured but not recorded, refund manually: ${reason}`,
+    },
+  });
+
+  return refunded;
+}
+
+/**
+ * Confirm a payment intent with the provider and record the outcome
+ * @param {object} db - Prisma client
+ * @param {object} intent - Payment intent record
+ * @param {object} params
+ * @param {string} [params.paymentMethod] - Provider payment method token
+ * @param {number} [params.recordedBy] - User confirming the payment
+ * @returns {Promise<object>} - The updated intent
+ */
+async function confirmPaymentIntent(db, intent, { paymentMethod, recordedBy }) {
+  if (!['requires_confirmation', 'failed'].includes(intent.status)) {
+    throw createHttpError(400, `Cannot confirm a payment that is ${intent.status}`);
+  }
+
+  // The balance may have been settled another way since the intent was created
+  const invoice = await db.invoice.findUnique({
+    where: { id: intent.invoiceId },
+    include: { payments: true },
+  });
+  const { balanceDue } = summarizeInvoiceBalance(invoice);
+
+  if (Number(intent.amount) > balanceDue) {
+    await db.paymentIntent.update({
+      where: { id: intent.id },
+      data: { status: 'canceled' },
+    });
+    throw createHttpError(400, 'The invoice balance has changed. Please start a new payment');
+  }
+
+  const { count } = await db.paymentIntent.updateMany({
+    where: { id: intent.id, status: intent.status },
+    data: { status: 'processing' },
+  });
+
+  if (count === 0) {
+    throw createHttpError(409, 'This payment is already being processed');
+  }
+
+  const provider = getPaymentProvider(intent.provider);
+  let event;
+
+  try {
+    event = await provider.confirmIntent(intent.providerIntentId, {
+      amount: Number(intent.amount),
+      paymentMethod,
+    });
+  } catch (error) {
+    // Let the customer try again
+    await db.paymentIntent.update({
+      where: { id: intent.id },
+      data: { status: intent.status },
+    });
+    throw error;
+  }
+
+  try {
+    return await applyPaymentEvent(db, provider.name, event, { recordedBy });
+  } catch (error) {
+    if (event.type !== 'payment.succeeded') {
+      throw error;
+    }
+
+    // The money was taken but not recorded (e.g. the invoice was settled in
+    // cash meanwhile), so don't leave the intent processing forever
+    const refunded = await releaseUnappliedPayment(db, provider, intent, error.message);
+
+    if (refunded) {
+      throw createHttpError(409, 'The payment could not be applied to the invoice and has been refunded');
+    }
+
+    throw createHttpError(500, 'The payment was taken but could not be recorded. Please contact us');
+  }
+}
+
+/**
+ * Refund (part of) a successful online payment through its provider
+ * @param {object} db - Prisma client
+ * @param {object} intent - Payment intent record
+ * @param {object} params
+ * @param {number} [params.amount] - Amount to refund (defaults to everything not yet refunded)
+ * @param {string} [params.reason] - Reason for the refund
+ * @param {number} [params.recordedBy] - User issuing the refund
+ * @returns {Promise<object>} - The updated intent
+ */
+async function refundPaymentIntent(db, intent, { amount, reason, recordedBy }) {
+  if (intent.status !== 'succeeded') {
+    throw createHttpError(400, 'Only successful payments can be refunded');
+  }
+
+  const refundable = roundMoney(Number(intent.amount) - Number(intent.amountRefunded));
+  const refundAmount = amount === undefined ? refundable : roundMoney(Number(amount));
+
+  if (!refundAmount || refundAmount <= 0) {
+    throw createHttpError(400, 'Refund amount must be a positive number');
+  }
+
+  if (refundAmount > refundable) {
+    throw createHttpError(400, `Refund exceeds the ${refundable.toFixed(2)} still refundable on this payment`);
+  }
+
+  const provider = getPaymentProvider(intent.provider);
+  const event = await provider.refund(intent.providerIntentId, {
+    amount: refundAmount,
+    reason,
+  });
+
+  return applyPaymentEvent(db, provider.name, event, { recordedBy, notes: reason });
+}
+
+module.exports = {
+  createPaymentIntent,
+  applyPaymentEvent,
+  confirmPaymentIntent,
+  refundPaymentIntent,
+};
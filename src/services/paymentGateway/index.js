@@ -0,0 +1,48 @@
+const { createHttpError } = require('../../utils/httpError');
+const sandboxProvider = require('./sandboxProvider');
+
+/**
+ * Every payment provider driver implements the same interface:
+ *
+ * - name: string
+ * - createIntent({ amount, currency, metadata })
+ *     -> Promise<{ providerIntentId, status, clientSecret }>
+ * - confirmIntent(providerIntentId, { amount, paymentMethod })
+ *     -> Promise<PaymentEvent> describing the outcome of the attempt
+ * - refund(providerIntentId, { amount, reason })
+ *     -> Promise<PaymentEvent> of type refund.succeeded
+ * - verifyWebhook(rawBody, headers)
+ *     -> PaymentEvent, throwing a 400 error if the signature does not match
+ *
+ * A PaymentEvent is the provider-neutral shape the rest of the app works with:
+ * { id, type: 'payment.succeeded' | 'payment.failed' | 'refund.succeeded',
+ *   providerIntentId, amount, providerRefundId?, failureReason? }
+ */
+const providers = {
+  [sandboxProvider.name]: sandboxProvider,
+};
+
+/**
+ * Get a payment provider driver
+ * @param {string} [name] - Provider name (defaults to PAYMENT_PROVIDER, then sandbox)
+ * @returns {object} - The provider driver
+ */
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || sandboxProvider.name) {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw createHttpError(400, `Unsupported payment provider: ${name}`);
+  }
+
+  // The sandbox confirms any test payment, so it must never settle real invoices
+  if (provider === sandboxProvider && process.env.NODE_ENV === 'production') {
+    console.error('The sandbox payment provider cannot be used in production');
+    throw createHttpError(503, 'Online payments are not available');
+  }
+
+  return provider;
+}
+
+module.exports = {
+  getPaymentProvider,
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { createHttpError } = require('../../utils/httpError');
+
+/**
+ * Local fake payment provider.
+ * No money moves and nothing leaves the process: intents always confirm
+ * unless the declined test payment method is used, and webhooks are signed
+ * with PAYMENT_WEBHOOK_SECRET exactly like a real gateway would sign them.
+ */
+
+const name = 'sandbox';
+
+const SIGNATURE_HEADER = 'x-sandbox-signature';
+
+// Reject webhooks signed more than 5 minutes ago (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Test payment methods understood by the sandbox
+const TEST_PAYMENT_METHODS = {
+  success: 'pm_sandbox_success',
+  declined: 'pm_sandbox_declined',
+};
+
+/**
+ * Generate a random provider-style identifier
+ * @param {string} prefix
+ * @returns {string}
+ */
+function generateId(prefix) {
+  return `${prefix}_sandbox_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Create a payment intent
+ * @param {object} params
+ * @param {number} params.amount - Amount to collect
+ * @param {string} params.currency - Currency code
+ * @param {object} [params.metadata] - Our own references (ignored by the sandbox)
+ * @returns {Promise<{providerIntentId: string, status: string, clientSecret: string}>}
+ */
+async function createIntent({ amount }) {
+  if (!amount || amount <= 0) {
+    throw createHttpError(400, 'Amount must be a positive number');
+  }
+
+  const providerIntentId = generateId('pi');
+
+  return {
+    providerIntentId,
+    status: 'requires_confirmation',
+    clientSecret: `${providerIntentId}_secret_${crypto.randomBytes(8).toString('hex')}`,
+  };
+}
+
+/**
+ * Confirm a payment intent with a test payment method
+ * @param {string} providerIntentId - Intent to confirm
+ * @param {object} params
+ * @param {number} params.amount - Intent amount
+ * @param {string} [params.paymentMethod] - pm_sandbox_success (default) or pm_sandbox_declined
+ * @returns {Promise<object>} - Payment event describing the outcome
+ */
+async function confirmIntent(providerIntentId, { amount, paymentMethod = TEST_PAYMENT_METHODS.success }) {
+  if (!Object.values(TEST_PAYMENT_METHODS).includes(paymentMethod)) {
+    throw createHttpError(400, `Unknown sandbox payment method. Use ${Object.values(TEST_PAYMENT_METHODS).join(' or ')}`);
+  }
+
+  if (paymentMethod === TEST_PAYMENT_METHODS.declined) {
+    return {
+      id: generateId('evt'),
+      type: 'payment.failed',
+      providerIntentId,
+      amount,
+      failureReason: 'Your card was declined',
+    };
+  }
+
+  return {
+    id: generateId('evt'),
+    type: 'payment.succeeded',
+    providerIntentId,
+    amount,
+  };
+}
+
+/**
+ * Refund (part of) a captured payment intent
+ * @param {string} providerIntentId - Intent to refund
+ * @param {object} params
+ * @param {number} params.amount - Amount to refund
+ * @returns {Promise<object>} - Payment event for the refund
+ */
+async function refund(providerIntentId, { amount }) {
+  return {
+    id: generateId('evt'),
+    type: 'refund.succeeded',
+    providerIntentId,
+    providerRefundId: generateId('re'),
+    amount,
+  };
+}
+
+/**
+ * Read the webhook signing secret.
+ * Without a secret anyone could sign webhooks, so online payments are
+ * reported as unavailable instead of falling back to a known value.
+ * @returns {string}
+ */
+function getWebhookSecret() {
+  const webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    console.error('PAYMENT_WEBHOOK_SECRET is not set. Please configure it in the environment.');
+    throw createHttpError(503, 'Online payments are not available');
+  }
+
+  return webhookSecret;
+}
+
+/**
+ * Compute the signature header value for a webhook payload
+ * @param {string|Buffer} rawBody - Exact request body
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} - Header value in the form t=<timestamp>,v1=<hex hmac>
+ */
+function signWebhookPayload(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verify a webhook request and parse its event
+ * @param {Buffer} rawBody - Exact request body as received
+ * @param {object} headers - Request headers
+ * @returns {object} - Payment event
+ */
+function verifyWebhook(rawBody, headers) {
+  // Fail as unavailable before looking at the request when no secret is set
+  getWebhookSecret();
+
+  const header = headers[SIGNATURE_HEADER];
+
+  if (!rawBody || !header) {
+    throw createHttpError(400, 'Missing webhook signature');
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map((part) => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    throw createHttpError(400, 'Malformed webhook signature');
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw createHttpError(400, 'Webhook signature has expired');
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw createHttpError(400, 'Invalid webhook signature');
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString());
+  } catch (error) {
+    throw createHttpError(400, 'Invalid webhook payload');
+  }
+
+  if (!event.id || !event.type || !event.providerIntentId) {
+    throw createHttpError(400, 'Invalid webhook payload');
+  }
+
+  return event;
+}
+
+module.exports = {
+  name,
+  SIGNATURE_HEADER,
+  TEST_PAYMENT_METHODS,
+  createIntent,
+  confirmIntent,
+  refund,
+  signWebhookPayload,
+  verifyWebhook,
+};
@@ -0,0 +1,178 @@
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney } = require('./invoiceService');
+
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'online'];
+
+/**
+ * Net amount collected from a list of payments (payments minus refunds)
+ * @param {Array<object>} payments - Payment records
+ * @returns {number}
+ */
+function calculateAmountPaid(payments) {
+  return roundMoney(
+    payments.reduce(
+      (sum, payment) => sum + (payment.type === 'refund' ? -1 : 1) * Number(payment.amount),
+      0
+    )
+  );
+}
+
+/**
+ * Work out an invoice's status from what has been collected against it
+ * @param {number} total - Invoice total
+ * @param {number} amountPaid - Net amount collected
+ * @returns {string}
+ */
+function deriveInvoiceStatus(total, amountPaid) {
+  if (amountPaid >= total && total > 0) {
+    return 'paid';
+  }
+
+  return amountPaid > 0 ? 'partially_paid' : 'issued';
+}
+
+/**
+ * Summarize what has been paid and what is still owed on an invoice
+ * @param {object} invoice - Invoice with payments
+ * @returns {{total: number, amountPaid: number, balanceDue: number}}
+ */
+function summarizeInvoiceBalance(invoice) {
+  const total = Number(invoice.total);
+  const amountPaid = calculateAmountPaid(invoice.payments || []);
+
+  return {
+    total,
+    amountPaid,
+    balanceDue: invoice.status === 'void' ? 0 : roundMoney(Math.max(total - amountPaid, 0)),
+  };
+}
+
+/**
+ * Record a payment or refund against an invoice and update its status,
+ * inside an existing transaction
+ * @param {object} tx - Prisma transaction client
+ * @param {object} data
+ * @param {number} data.invoiceId - Invoice being paid
+ * @param {string} [data.type] - payment (default) or refund
+ * @param {string} data.method - cash, card, bank_transfer or online
+ * @param {number} data.amount - Positive amount
+ * @param {string} [data.reference] - Receipt, card slip, transfer or gateway reference
+ * @param {string} [data.notes]
+ * @param {number} [data.recordedBy] - User recording the payment
+ * @param {number} [data.paymentIntentId] - Online payment intent the money came through
+ * @param {Date} [data.paidAt] - When the money changed hands (defaults to now)
+ * @returns {Promise<{payment: object, invoice: object}>}
+ */
+async function applyPayment(tx, data) {
+  const type = data.type || 'payment';
+  const amount = roundMoney(Number(data.amount));
+
+  if (!amount || amount <= 0) {
+    throw createHttpError(400, 'Amount must be a positive number');
+  }
+
+  if (!PAYMENT_METHODS.includes(data.method)) {
+    throw createHttpError(400, `Invalid payment method. Must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+
+  // Lock the invoice row until the transaction ends, so concurrent payments
+  // see each other's amounts and cannot both pass the balance check
+  await tx.$queryRaw`SELECT id FROM "invoices" WHERE id = ${data.invoiceId} FOR UPDATE`;
+
+  const invoice = await tx.invoice.findUnique({
+    where: { id: data.invoiceId },
+    include: { payments: true },
+  });
+
+  if (!invoice) {
+    throw createHttpError(404, 'Invoice not found');
+  }
+
+  if (invoice.status === 'void') {
+    throw createHttpError(400, 'Cannot record payments on a void invoice');
+  }
+
+  const { total, amountPaid, balanceDue } = summarizeInvoiceBalance(invoice);
+
+  if (type === 'payment' && amount > balanceDue) {
+    throw createHttpError(400, `Payment exceeds the outstanding balance of ${balanceDue.toFixed(2)}`);
+  }
+
+  if (type === 'refund' && amount > amountPaid) {
+    throw createHttpError(400, `Refund exceeds the ${amountPaid.toFixed(2)} collected on this invoice`);
+  }
+
+  const payment = await tx.payment.create({
+    data: {
+      invoiceId: invoice.id,
+      type,
+      method: data.method,
+      amount,
+      reference: data.reference,
+      notes: data.notes,
+      recordedBy: data.recordedBy,
+      paymentIntentId: data.paymentIntentId,
+      paidAt: data.paidAt || new Date(),
+    },
+  });
+
+  const newAmountPaid = roundMoney(amountPaid + (type === 'refund' ? -amount : amount));
+
+  const updatedInvoice = await tx.invoice.update({
+    where: { id: invoice.id },
+    data: { status: deriveInvoiceStatus(total, newAmountPaid) },
+    include: { payments: true },
+  });
+
+  return { payment, invoice: updatedInvoice };
+}
+
+/**
+ * Record a payment or refund against an invoice and update its status
+ * @param {object} db - Prisma client
+ * @param {object} data - See applyPayment
+ * @returns {Promise<{payment: object, invoice: object}>}
+ */
+async function recordPayment(db, data) {
+  return db.$transaction((tx) => applyPayment(tx, data));
+}
+
+/**
+ * Net revenue actually collected, optionally within a date range
+ * @param {object} db - Prisma client
+ * @param {{gte?: Date, lte?: Date}} [paidAt] - Range filter on the payment date
+ * @returns {Promise<{collected: number, refunded: number, net: number, count: number}>}
+ */
+async function getCollectedRevenue(db, paidAt) {
+  const where = paidAt ? { paidAt } : {};
+
+  const totals = await db.payment.groupBy({
+    by: ['type'],
+    where,
+    _sum: { amount: true },
+    _count: { _all: true },
+  });
+
+  const collectedRow = totals.find((row) => row.type === 'payment');
+  const refundedRow = totals.find((row) => row.type === 'refund');
+
+  const collected = Number(collectedRow?._sum.amount || 0);
+  const refunded = Number(refundedRow?._sum.amount || 0);
+
+  return {
+    collected,
+    refunded,
+    net: roundMoney(collected - refunded),
+    count: collectedRow?._count._all || 0,
+  };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  calculateAmountPaid,
+  deriveInvoiceStatus,
+  summarizeInvoiceBalance,
+  applyPayment,
+  recordPayment,
+  getCollectedRevenue,
+};
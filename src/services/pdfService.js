@@ -0,0 +1,226 @@
+const PDFDocument = require('pdfkit');
+
+// Shop details printed in the header of every document
+const SHOP = {
+  name: process.env.SHOP_NAME || 'MyMech AutoCare',
+  address: process.env.SHOP_ADDRESS || '',
+  phone: process.env.SHOP_PHONE || '',
+  email: process.env.SHOP_EMAIL || '',
+};
+
+const PAGE_BOTTOM = 750;
+
+const COLUMNS = {
+  description: { x: 50, width: 240 },
+  quantity: { x: 300, width: 50 },
+  unitPrice: { x: 360, width: 90 },
+  amount: { x: 460, width: 85 },
+};
+
+/**
+ * Format a money amount for print
+ * @param {number|null} amount
+ * @returns {string}
+ */
+function formatMoney(amount) {
+  return amount === null || amount === undefined ? '-' : Number(amount).toFixed(2);
+}
+
+/**
+ * Format a date for print
+ * @param {Date|string|null} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date ? new Date(date).toISOString().split('T')[0] : '-';
+}
+
+/**
+ * Render a document into a buffer
+ * @param {Function} draw - Receives the PDFKit document and draws the content
+ * @returns {Promise<Buffer>}
+ */
+function renderToBuffer(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Draw the shop header and document title
+ */
+function drawHeader(doc, title, reference) {
+  doc.fontSize(20).font('Helvetica-Bold').text(SHOP.name, 50, 50);
+  doc.fontSize(9).font('Helvetica');
+  [SHOP.address, SHOP.phone, SHOP.email].filter(Boolean).forEach((line) => doc.text(line));
+
+  doc.fontSize(16).font('Helvetica-Bold').text(title, 350, 50, { width: 195, align: 'right' });
+  doc.fontSize(10).font('Helvetica').text(reference, 350, 72, { width: 195, align: 'right' });
+
+  doc.moveTo(50, 110).lineTo(545, 110).stroke();
+  doc.y = 125;
+}
+
+/**
+ * Draw a labelled block of key/value lines (customer, vehicle, ...)
+ */
+function drawDetails(doc, heading, rows, x, y) {
+  doc.fontSize(11).font('Helvetica-Bold').text(heading, x, y);
+  doc.fontSize(9).font('Helvetica');
+  rows
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .forEach(([label, value]) => doc.text(`${label}: ${value}`, x));
+
+  return doc.y;
+}
+
+/**
+ * Draw the customer and vehicle blocks side by side
+ */
+function drawPartyDetails(doc, customerRows, vehicle) {
+  const top = doc.y;
+  const customerBottom = drawDetails(doc, 'Customer', customerRows, 50, top);
+  const vehicleBottom = drawDetails(doc, 'Vehicle', [
+    ['Vehicle', `${vehicle.year} ${vehicle.make} ${vehicle.model}`],
+    ['License plate', vehicle.licensePlate],
+    ['VIN', vehicle.vin],
+    ['Color', vehicle.color],
+    ['Mileage', vehicle.mileage],
+  ], 320, top);
+
+  doc.y = Math.max(customerBottom, vehicleBottom) + 20;
+}
+
+/**
+ * Draw a line-item table
+ * @param {Array<{description: string, quantity: number|null, unitPrice: number|null, amount: number}>} items
+ */
+function drawItemsTable(doc, items) {
+  const drawRow = (row, font) => {
+    if (doc.y > PAGE_BOTTOM) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    doc.fontSize(9).font(font);
+    doc.text(row.description, COLUMNS.description.x, y, { width: COLUMNS.description.width });
+    const rowBottom = doc.y;
+    doc.text(row.quantity, COLUMNS.quantity.x, y, { width: COLUMNS.quantity.width, align: 'right' });
+    doc.text(row.unitPrice, COLUMNS.unitPrice.x, y, { width: COLUMNS.unitPrice.width, align: 'right' });
+    doc.text(row.amount, COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+    doc.y = Math.max(rowBottom, doc.y) + 6;
+  };
+
+  drawRow({ description: 'Description', quantity: 'Qty', unitPrice: 'Unit price', amount: 'Amount' }, 'Helvetica-Bold');
+  doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).stroke();
+
+  items.forEach((item) => drawRow({
+    description: item.description,
+    quantity: item.quantity === null || item.quantity === undefined ? '' : String(item.quantity),
+    unitPrice: item.unitPrice === null || item.unitPrice === undefined ? '' : formatMoney(item.unitPrice),
+    amount: formatMoney(item.amount),
+  }, 'Helvetica'));
+
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+  doc.y += 8;
+}
+
+/**
+ * Draw right-aligned totals
+ * @param {Array<[string, number|null, boolean?]>} rows - Label, amount and whether to print in bold
+ */
+function drawTotals(doc, rows) {
+  rows.forEach(([label, amount, bold]) => {
+    const y = doc.y;
+    doc.fontSize(10).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, 330, y, { width: 120, align: 'right' });
+    doc.text(formatMoney(amount), COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+    doc.moveDown(0.3);
+  });
+}
+
+/**
+ * Render an invoice as a PDF
+ * @param {object} invoice - Formatted invoice (see invoiceController)
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(invoice) {
+  return renderToBuffer((doc) => {
+    drawHeader(doc, 'INVOICE', invoice.invoiceNumber);
+
+    drawPartyDetails(doc, [
+      ['Name', invoice.customerName],
+      ['Invoice date', formatDate(invoice.issuedAt)],
+      ['Service date', formatDate(invoice.serviceDate)],
+      ['Service', invoice.serviceType],
+      ['Status', invoice.status],
+    ], invoice.vehicle);
+
+    drawItemsTable(doc, invoice.items);
+
+    drawTotals(doc, [
+      ['Subtotal', invoice.subtotal],
+      [`Tax (${invoice.taxRate}%)`, invoice.taxAmount],
+      ['Total', invoice.total, true],
+      ['Paid', invoice.amountPaid],
+      ['Balance due', invoice.balanceDue, true],
+    ]);
+  });
+}
+
+/**
+ * Render a modification project quote as a PDF
+ * @param {object} quote - Quote data
+ * @param {object} quote.project - Project record
+ * @param {object} quote.customer - Customer record
+ * @param {object} quote.vehicle - Vehicle record
+ * @param {object|null} quote.quote - Issued quote, if any
+ * @param {Array<object>} quote.items - Line items
+ * @param {Array<[string, number|null, boolean?]>} quote.totals - Totals rows
+ * @returns {Promise<Buffer>}
+ */
+function renderProjectQuotePdf(quote) {
+  const { project, customer, vehicle, items, totals } = quote;
+  const issuedQuote = quote.quote;
+
+  return renderToBuffer((doc) => {
+    drawHeader(doc, 'QUOTE', `Project #${project.id}`);
+
+    drawPartyDetails(doc, [
+      ['Name', `${customer.firstName} ${customer.lastName}`],
+      ['Phone', customer.phone],
+      ['Quote date', formatDate(issuedQuote ? issuedQuote.issuedAt : new Date())],
+      ['Valid until', issuedQuote && issuedQuote.validUntil ? formatDate(issuedQuote.validUntil) : null],
+      ['Status', issuedQuote ? `Quote ${issuedQuote.status}` : project.status],
+    ], vehicle);
+
+    doc.fontSize(12).font('Helvetica-Bold').text(project.title, 50);
+    doc.fontSize(9).font('Helvetica').text(project.description, 50, doc.y, { width: 495 });
+    doc.moveDown();
+
+    drawItemsTable(doc, items);
+    drawTotals(doc, totals);
+
+    if (issuedQuote && issuedQuote.notes) {
+      doc.moveDown();
+      doc.fontSize(9).font('Helvetica').text(issuedQuote.notes, 50, doc.y, { width: 495 });
+    }
+  });
+}
+
+module.exports = {
+  renderInvoicePdf,
+  renderProjectQuotePdf,
+};
@@ -0,0 +1,112 @@
+const { roundMoney } = require('./invoiceService');
+const { summarizeProjectCosts } = require('./changeOrderService');
+
+// Projects employees can log work against
+const WORKABLE_PROJECT_STATUSES = ['approved', 'in_progress'];
+
+/**
+ * Summarize the work logged on a project against its estimate
+ * @param {object} project - Project with changeOrders and projectLogs (employee, serviceParts.part)
+ * @returns {object} - Hours, labor and parts spend, and variance against the revised total
+ */
+function summarizeProjectWork(project) {
+  const byEmployee = new Map();
+  let totalHours = 0;
+  let laborCost = 0;
+  let partsCost = 0;
+
+  for (const log of project.projectLogs) {
+    const hours = Number(log.hoursLogged);
+    const rate = log.employee.hourlyRate ? Number(log.employee.hourlyRate) : 0;
+
+    totalHours += hours;
+    laborCost += hours * rate;
+
+    const employeeSummary = byEmployee.get(log.employeeId) || {
+      employeeId: log.employeeId,
+      employeeName: `${log.employee.firstName} ${log.employee.lastName}`,
+      hours: 0,
+      laborCost: 0,
+    };
+    employeeSummary.hours += hours;
+    employeeSummary.laborCost = roundMoney(employeeSummary.laborCost + hours * rate);
+    byEmployee.set(log.employeeId, employeeSummary);
+
+    for (const servicePart of log.serviceParts) {
+      partsCost += servicePart.quantityUsed * (servicePart.part.unitPrice ? Number(servicePart.part.unitPrice) : 0);
+    }
+  }
+
+  const { estimatedCost, revisedTotal } = summarizeProjectCosts(project, project.changeOrders || []);
+  const actualSpend = roundMoney(laborCost + partsCost);
+
+  return {
+    totalHours: roundMoney(totalHours),
+    laborCost: roundMoney(laborCost),
+    partsCost: roundMoney(partsCost),
+    actualSpend,
+    estimatedCost,
+    revisedTotal,
+    variance: revisedTotal !== null ? roundMoney(revisedTotal - actualSpend) : null,
+    percentOfBudgetUsed: revisedTotal ? Math.round((actualSpend / revisedTotal) * 100) : null,
+    byEmployee: [...byEmployee.values()].map((summary) => ({
+      ...summary,
+      hours: roundMoney(summary.hours),
+    })),
+  };
+}
+
+/**
+ * Build the customer-facing timeline of a project: key status changes, each
+ * day of logged work and completed milestones. Costs and rates are left out on purpose.
+ * @param {object} project - Project with projectLogs (employee, serviceParts.part) and optionally milestones
+ * @returns {Array<object>} - Timeline entries, oldest first
+ */
+function buildProjectTimeline(project) {
+  const entries = [
+    { type: 'requested', date: project.createdAt, title: 'Modification requested' },
+  ];
+
+  if (project.approvedAt) {
+    entries.push({ type: 'approved', date: project.approvedAt, title: 'Quote accepted' });
+  }
+
+  if (project.startDate) {
+    entries.push({ type: 'started', date: project.startDate, title: 'Work started' });
+  }
+
+  for (const log of project.projectLogs) {
+    entries.push({
+      type: 'work',
+      date: log.logDate,
+      title: `${Number(log.hoursLogged)} hrs of work`,
+      description: log.description,
+      technician: `${log.employee.firstName} ${log.employee.lastName}`,
+      hours: Number(log.hoursLogged),
+      parts: (log.serviceParts || []).map((servicePart) => ({
+        name: servicePart.part.name,
+        quantity: servicePart.quantityUsed,
+      })),
+    });
+  }
+
+  for (const milestone of project.milestones || []) {
+    if (milestone.isDone && milestone.completedAt) {
+      entries.push({ type: 'milestone', date: milestone.completedAt, title: `Milestone reached: ${milestone.name}` });
+    }
+  }
+
+  if (project.endDate) {
+    entries.push({ type: 'completed', date: project.endDate, title: 'Work completed' });
+  }
+
+  // Work dates have no time of day, so order by day and keep the order above within a day
+  const day = (date) => new Date(date).toISOString().split('T')[0];
+  return entries.sort((a, b) => day(a.date).localeCompare(day(b.date)));
+}
+
+module.exports = {
+  WORKABLE_PROJECT_STATUSES,
+  summarizeProjectWork,
+  buildProjectTimeline,
+};
@@ -0,0 +1,208 @@
+const { createHttpError } = require('../utils/httpError');
+
+const QUOTE_DECISIONS = ['accept', 'reject'];
+
+/**
+ * Format a quote for the response
+ * @param {object|null} quote - Quote record
+ * @returns {object|null}
+ */
+function formatQuote(quote) {
+  if (!quote) {
+    return null;
+  }
+
+  return {
+    id: quote.id.toString(),
+    projectId: quote.projectId,
+    amount: Number(quote.amount),
+    notes: quote.notes,
+    validUntil: quote.validUntil,
+    status: quote.status,
+    isExpired: isQuoteExpired(quote),
+    issuedBy: quote.issuedBy,
+    issuedAt: quote.issuedAt,
+    respondedBy: quote.respondedBy,
+    respondedAt: quote.respondedAt,
+    rejectionReason: quote.rejectionReason,
+  };
+}
+
+/**
+ * Check whether a pending quote is past its validity date
+ * @param {object} quote - Quote record
+ * @returns {boolean}
+ */
+function isQuoteExpired(quote) {
+  if (quote.status !== 'pending' || !quote.validUntil) {
+    return false;
+  }
+
+  const endOfValidDay = new Date(quote.validUntil);
+  endOfValidDay.setHours(23, 59, 59, 999);
+
+  return endOfValidDay < new Date();
+}
+
+/**
+ * Get the most recently issued quote for a project
+ * @param {object} db - Prisma client
+ * @param {number} projectId
+ * @returns {Promise<object|null>}
+ */
+async function getLatestQuote(db, projectId) {
+  return db.projectQuote.findFirst({
+    where: { projectId },
+    orderBy: { issuedAt: 'desc' },
+  });
+}
+
+/**
+ * Issue a priced quote for a pending project, superseding any earlier
+ * quote the customer has not answered yet
+ * @param {object} db - Prisma client
+ * @param {object} project - Project with customer
+ * @param {object} data
+ * @param {number} data.amount - Quoted price
+ * @param {string} [data.notes] - Scope, exclusions, ...
+ * @param {Date} [data.validUntil] - Last day the quote can be accepted
+ * @param {number} data.issuedBy - Admin issuing the quote
+ * @returns {Promise<object>} - The new quote
+ */
+async function issueQuote(db, project, data) {
+  if (project.status !== 'pending') {
+    throw createHttpError(400, `Cannot quote a modification request that is ${project.status}`);
+  }
+
+  const amount = Number(data.amount);
+
+  if (!amount || amount <= 0) {
+    throw createHttpError(400, 'Quote amount must be a positive number');
+  }
+
+  return db.$transaction(async (tx) => {
+    await tx.projectQuote.updateMany({
+      where: { projectId: project.id, status: 'pending' },
+      data: { status: 'superseded' },
+    });
+
+    const quote = await tx.projectQuote.create({
+      data: {
+        projectId: project.id,
+        amount,
+        notes: data.notes,
+        validUntil: data.validUntil,
+        issuedBy: data.issuedBy,
+      },
+    });
+
+    await tx.notification.create({
+      data: {
+        userId: project.customer.userId,
+        title: 'Your modification quote is ready',
+        message: `We have quoted ${amount.toFixed(2)} for "${project.title}". Please review and accept or reject the quote.`,
+        type: 'quote',
+        relatedEntityType: 'project',
+        relatedEntityId: project.id,
+      },
+    });
+
+    return quote;
+  });
+}
+
+/**
+ * Accept or reject the pending quote of a project on behalf of its customer.
+ * Accepting approves the project at the quoted price.
+ * @param {object} db - Prisma client
+ * @param {object} project - Project record
+ * @param {object} data
+ * @param {string} data.decision - accept or reject
+ * @param {string} [data.reason] - Why the quote was rejected
+ * @param {number} data.userId - User responding to the quote
+ * @returns {Promise<{quote: object, project: object}>}
+ */
+async function respondToQuote(db, project, data) {
+  if (!QUOTE_DECISIONS.includes(data.decision)) {
+    throw createHttpError(400, `Invalid decision. Must be one of: ${QUOTE_DECISIONS.join(', ')}`);
+  }
+
+  if (project.status !== 'pending') {
+    throw createHttpError(400, `Cannot respond to a quote for a modification request that is ${project.status}`);
+  }
+
+  const quote = await db.projectQuote.findFirst({
+    where: { projectId: project.id, status: 'pending' },
+    orderBy: { issuedAt: 'desc' },
+  });
+
+  if (!quote) {
+    throw createHttpError(404, 'No pending quote for this modification request');
+  }
+
+  if (data.decision === 'accept' && isQuoteExpired(quote)) {
+    throw createHttpError(400, 'This quote has expired. Please ask for a new quote');
+  }
+
+  const accepted = data.decision === 'accept';
+  const now = new Date();
+
+  return db.$transaction(async (tx) => {
+    // Guard against answering the same quote twice
+    const { count } = await tx.projectQuote.updateMany({
+      where: { id: quote.id, status: 'pending' },
+      data: {
+        status: accepted ? 'accepted' : 'rejected',
+        respondedBy: data.userId,
+        respondedAt: now,
+        rejectionReason: accepted ? null : data.reason,
+      },
+    });
+
+    if (count === 0) {
+      throw createHttpError(409, 'This quote has already been answered');
+    }
+
+    const updatedProject = accepted
+      ? await tx.project.update({
+        where: { id: project.id },
+        data: {
+          status: 'approved',
+          actualCost: quote.amount,
+          approvedBy: data.userId,
+          approvedAt: now,
+        },
+      })
+      : project;
+
+    const admins = await tx.user.findMany({
+      where: { role: 'admin', isActive: true },
+      select: { id: true },
+    });
+
+    if (admins.length > 0) {
+      await tx.notification.createMany({
+        data: admins.map((admin) => ({
+          userId: admin.id,
+          title: accepted ? 'Quote accepted' : 'Quote rejected',
+          message: `The quote of ${Number(quote.amount).toFixed(2)} for "${project.title}" was ${accepted ? 'accepted' : 'rejected'}${!accepted && data.reason ? `: ${data.reason}` : ''}`,
+          type: 'quote',
+          relatedEntityType: 'project',
+          relatedEntityId: project.id,
+        })),
+      });
+    }
+
+    const updatedQuote = await tx.projectQuote.findUnique({ where: { id: quote.id } });
+
+    return { quote: updatedQuote, project: updatedProject };
+  });
+}
+
+module.exports = {
+  formatQuote,
+  isQuoteExpired,
+  getLatestQuote,
+  issueQuote,
+  respondToQuote,
+};
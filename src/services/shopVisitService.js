@@ -0,0 +1,280 @@
+const { createHttpError } = require('../utils/httpError');
+const { detectImageFormat } = require('./imageService');
+const { recordOdometerReading } = require('./odometerService');
+const { completeAppointmentIfDone } = require('./invoiceService');
+
+// Appointments a vehicle can be checked in for
+const CHECK_IN_STATUSES = ['scheduled', 'confirmed'];
+
+// A drawn signature sent as a data URL instead of a file
+const DATA_URL_PATTERN = /^data:image\/[a-z+.-]+;base64,([A-Za-z0-9+/=\s]+)$/;
+
+/**
+ * Format a shop visit for the response
+ * @param {object|null} visit - Shop visit record
+ * @returns {object|null}
+ */
+function formatShopVisit(visit) {
+  if (!visit) {
+    return null;
+  }
+
+  return {
+    id: visit.id.toString(),
+    appointmentId: visit.appointmentId,
+    checkedInAt: visit.checkedInAt,
+    checkedInBy: visit.checkedInBy,
+    checkInOdometer: visit.checkInOdometer,
+    fuelLevel: visit.fuelLevel,
+    damageNotes: visit.damageNotes,
+    keyTag: visit.keyTag,
+    checkedOutAt: visit.checkedOutAt,
+    checkedOutBy: visit.checkedOutBy,
+    checkOutOdometer: visit.checkOutOdometer,
+    signatureUrl: visit.signatureAttachmentId
+      ? `/api/attachments/${visit.signatureAttachmentId}/download`
+      : null,
+    isCheckedOut: Boolean(visit.checkedOutAt),
+  };
+}
+
+/**
+ * Parse an odometer value sent with a check-in or check-out
+ * @param {*} value
+ * @returns {number}
+ */
+function parseOdometer(value) {
+  const odometer = Number(value);
+
+  if (value === undefined || value === null || value === '' || !Number.isInteger(odometer) || odometer < 0) {
+    throw createHttpError(400, 'Odometer reading is required and must be a whole number of km');
+  }
+
+  return odometer;
+}
+
+/**
+ * Check that a vehicle can be checked in for an appointment
+ * @param {object} appointment - Appointment with shopVisit
+ * @param {object} data - { odometer, fuelLevel }
+ * @returns {{odometer: number, fuelLevel: number}}
+ */
+function validateCheckIn(appointment, data) {
+  if (appointment.shopVisit) {
+    throw createHttpError(409, 'This vehicle has already been checked in');
+  }
+
+  if (!CHECK_IN_STATUSES.includes(appointment.status)) {
+    throw createHttpError(400, `Cannot check in a vehicle for an appointment that is ${appointment.status}`);
+  }
+
+  const fuelLevel = Number(data.fuelLevel);
+
+  if (data.fuelLevel === undefined || data.fuelLevel === '' || !Number.isInteger(fuelLevel) || fuelLevel < 0 || fuelLevel > 100) {
+    throw createHttpError(400, 'Fuel level is required as a percentage from 0 to 100');
+  }
+
+  return { odometer: parseOdometer(data.odometer), fuelLevel };
+}
+
+/**
+ * Check that a vehicle can be checked out of an appointment
+ * @param {object} appointment - Appointment with shopVisit and serviceLogs
+ * @param {object} data - { odometer }
+ * @returns {{odometer: number}}
+ */
+function validateCheckOut(appointment, data) {
+  if (!appointment.shopVisit) {
+    throw createHttpError(400, 'This vehicle has not been checked in');
+  }
+
+  if (appointment.shopVisit.checkedOutAt) {
+    throw createHttpError(409, 'This vehicle has already been checked out');
+  }
+
+  const openLogs = appointment.serviceLogs.filter((log) => log.status !== 'completed');
+
+  if (openLogs.length > 0) {
+    throw createHttpError(400, 'Complete all services of this appointment before checking the vehicle out');
+  }
+
+  return { odometer: parseOdometer(data.odometer) };
+}
+
+/**
+ * Read the customer's drawn signature, uploaded as a file or sent as a data URL
+ * @param {object} [file] - Multer file
+ * @param {string} [dataUrl] - data:image/png;base64,... from a signature pad
+ * @returns {{buffer: Buffer, contentType: string, extension: string}}
+ */
+function readSignatureImage(file, dataUrl) {
+  let buffer = null;
+
+  if (file) {
+    buffer = file.buffer;
+  } else if (typeof dataUrl === 'string') {
+    const match = dataUrl.match(DATA_URL_PATTERN);
+    buffer = match ? Buffer.from(match[1], 'base64') : null;
+  }
+
+  if (!buffer) {
+    throw createHttpError(400, 'The customer signature is required as an image');
+  }
+
+  const imageFormat = detectImageFormat(buffer);
+
+  if (!imageFormat) {
+    throw createHttpError(400, 'The signature must be a JPEG, PNG or WebP image');
+  }
+
+  return { buffer, contentType: imageFormat.contentType, extension: imageFormat.extension };
+}
+
+/**
+ * Record the arrival of a vehicle and start work on the appointment
+ * @param {object} db - Prisma client
+ * @param {object} appointment - Appointment with vehicle and customer
+ * @param {object} data
+ * @param {number} data.odometer - From validateCheckIn
+ * @param {number} data.fuelLevel - From validateCheckIn
+ * @param {string} [data.damageNotes] - Damage already on the vehicle
+ * @param {string} [data.keyTag] - Number of the tag on the customer's keys
+ * @param {Array<object>} data.photos - Uploaded photos ({ storagePath, fileName, contentType, size })
+ * @param {number} data.userId - User checking the vehicle in
+ * @returns {Promise<object>} - The new shop visit
+ */
+async function checkInVehicle(db, appointment, data) {
+  const { vehicle } = appointment;
+
+  return db.$transaction(async (tx) => {
+    // Start work first: a concurrent check-in finds the appointment in progress
+    const { count } = await tx.appointment.updateMany({
+      where: { id: appointment.id, status: { in: CHECK_IN_STATUSES } },
+      data: { status: 'in_progress' },
+    });
+
+    if (count === 0) {
+      throw createHttpError(409, 'This vehicle has already been checked in');
+    }
+
+    // Rejects readings lower than the vehicle's last one, undoing the check-in
+    await recordOdometerReading(tx, vehicle, {
+      reading: data.odometer,
+      source: 'check_in',
+      appointmentId: appointment.id,
+      recordedBy: data.userId,
+    });
+
+    const visit = await tx.shopVisit.create({
+      data: {
+        appointmentId: appointment.id,
+        checkedInBy: data.userId,
+        checkInOdometer: data.odometer,
+        fuelLevel: data.fuelLevel,
+        damageNotes: data.damageNotes,
+        keyTag: data.keyTag,
+      },
+    });
+
+    if (data.photos.length > 0) {
+      await tx.attachment.createMany({
+        data: data.photos.map((photo) => ({
+          appointmentId: appointment.id,
+          category: 'before_photo',
+          visibility: 'customer',
+          fileName: photo.fileName,
+          storagePath: photo.storagePath,
+          contentType: photo.contentType,
+          size: photo.size,
+          caption: 'Check-in photo',
+          uploadedBy: data.userId,
+        })),
+      });
+    }
+
+    await tx.notification.create({
+      data: {
+        userId: appointment.customer.userId,
+        title: 'Your vehicle has been checked in',
+        message: `We received your ${vehicle.year} ${vehicle.make} ${vehicle.model} at ${data.odometer} km${data.keyTag ? ` (key tag ${data.keyTag})` : ''}. Work will start shortly.`,
+        type: 'appointment',
+        relatedEntityType: 'appointment',
+        relatedEntityId: appointment.id,
+      },
+    });
+
+    return visit;
+  });
+}
+
+/**
+ * Record the return of a vehicle to the customer and complete the appointment
+ * @param {object} db - Prisma client
+ * @param {object} appointment - Appointment with vehicle and shopVisit
+ * @param {object} data
+ * @param {number} data.odometer - From validateCheckOut
+ * @param {object} data.signature - Uploaded signature ({ storagePath, fileName, contentType, size })
+ * @param {number} data.userId - User checking the vehicle out
+ * @returns {Promise<{visit: object, invoice: object|null}>}
+ */
+async function checkOutVehicle(db, appointment, data) {
+  const visit = await db.$transaction(async (tx) => {
+    const signature = await tx.attachment.create({
+      data: {
+        appointmentId: appointment.id,
+        category: 'signature',
+        visibility: 'customer',
+        fileName: data.signature.fileName,
+        storagePath: data.signature.storagePath,
+        contentType: data.signature.contentType,
+        size: data.signature.size,
+        caption: 'Customer signature at check-out',
+        uploadedBy: data.userId,
+      },
+    });
+
+    // Guard against checking the vehicle out twice
+    const { count } = await tx.shopVisit.updateMany({
+      where: { id: appointment.shopVisit.id, checkedOutAt: null },
+      data: {
+        checkedOutAt: new Date(),
+        checkedOutBy: data.userId,
+        checkOutOdometer: data.odometer,
+        signatureAttachmentId: signature.id,
+      },
+    });
+
+    if (count === 0) {
+      throw createHttpError(409, 'This vehicle has already been checked out');
+    }
+
+    await recordOdometerReading(tx, appointment.vehicle, {
+      reading: data.odometer,
+      source: 'check_out',
+      appointmentId: appointment.id,
+      recordedBy: data.userId,
+    });
+
+    return tx.shopVisit.findUnique({ where: { id: appointment.shopVisit.id } });
+  });
+
+  // Completes the appointment and bills it (no-op for the invoice if one exists).
+  // The vehicle has left either way, so a billing problem must not undo the check-out.
+  let invoice = null;
+  try {
+    invoice = await completeAppointmentIfDone(db, appointment.id);
+  } catch (invoiceError) {
+    console.error('Error generating invoice:', invoiceError);
+  }
+
+  return { visit, invoice };
+}
+
+module.exports = {
+  formatShopVisit,
+  validateCheckIn,
+  validateCheckOut,
+  readSignatureImage,
+  checkInVehicle,
+  checkOutVehicle,
+};
@@ -0,0 +1,42 @@
+const supabaseDriver = require('./supabaseDriver');
+const localDriver = require('./localDriver');
+
+/**
+ * Every storage driver implements the same interface:
+ *
+ * - name: string
+ * - isConfigured() -> boolean, whether the driver has the settings it needs
+ * - upload(bucket, key, fileBuffer, contentType) -> Promise<void>
+ * - download(bucket, key) -> Promise<Buffer>
+ * - remove(bucket, keys) -> Promise<void>
+ * - list(bucket) -> Promise<Array<{ key, size, createdAt }>>
+ * - getPublicUrl(bucket, key) -> string, where a file in a public bucket is served from
+ *
+ * Keys are flat file names; drivers must not overwrite an existing key.
+ */
+const drivers = {
+  [supabaseDriver.name]: supabaseDriver,
+  [localDriver.name]: localDriver,
+};
+
+/**
+ * Get the configured storage driver.
+ * Uses STORAGE_DRIVER when set, otherwise Supabase if its credentials are
+ * configured and the local filesystem if not.
+ * @returns {object} - The storage driver
+ */
+function getStorageDriver() {
+  const name = process.env.STORAGE_DRIVER
+    || (supabaseDriver.isConfigured() ? supabaseDriver.name : localDriver.name);
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unsupported storage driver: ${name}`);
+  }
+
+  return driver;
+}
+
+module.exports = {
+  getStorageDriver,
+};
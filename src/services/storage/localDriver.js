@@ -0,0 +1,143 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createHttpError } = require('../../utils/httpError');
+
+/**
+ * Local filesystem storage driver.
+ * Files live under STORAGE_LOCAL_DIR/<bucket>/<key> and are served by the
+ * authenticated /api/files route, so uploads work without any cloud account.
+ */
+
+const name = 'local';
+
+/**
+ * Directory files are stored in
+ * @returns {string}
+ */
+function getRootDir() {
+  return path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+}
+
+/**
+ * Resolve the path of a file, refusing keys that would escape its bucket
+ * @param {string} bucket - Bucket name
+ * @param {string} key - File key within the bucket
+ * @returns {string}
+ */
+function resolveFilePath(bucket, key) {
+  const bucketDir = path.join(getRootDir(), bucket);
+  const filePath = path.resolve(bucketDir, key);
+
+  if (path.dirname(filePath) !== bucketDir) {
+    throw createHttpError(400, 'Invalid file key');
+  }
+
+  return filePath;
+}
+
+/**
+ * The local driver needs no credentials
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Store a file
+ * @param {string} bucket - Bucket name
+ * @param {string} key - File key within the bucket
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Promise<void>}
+ */
+async function upload(bucket, key, fileBuffer) {
+  const filePath = resolveFilePath(bucket, key);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  // Same as Supabase with upsert disabled: never overwrite an existing file
+  await fs.writeFile(filePath, fileBuffer, { flag: 'wx' });
+}
+
+/**
+ * Read a file
+ * @param {string} bucket - Bucket name
+ * @param {string} key - File key within the bucket
+ * @returns {Promise<Buffer>}
+ */
+async function download(bucket, key) {
+  try {
+    return await fs.readFile(resolveFilePath(bucket, key));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw createHttpError(404, 'File not found');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete files, ignoring ones that are already gone
+ * @param {string} bucket - Bucket name
+ * @param {Array<string>} keys - File keys within the bucket
+ * @returns {Promise<void>}
+ */
+async function remove(bucket, keys) {
+  await Promise.all(keys.map(async (key) => {
+    try {
+      await fs.unlink(resolveFilePath(bucket, key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }));
+}
+
+/**
+ * List every file in a bucket
+ * @param {string} bucket - Bucket name
+ * @returns {Promise<Array<{key: string, size: number|null, createdAt: Date}>>}
+ */
+async function list(bucket) {
+  const bucketDir = path.join(getRootDir(), bucket);
+  let entries;
+
+  try {
+    entries = await fs.readdir(bucketDir, { withFileTypes: true });
+  } catch (error) {
+    // Nothing has been uploaded to this bucket yet
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return Promise.all(entries
+    .filter((entry) => entry.isFile())
+    .map(async (entry) => {
+      const stats = await fs.stat(path.join(bucketDir, entry.name));
+      return { key: entry.name, size: stats.size, createdAt: stats.mtime };
+    }));
+}
+
+/**
+ * Get the URL a file in a public bucket is served from
+ * @param {string} bucket - Bucket name
+ * @param {string} key - File key within the bucket
+ * @returns {string}
+ */
+function getPublicUrl(bucket, key) {
+  const baseUrl = process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 8000}`;
+
+  return `${baseUrl}/api/files/${bucket}/${encodeURIComponent(key)}`;
+}
+
+module.exports = {
+  name,
+  isConfigured,
+  upload,
+  download,
+  remove,
+  list,
+  getPublicUrl,
+};
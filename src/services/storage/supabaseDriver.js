@@ -0,0 +1,155 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Supabase storage driver.
+ * Buckets map to Supabase storage buckets; public buckets are served
+ * straight from Supabase, private ones only through our own routes.
+ */
+
+const name = 'supabase';
+
+let client = null;
+
+/**
+ * Check whether Supabase credentials are configured
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY);
+}
+
+/**
+ * Get the Supabase client, creating it on first use
+ * @returns {object}
+ */
+function getClient() {
+  if (!isConfigured()) {
+    throw new Error('Supabase client not initialized. Please configure SUPABASE_URL and SUPABASE_SERVICE_KEY.');
+  }
+
+  if (!client) {
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+
+  return client;
+}
+
+/**
+ * Store a file
+ * @param {string} bucket - Bucket name
+ * @param {string} key - File key within the bucket
+ * @param {Buffer} fileBuffer - File contents
+ * @param {string} contentType - MIME type of the file
+ * @returns {Promise<void>}
+ */
+async function upload(bucket, key, fileBuffer, contentType) {
+  const { error } = await getClient().storage
+    .from(bucket)
+    .upload(key, fileBuffer, {
+      contentType,
+      upsert: false,
+    });
+
+  if (error) {
+    console.error('Supabase upload error:', error);
+    throw new Error(`Failed to upload file: ${error.message}`);
+  }
+}
+
+/**
+ * Read a file
+ * @param {string} bucket - Bucket name
+ * @param {string} key - File key within the bucket
+ * @returns {Promise<Buffer>}
+ */
+async function download(bucket, key) {
+  const { data, error } = await getClient().storage
+    .from(bucket)
+    .download(key);
+
+  if (error) {
+    console.error('Supabase download error:', error);
+    throw new Error(`Failed to download file: ${error.message}`);
+  }
+
+  return Buffer.from(await data.arrayBuffer());
+}
+
+/**
+ * Delete files
+ * @param {string} bucket - Bucket name
+ * @param {Array<string>} keys - File keys within the bucket
+ * @returns {Promise<void>}
+ */
+async function remove(bucket, keys) {
+  const { error } = await getClient().storage
+    .from(bucket)
+    .remove(keys);
+
+  if (error) {
+    console.error('Supabase delete error:', error);
+    throw new Error(`Failed to delete files: ${error.message}`);
+  }
+}
+
+/**
+ * List every file in a bucket
+ * @param {string} bucket - Bucket name
+ * @returns {Promise<Array<{key: string, size: number|null, createdAt: Date}>>}
+ */
+async function list(bucket) {
+  const files = [];
+  const pageSize = 1000;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await getClient().storage
+      .from(bucket)
+      .list('', {
+        limit: pageSize,
+        offset,
+        sortBy: { column: 'name', order: 'asc' },
+      });
+
+    if (error) {
+      console.error('Supabase list error:', error);
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+
+    // Folders come back without an id; we only store flat keys
+    for (const object of data.filter((item) => item.id)) {
+      files.push({
+        key: object.name,
+        size: object.metadata ? object.metadata.size : null,
+        createdAt: new Date(object.created_at),
+      });
+    }
+
+    if (data.length < pageSize) {
+      return files;
+    }
+  }
+}
+
+/**
+ * Get the URL a file in a public bucket is served from
+ * @param {string} bucket - Bucket name
+ * @param {string} key - File key within the bucket
+ * @returns {string}
+ */
+function getPublicUrl(bucket, key) {
+  const { data } = getClient().storage
+    .from(bucket)
+    .getPublicUrl(key);
+
+  return data.publicUrl;
+}
+
+module.exports = {
+  name,
+  isConfigured,
+  upload,
+  download,
+  remove,
+  list,
+  getPublicUrl,
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { getStorageDriver } = require('./storage');
+
+// Vehicle images are public; attachments are only served through the attachment routes
+const VEHICLE_IMAGE_BUCKET = 'vehicle-images';
+const ATTACHMENT_BUCKET = 'attachments';
+
+// Buckets whose files can be fetched by URL
+const PUBLIC_BUCKETS = [VEHICLE_IMAGE_BUCKET];
+
+/**
+ * Build a unique storage key, keeping only safe characters of the original name
+ * @param {string} fileName - The original file name
+ * @returns {string}
+ */
+function generateStorageKey(fileName) {
+  const safeFileName = fileName.replace(/[^a-zA-Z0-9._-]/g, '_');
+  // Several files with the same name can be stored within the same millisecond (gallery uploads)
+  return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeFileName}`;
+}
+
+/**
+ * Get the storage key a public file URL points at
+ * @param {string} url - URL returned by uploadVehicleImage
+ * @returns {string}
+ */
+function storageKeyFromUrl(url) {
+  // Both drivers end the URL with the (encoded) storage key
+  return decodeURIComponent(url.split('/').pop());
+}
+
+/**
+ * Upload a vehicle image
+ * @param {Buffer} fileBuffer - The image file buffer
+ * @param {string} fileName - The name for the file
+ * @param {string} contentType - The MIME type of the file
+ * @returns {Promise<string>} - The public URL of the uploaded image
+ */
+async function uploadVehicleImage(fileBuffer, fileName, contentType) {
+  try {
+    const storage = getStorageDriver();
+    const key = generateStorageKey(fileName);
+
+    await storage.upload(VEHICLE_IMAGE_BUCKET, key, fileBuffer, contentType);
+
+    return storage.getPublicUrl(VEHICLE_IMAGE_BUCKET, key);
+  } catch (error) {
+    console.error('Error uploading vehicle image:', error);
+    throw error;
+  }
+}
+
+/**
+ * Upload multiple vehicle images
+ * @param {Array<{buffer: Buffer, fileName: string, contentType: string}>} images - Array of image objects
+ * @returns {Promise<Array<string>>} - Array of public URLs
+ */
+async function uploadMultipleVehicleImages(images) {
+  if (!images || images.length === 0) {
+    return [];
+  }
+
+  try {
+    const uploadPromises = images.map((image) =>
+      uploadVehicleImage(image.buffer, image.fileName, image.contentType)
+    );
+
+    const urls = await Promise.all(uploadPromises);
+    return urls;
+  } catch (error) {
+    console.error('Error uploading multiple images:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a vehicle image
+ * @param {string} imageUrl - The public URL of the image to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteVehicleImage(imageUrl) {
+  try {
+    await getStorageDriver().remove(VEHICLE_IMAGE_BUCKET, [storageKeyFromUrl(imageUrl)]);
+    return true;
+  } catch (error) {
+    console.error('Error deleting vehicle image:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete multiple vehicle images
+ * @param {Array<string>} imageUrls - Array of image URLs to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteMultipleVehicleImages(imageUrls) {
+  if (!imageUrls || imageUrls.length === 0) {
+    return true;
+  }
+
+  try {
+    const deletePromises = imageUrls
+      .filter((url) => url) // Filter out null/undefined
+      .map((url) => deleteVehicleImage(url));
+
+    await Promise.all(deletePromises);
+    return true;
+  } catch (error) {
+    console.error('Error deleting multiple images:', error);
+    return false;
+  }
+}
+
+/**
+ * Upload an attachment to the private attachments bucket
+ * @param {Buffer} fileBuffer - The file buffer
+ * @param {string} fileName - The original file name
+ * @param {string} contentType - The MIME type of the file
+ * @returns {Promise<string>} - The storage path of the uploaded file
+ */
+async function uploadAttachment(fileBuffer, fileName, contentType) {
+  try {
+    const storagePath = generateStorageKey(fileName);
+
+    await getStorageDriver().upload(ATTACHMENT_BUCKET, storagePath, fileBuffer, contentType);
+
+    return storagePath;
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download an attachment from the private attachments bucket
+ * @param {string} storagePath - The storage path returned by uploadAttachment
+ * @returns {Promise<Buffer>} - The file contents
+ */
+async function downloadAttachment(storagePath) {
+  return getStorageDriver().download(ATTACHMENT_BUCKET, storagePath);
+}
+
+/**
+ * Delete an attachment from the private attachments bucket
+ * @param {string} storagePath - The storage path returned by uploadAttachment
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteAttachment(storagePath) {
+  try {
+    await getStorageDriver().remove(ATTACHMENT_BUCKET, [storagePath]);
+    return true;
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    return false;
+  }
+}
+
+/**
+ * Read a file from a public bucket (used to serve local-driver URLs)
+ * @param {string} bucket - Bucket name
+ * @param {string} key - File key within the bucket
+ * @returns {Promise<Buffer>} - The file contents
+ */
+async function downloadPublicFile(bucket, key) {
+  return getStorageDriver().download(bucket, key);
+}
+
+/**
+ * List every file stored in a bucket
+ * @param {string} bucket - Bucket name
+ * @returns {Promise<Array<{key: string, size: number|null, createdAt: Date}>>}
+ */
+async function listStoredFiles(bucket) {
+  return getStorageDriver().list(bucket);
+}
+
+/**
+ * Delete files from a bucket by key
+ * @param {string} bucket - Bucket name
+ * @param {Array<string>} keys - File keys within the bucket
+ * @returns {Promise<void>}
+ */
+async function removeStoredFiles(bucket, keys) {
+  if (keys.length === 0) {
+    return;
+  }
+
+  await getStorageDriver().remove(bucket, keys);
+}
+
+module.exports = {
+  VEHICLE_IMAGE_BUCKET,
+  ATTACHMENT_BUCKET,
+  PUBLIC_BUCKETS,
+  storageKeyFromUrl,
+  uploadVehicleImage,
+  uploadMultipleVehicleImages,
+  deleteVehicleImage,
+  deleteMultipleVehicleImages,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+  downloadPublicFile,
+  listStoredFiles,
+  removeStoredFiles,
+};
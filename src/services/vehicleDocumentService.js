@@ -0,0 +1,130 @@
+const { createHttpError } = require('../utils/httpError');
+
+const VEHICLE_DOCUMENT_TYPES = ['insurance', 'registration', 'emission_test', 'other'];
+
+// How long before a document expires its owner is reminded
+const EXPIRY_REMINDER_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight UTC of a day, the way date-only columns are stored
+ * @param {Date} date
+ * @returns {Date}
+ */
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Whole days from today until a document expires (negative once expired)
+ * @param {Date|null} expiryDate
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+function daysUntilExpiry(expiryDate, now = new Date()) {
+  if (!expiryDate) {
+    return null;
+  }
+
+  return Math.round((startOfUtcDay(new Date(expiryDate)) - startOfUtcDay(now)) / DAY_MS);
+}
+
+/**
+ * Format a vehicle document for the response
+ * @param {object} document - Vehicle document record
+ * @returns {object}
+ */
+function formatVehicleDocument(document) {
+  const daysLeft = daysUntilExpiry(document.expiryDate);
+
+  return {
+    id: document.id.toString(),
+    vehicleId: document.vehicleId,
+    type: document.type,
+    title: document.title,
+    documentNumber: document.documentNumber,
+    issueDate: document.issueDate,
+    expiryDate: document.expiryDate,
+    daysUntilExpiry: daysLeft,
+    isExpired: daysLeft !== null && daysLeft < 0,
+    expiresSoon: daysLeft !== null && daysLeft >= 0 && daysLeft <= EXPIRY_REMINDER_DAYS,
+    fileName: document.fileName,
+    contentType: document.contentType,
+    size: document.size,
+    downloadUrl: `/api/vehicles/${document.vehicleId}/documents/${document.id}/download`,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt,
+  };
+}
+
+/**
+ * Parse a date-only field (YYYY-MM-DD)
+ * @param {*} value
+ * @param {string} field - Name used in the error message
+ * @returns {Date|null}
+ */
+function parseDocumentDate(value, field) {
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `${field} must be a valid date (YYYY-MM-DD)`);
+  }
+
+  return startOfUtcDay(date);
+}
+
+/**
+ * Check the details of a document, merged over the existing document when updating
+ * @param {object} data - { type, title, documentNumber, issueDate, expiryDate } from the request
+ * @param {object} [existing] - Document being updated
+ * @returns {object} - Fields to store
+ */
+function validateVehicleDocument(data, existing = {}) {
+  const type = data.type !== undefined ? data.type : existing.type;
+
+  if (!VEHICLE_DOCUMENT_TYPES.includes(type)) {
+    throw createHttpError(400, `Invalid document type. Must be one of: ${VEHICLE_DOCUMENT_TYPES.join(', ')}`);
+  }
+
+  const issueDate = data.issueDate !== undefined
+    ? parseDocumentDate(data.issueDate, 'Issue date')
+    : existing.issueDate || null;
+  const expiryDate = data.expiryDate !== undefined
+    ? parseDocumentDate(data.expiryDate, 'Expiry date')
+    : existing.expiryDate || null;
+
+  if (issueDate && expiryDate && expiryDate < issueDate) {
+    throw createHttpError(400, 'Expiry date cannot be before the issue date');
+  }
+
+  const fields = {
+    type,
+    title: data.title !== undefined ? data.title || null : existing.title,
+    documentNumber: data.documentNumber !== undefined ? data.documentNumber || null : existing.documentNumber,
+    issueDate,
+    expiryDate,
+  };
+
+  // A renewed document gets a new reminder before its new expiry date
+  const previousExpiry = existing.expiryDate ? new Date(existing.expiryDate).getTime() : null;
+  const newExpiry = expiryDate ? expiryDate.getTime() : null;
+  if (existing.id && previousExpiry !== newExpiry) {
+    fields.expiryReminderSentAt = null;
+  }
+
+  return fields;
+}
+
+module.exports = {
+  VEHICLE_DOCUMENT_TYPES,
+  EXPIRY_REMINDER_DAYS,
+  startOfUtcDay,
+  daysUntilExpiry,
+  formatVehicleDocument,
+  validateVehicleDocument,
+};
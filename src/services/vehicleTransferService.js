@@ -0,0 +1,266 @@
+const { createHttpError } = require('../utils/httpError');
+
+const TRANSFER_DECISIONS = ['accept', 'reject'];
+
+// Work booked by the current owner that has to be finished or cancelled first
+const OPEN_APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'in_progress'];
+const OPEN_PROJECT_STATUSES = ['pending', 'approved', 'in_progress'];
+
+/**
+ * Name of a customer as shown to the other party of a transfer ("Jane D.")
+ * @param {object} customer - Customer record
+ * @returns {string}
+ */
+function ownerDisplayName(customer) {
+  return `${customer.firstName} ${customer.lastName.charAt(0)}.`;
+}
+
+/**
+ * Format a transfer for the response
+ * @param {object} transfer - Transfer with vehicle, fromCustomer and toCustomer
+ * @returns {object}
+ */
+function formatVehicleTransfer(transfer) {
+  return {
+    id: transfer.id.toString(),
+    vehicle: {
+      id: transfer.vehicle.id,
+      make: transfer.vehicle.make,
+      model: transfer.vehicle.model,
+      year: transfer.vehicle.year,
+      licensePlate: transfer.vehicle.licensePlate,
+    },
+    fromOwner: ownerDisplayName(transfer.fromCustomer),
+    toOwner: ownerDisplayName(transfer.toCustomer),
+    status: transfer.status,
+    note: transfer.note,
+    initiatedAt: transfer.initiatedAt,
+    respondedAt: transfer.respondedAt,
+  };
+}
+
+/**
+ * Make sure no appointment or modification of the vehicle is still open
+ * @param {object} db - Prisma client or transaction
+ * @param {number} vehicleId
+ */
+async function assertNoOpenWork(db, vehicleId) {
+  const [openAppointments, openProjects] = await Promise.all([
+    db.appointment.count({
+      where: { vehicleId, status: { in: OPEN_APPOINTMENT_STATUSES } },
+    }),
+    db.project.count({
+      where: { vehicleId, status: { in: OPEN_PROJECT_STATUSES } },
+    }),
+  ]);
+
+  if (openAppointments > 0 || openProjects > 0) {
+    throw createHttpError(400, 'Finish or cancel the open appointments and modification requests of this vehicle before transferring it');
+  }
+}
+
+/**
+ * Offer a vehicle to another customer. The vehicle only moves once they accept.
+ * @param {object} db - Prisma client
+ * @param {object} vehicle - Vehicle with customer
+ * @param {object} data
+ * @param {string} data.newOwnerEmail - Email address of the buyer's account
+ * @param {string} [data.note]
+ * @returns {Promise<object>} - The new transfer
+ */
+async function initiateVehicleTransfer(db, vehicle, data) {
+  if (!data.newOwnerEmail) {
+    throw createHttpError(400, 'New owner email is required');
+  }
+
+  const newOwner = await db.user.findUnique({
+    where: { email: String(data.newOwnerEmail).trim() },
+    include: { customer: true },
+  });
+
+  if (!newOwner || newOwner.role !== 'customer' || !newOwner.isActive || !newOwner.customer) {
+    throw createHttpError(404, 'No customer account found for that email');
+  }
+
+  if (newOwner.customer.id === vehicle.customerId) {
+    throw createHttpError(400, 'You already own this vehicle');
+  }
+
+  const pendingTransfer = await db.vehicleTransfer.findFirst({
+    where: { vehicleId: vehicle.id, status: 'pending' },
+  });
+
+  if (pendingTransfer) {
+    throw createHttpError(409, 'A transfer of this vehicle is already pending');
+  }
+
+  await assertNoOpenWork(db, vehicle.id);
+
+  return db.$transaction(async (tx) => {
+    const transfer = await tx.vehicleTransfer.create({
+      data: {
+        vehicleId: vehicle.id,
+        fromCustomerId: vehicle.customerId,
+        toCustomerId: newOwner.customer.id,
+        note: data.note,
+      },
+      include: { vehicle: true, fromCustomer: true, toCustomer: true },
+    });
+
+    await tx.notification.create({
+      data: {
+        userId: newOwner.id,
+        title: 'Vehicle transfer waiting for you',
+        message: `${ownerDisplayName(vehicle.customer)} wants to transfer their ${vehicle.year} ${vehicle.make} ${vehicle.model} to you. Please accept or reject the transfer.`,
+        type: 'vehicle_transfer',
+        relatedEntityType: 'vehicle_transfer',
+        relatedEntityId: transfer.id,
+      },
+    });
+
+    return transfer;
+  });
+}
+
+/**
+ * Accept or reject a pending transfer, as the new owner or an admin.
+ * Accepting moves the vehicle with its appointments, projects, service logs,
+ * odometer readings and images; those records keep pointing at the vehicle.
+ * @param {object} db - Prisma client
+ * @param {object} transfer - Transfer with vehicle, fromCustomer and toCustomer
+ * @param {object} data
+ * @param {string} data.decision - accept or reject
+ * @param {number} data.userId - User responding to the transfer
+ * @returns {Promise<object>} - The updated transfer
+ */
+async function respondToVehicleTransfer(db, transfer, data) {
+  if (!TRANSFER_DECISIONS.includes(data.decision)) {
+    throw createHttpError(400, `Invalid decision. Must be one of: ${TRANSFER_DECISIONS.join(', ')}`);
+  }
+
+  if (transfer.status !== 'pending') {
+    throw createHttpError(400, `Cannot respond to a transfer that is ${transfer.status}`);
+  }
+
+  const accepted = data.decision === 'accept';
+
+  // The old owner may have booked work after offering the vehicle
+  if (accepted) {
+    await assertNoOpenWork(db, transfer.vehicleId);
+  }
+
+  return db.$transaction(async (tx) => {
+    // Guard against answering the same transfer twice
+    const { count } = await tx.vehicleTransfer.updateMany({
+      where: { id: transfer.id, status: 'pending' },
+      data: {
+        status: accepted ? 'accepted' : 'rejected',
+        respondedBy: data.userId,
+        respondedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      throw createHttpError(409, 'This transfer has already been answered');
+    }
+
+    if (accepted) {
+      await tx.vehicle.update({
+        where: { id: transfer.vehicleId },
+        data: { customerId: transfer.toCustomerId },
+      });
+    }
+
+    const { vehicle } = transfer;
+    const parties = [transfer.fromCustomer.userId, transfer.toCustomer.userId]
+      .filter((userId) => userId !== data.userId);
+
+    await tx.notification.createMany({
+      data: parties.map((userId) => ({
+        userId,
+        title: accepted ? 'Vehicle transfer completed' : 'Vehicle transfer rejected',
+        message: `The transfer of the ${vehicle.year} ${vehicle.make} ${vehicle.model} from ${ownerDisplayName(transfer.fromCustomer)} to ${ownerDisplayName(transfer.toCustomer)} was ${accepted ? 'accepted' : 'rejected'}`,
+        type: 'vehicle_transfer',
+        relatedEntityType: 'vehicle_transfer',
+        relatedEntityId: transfer.id,
+      })),
+    });
+
+    return tx.vehicleTransfer.findUnique({
+      where: { id: transfer.id },
+      include: { vehicle: true, fromCustomer: true, toCustomer: true },
+    });
+  });
+}
+
+/**
+ * Withdraw a pending transfer, as the current owner
+ * @param {object} db - Prisma client
+ * @param {object} transfer - Transfer with vehicle, fromCustomer and toCustomer
+ * @param {number} userId - User cancelling the transfer
+ * @returns {Promise<object>} - The updated transfer
+ */
+async function cancelVehicleTransfer(db, transfer, userId) {
+  if (transfer.status !== 'pending') {
+    throw createHttpError(400, `Cannot cancel a transfer that is ${transfer.status}`);
+  }
+
+  return db.$transaction(async (tx) => {
+    const { count } = await tx.vehicleTransfer.updateMany({
+      where: { id: transfer.id, status: 'pending' },
+      data: {
+        status: 'cancelled',
+        respondedBy: userId,
+        respondedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      throw createHttpError(409, 'This transfer has already been answered');
+    }
+
+    const { vehicle } = transfer;
+    await tx.notification.create({
+      data: {
+        userId: transfer.toCustomer.userId,
+        title: 'Vehicle transfer cancelled',
+        message: `${ownerDisplayName(transfer.fromCustomer)} cancelled the transfer of the ${vehicle.year} ${vehicle.make} ${vehicle.model}`,
+        type: 'vehicle_transfer',
+        relatedEntityType: 'vehicle_transfer',
+        relatedEntityId: transfer.id,
+      },
+    });
+
+    return tx.vehicleTransfer.findUnique({
+      where: { id: transfer.id },
+      include: { vehicle: true, fromCustomer: true, toCustomer: true },
+    });
+  });
+}
+
+/**
+ * Strip what earlier owners wrote themselves from a vehicle's service history.
+ * The work done stays visible; the owner's own notes and customer id do not.
+ * @param {Array<object>} appointments - Appointments of the vehicle
+ * @param {number} customerId - Customer viewing the history
+ * @returns {Array<object>}
+ */
+function redactPreviousOwnerHistory(appointments, customerId) {
+  return appointments.map((appointment) => {
+    if (appointment.customerId === customerId) {
+      return { ...appointment, previousOwner: false };
+    }
+
+    const redacted = { ...appointment, notes: null, previousOwner: true };
+    delete redacted.customerId;
+    return redacted;
+  });
+}
+
+module.exports = {
+  formatVehicleTransfer,
+  initiateVehicleTransfer,
+  respondToVehicleTransfer,
+  cancelVehicleTransfer,
+  redactPreviousOwnerHistory,
+};
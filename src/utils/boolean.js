@@ -0,0 +1,19 @@
+/**
+ * Read a true/false flag sent as JSON or as a form/multipart string
+ * e.g. parseBoolean('false') => false, parseBoolean('yes') => null
+ * @param {*} value - Value from the request
+ * @returns {boolean|null} - null when the value is not a boolean
+ */
+function parseBoolean(value) {
+  if (value === true || value === 'true') {
+    return true;
+  }
+
+  if (value === false || value === 'false') {
+    return false;
+  }
+
+  return null;
+}
+
+module.exports = { parseBoolean };
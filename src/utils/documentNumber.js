@@ -0,0 +1,12 @@
+/**
+ * Build a human-readable document number from a record ID
+ * e.g. formatDocumentNumber('PO', 42) => 'PO-00042'
+ * @param {string} prefix - Document prefix
+ * @param {number} id - Database ID of the document
+ * @returns {string}
+ */
+function formatDocumentNumber(prefix, id) {
+  return `${prefix}-${id.toString().padStart(5, '0')}`;
+}
+
+module.exports = { formatDocumentNumber };
@@ -0,0 +1,15 @@
+/**
+ * Create an error carrying an HTTP status code.
+ * Thrown from services (often inside a transaction) so controllers can
+ * answer with the right status instead of a generic 500.
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message safe to return to the client
+ * @returns {Error}
+ */
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = { createHttpError };
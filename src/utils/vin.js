@@ -0,0 +1,222 @@
+/**
+ * Offline VIN (ISO 3779) validation and decoding.
+ * Only the parts that don't need an online database are decoded:
+ * the manufacturer from the WMI (first three characters) and the model year.
+ */
+
+// Letters I, O and Q are never used in a VIN
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Values used to compute the check digit (position 9)
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// The check digit is only mandatory for vehicles built for North America (1-5) and China (L)
+const CHECK_DIGIT_REGIONS = /^[1-5L]/;
+
+// Model year codes (position 10); the cycle repeats every 30 years
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const MODEL_YEAR_BASE = 1980;
+const MODEL_YEAR_CYCLE = 30;
+
+// World manufacturer identifiers -> make
+const WMI_MAKES = {
+  // Japan
+  JA3: 'Mitsubishi', JA4: 'Mitsubishi', JMB: 'Mitsubishi', JMY: 'Mitsubishi',
+  JF1: 'Subaru', JF2: 'Subaru',
+  JHM: 'Honda', JHL: 'Honda', JHG: 'Honda',
+  JH4: 'Acura',
+  JM1: 'Mazda', JM3: 'Mazda', JMZ: 'Mazda',
+  JN1: 'Nissan', JN6: 'Nissan', JN8: 'Nissan',
+  JNK: 'Infiniti', JNR: 'Infiniti',
+  JS1: 'Suzuki', JS2: 'Suzuki', JS3: 'Suzuki', JSA: 'Suzuki',
+  JT2: 'Toyota', JT3: 'Toyota', JT4: 'Toyota', JTD: 'Toyota', JTE: 'Toyota', JTK: 'Toyota', JTM: 'Toyota', JTN: 'Toyota',
+  JTH: 'Lexus', JTJ: 'Lexus',
+  JAA: 'Isuzu', JAL: 'Isuzu',
+  JDA: 'Daihatsu',
+  // Korea
+  KMH: 'Hyundai', KM8: 'Hyundai',
+  KNA: 'Kia', KNC: 'Kia', KND: 'Kia',
+  KPT: 'SsangYong',
+  // India
+  MA1: 'Mahindra', MA3: 'Suzuki', MAJ: 'Ford', MAK: 'Honda', MAL: 'Hyundai', MAT: 'Tata',
+  MBH: 'Suzuki', MBJ: 'Toyota', MD2: 'Bajaj', ME4: 'Honda', MZB: 'Kia',
+  // Malaysia and Thailand
+  PL1: 'Proton', PM2: 'Perodua', MR0: 'Toyota', MNT: 'Nissan', MMB: 'Mitsubishi',
+  // Europe
+  SAJ: 'Jaguar', SAL: 'Land Rover', SCC: 'Lotus', SCF: 'Aston Martin',
+  TMB: 'Skoda', TRU: 'Audi',
+  VF1: 'Renault', VF3: 'Peugeot', VF7: 'Citroen', VSS: 'SEAT',
+  WAU: 'Audi', WA1: 'Audi',
+  WBA: 'BMW', WBS: 'BMW', WBX: 'BMW', WBY: 'BMW',
+  WDB: 'Mercedes-Benz', WDC: 'Mercedes-Benz', WDD: 'Mercedes-Benz', W1K: 'Mercedes-Benz', W1N: 'Mercedes-Benz',
+  WF0: 'Ford',
+  WMW: 'MINI',
+  WP0: 'Porsche', WP1: 'Porsche',
+  WVW: 'Volkswagen', WV1: 'Volkswagen', WV2: 'Volkswagen', WVG: 'Volkswagen',
+  W0L: 'Opel',
+  YV1: 'Volvo', YV4: 'Volvo',
+  ZAR: 'Alfa Romeo', ZFA: 'Fiat', ZFF: 'Ferrari', ZHW: 'Lamborghini',
+  // North America
+  '1C4': 'Chrysler', '1C6': 'Ram', '2C3': 'Chrysler', '1J4': 'Jeep',
+  '1FA': 'Ford', '1FM': 'Ford', '1FT': 'Ford', '2FM': 'Ford', '3FA': 'Ford',
+  '1G1': 'Chevrolet', '1GC': 'Chevrolet', '1GN': 'Chevrolet', '2G1': 'Chevrolet', '3GN': 'Chevrolet',
+  '1GT': 'GMC', '1GK': 'GMC',
+  '1G6': 'Cadillac',
+  '1HG': 'Honda', '2HG': 'Honda', '5FN': 'Honda', '5J6': 'Honda',
+  '19X': 'Honda', '19U': 'Acura',
+  '1N4': 'Nissan', '1N6': 'Nissan', '3N1': 'Nissan', '5N1': 'Nissan',
+  '2T1': 'Toyota', '4T1': 'Toyota', '4T3': 'Toyota', '5TD': 'Toyota', '5TF': 'Toyota', '5YF': 'Toyota',
+  '2T2': 'Lexus',
+  '4S3': 'Subaru', '4S4': 'Subaru',
+  '5NP': 'Hyundai', '5XY': 'Kia',
+  '5YJ': 'Tesla', '7SA': 'Tesla',
+  '4JG': 'Mercedes-Benz', '5UX': 'BMW', '3VW': 'Volkswagen',
+  // China
+  LVS: 'Ford', LSV: 'Volkswagen', LFV: 'Volkswagen', LRW: 'Tesla', LGX: 'BYD', LB3: 'Geely',
+};
+
+// Common ways customers write a make, mapped to the name in WMI_MAKES
+const MAKE_ALIASES = {
+  vw: 'volkswagen',
+  chevy: 'chevrolet',
+  mercedes: 'mercedesbenz',
+  benz: 'mercedesbenz',
+  rangerover: 'landrover',
+};
+
+/**
+ * Normalize a VIN the way customers type it (spaces, dashes, lower case)
+ * @param {string} vin
+ * @returns {string}
+ */
+function normalizeVin(vin) {
+  return String(vin).replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Compute the check digit a VIN should carry in position 9
+ * @param {string} vin - Normalized 17-character VIN
+ * @returns {string} - 0-9 or X
+ */
+function computeCheckDigit(vin) {
+  const sum = vin
+    .split('')
+    .reduce((total, char, index) => {
+      const value = /[0-9]/.test(char) ? Number(char) : TRANSLITERATION[char];
+      return total + value * POSITION_WEIGHTS[index];
+    }, 0);
+
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : remainder.toString();
+}
+
+/**
+ * Work out the model years a VIN can belong to
+ * @param {string} vin - Normalized 17-character VIN
+ * @returns {{modelYear: number|null, possibleYears: Array<number>}}
+ */
+function decodeModelYear(vin) {
+  const index = MODEL_YEAR_CODES.indexOf(vin[9]);
+
+  if (index === -1) {
+    return { modelYear: null, possibleYears: [] };
+  }
+
+  const latestYear = new Date().getFullYear() + 1;
+  const possibleYears = [];
+  for (let year = MODEL_YEAR_BASE + index; year <= latestYear; year += MODEL_YEAR_CYCLE) {
+    possibleYears.push(year);
+  }
+
+  // North American VINs use a letter in position 7 from 2010 onwards to tell the cycles apart
+  let modelYear = possibleYears[possibleYears.length - 1] || null;
+  if (CHECK_DIGIT_REGIONS.test(vin) && possibleYears.length > 1) {
+    modelYear = /[0-9]/.test(vin[6]) ? possibleYears[possibleYears.length - 2] : modelYear;
+  }
+
+  return { modelYear, possibleYears };
+}
+
+/**
+ * Validate and decode a VIN
+ * @param {string} vin - VIN as entered
+ * @returns {{valid: boolean, error: string|null, vin: string, make: string|null, modelYear: number|null, possibleYears: Array<number>}}
+ */
+function decodeVin(vin) {
+  const normalized = normalizeVin(vin);
+  const result = {
+    valid: false,
+    error: null,
+    vin: normalized,
+    make: null,
+    modelYear: null,
+    possibleYears: [],
+  };
+
+  if (normalized.length !== 17) {
+    result.error = 'VIN must be 17 characters long';
+    return result;
+  }
+
+  if (!VIN_PATTERN.test(normalized)) {
+    result.error = 'VIN contains invalid characters (I, O and Q are never used)';
+    return result;
+  }
+
+  if (CHECK_DIGIT_REGIONS.test(normalized) && computeCheckDigit(normalized) !== normalized[8]) {
+    result.error = 'VIN check digit does not match; please check it for typos';
+    return result;
+  }
+
+  return {
+    ...result,
+    valid: true,
+    make: WMI_MAKES[normalized.slice(0, 3)] || null,
+    ...decodeModelYear(normalized),
+  };
+}
+
+/**
+ * Turn a make into a comparable key ("Mercedes Benz" and "mercedes-benz" match)
+ * @param {string} make
+ * @returns {string}
+ */
+function makeKey(make) {
+  const key = String(make).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return MAKE_ALIASES[key] || key;
+}
+
+/**
+ * Compare the make and year a customer entered with what the VIN says
+ * @param {object} decoded - Result of decodeVin
+ * @param {object} vehicle
+ * @param {string} [vehicle.make]
+ * @param {number} [vehicle.year]
+ * @returns {Array<string>} - Human-readable mismatches (empty if everything agrees or is unknown)
+ */
+function findVinMismatches(decoded, { make, year }) {
+  const mismatches = [];
+
+  if (decoded.make && make && makeKey(decoded.make) !== makeKey(make)) {
+    mismatches.push(`VIN belongs to a ${decoded.make}, but the make was entered as ${make}`);
+  }
+
+  if (decoded.possibleYears.length > 0 && year && !decoded.possibleYears.includes(Number(year))) {
+    mismatches.push(`VIN is for model year ${decoded.possibleYears.join(' or ')}, but the year was entered as ${year}`);
+  }
+
+  return mismatches;
+}
+
+module.exports = {
+  normalizeVin,
+  computeCheckDigit,
+  decodeVin,
+  findVinMismatches,
+};
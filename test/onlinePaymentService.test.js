@@ -0,0 +1,249 @@
+process.env.PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+process.env.PAYMENT_PROVIDER = 'sandbox';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sandboxProvider = require('../src/services/paymentGateway/sandboxProvider');
+const {
+  createPaymentIntent,
+  applyPaymentEvent,
+  confirmPaymentIntent,
+  refundPaymentIntent,
+} = require('../src/services/onlinePaymentService');
+
+/**
+ * In-memory stand-in for the Prisma client, covering what the payment flow uses
+ */
+function createFakeDb({ invoiceTotal = 100 } = {}) {
+  const tables = {
+    invoice: [{ id: 1, customerId: 7, invoiceNumber: 'INV-0001', total: invoiceTotal, status: 'issued' }],
+    paymentIntent: [],
+    payment: [],
+  };
+
+  const matches = (row, where = {}) => Object.entries(where).every(([key, condition]) => {
+    if (condition && typeof condition === 'object') {
+      if ('not' in condition) return row[key] !== condition.not;
+      if ('in' in condition) return condition.in.includes(row[key]);
+      if ('notIn' in condition) return !condition.notIn.includes(row[key]);
+      return matches(row, condition);
+    }
+    return row[key] === condition;
+  });
+
+  const withPayments = (invoice) => invoice && {
+    ...invoice,
+    payments: tables.payment.filter((payment) => payment.invoiceId === invoice.id),
+  };
+
+  const apply = (row, data) => {
+    for (const [key, value] of Object.entries(data)) {
+      row[key] = value && typeof value === 'object' && 'increment' in value
+        ? Number(row[key]) + value.increment
+        : value;
+    }
+    return { ...row };
+  };
+
+  const db = {
+    invoice: {
+      findFirst: async ({ where }) => withPayments(tables.invoice.find((row) => matches(row, where))),
+      findUnique: async ({ where }) => withPayments(tables.invoice.find((row) => matches(row, where))),
+      update: async ({ where, data }) => withPayments(apply(tables.invoice.find((row) => row.id === where.id), data)),
+    },
+    paymentIntent: {
+      create: async ({ data }) => {
+        const row = { id: tables.paymentIntent.length + 1, amountRefunded: 0, failureReason: null, ...data };
+        tables.paymentIntent.push(row);
+        return { ...row };
+      },
+      findUnique: async ({ where }) => {
+        const key = where.provider_providerIntentId || where;
+        const row = tables.paymentIntent.find((intent) => matches(intent, key));
+        return row ? { ...row } : null;
+      },
+      update: async ({ where, data }) => apply(tables.paymentIntent.find((row) => row.id === where.id), data),
+      updateMany: async ({ where, data }) => {
+        const rows = tables.paymentIntent.filter((row) => matches(row, where));
+        rows.forEach((row) => apply(row, data));
+        return { count: rows.length };
+      },
+    },
+    payment: {
+      create: async ({ data }) => {
+        const row = { id: tables.payment.length + 1, ...data };
+        tables.payment.push(row);
+        return { ...row };
+      },
+      findFirst: async ({ where }) => tables.payment.find((row) => matches(row, where)) || null,
+    },
+    $queryRaw: async () => [],
+    $transaction: async (callback) => callback(db),
+  };
+
+  return { db, tables };
+}
+
+/**
+ * Build the raw body and headers of a webhook as the sandbox would send it
+ */
+function signedWebhook(event, timestamp) {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  return {
+    rawBody,
+    headers: { [sandboxProvider.SIGNATURE_HEADER]: sandboxProvider.signWebhookPayload(rawBody, timestamp) },
+  };
+}
+
+test('creates an intent for the outstanding balance', async () => {
+  const { db } = createFakeDb();
+
+  const { intent, clientSecret } = await createPaymentIntent(db, { invoiceId: 1, customerId: 7 });
+
+  assert.equal(intent.provider, 'sandbox');
+  assert.equal(intent.amount, 100);
+  assert.equal(intent.status, 'requires_confirmation');
+  assert.match(clientSecret, /^pi_sandbox_\w+_secret_/);
+});
+
+test('refuses an intent for an invoice of another customer', async () => {
+  const { db } = createFakeDb();
+
+  await assert.rejects(
+    createPaymentIntent(db, { invoiceId: 1, customerId: 8 }),
+    { status: 404 }
+  );
+});
+
+test('confirming records the payment and settles the invoice', async () => {
+  const { db, tables } = createFakeDb();
+  const { intent } = await createPaymentIntent(db, { invoiceId: 1, customerId: 7 });
+
+  const confirmed = await confirmPaymentIntent(db, intent, { recordedBy: 3 });
+
+  assert.equal(confirmed.status, 'succeeded');
+  assert.equal(tables.payment.length, 1);
+  assert.equal(tables.payment[0].method, 'online');
+  assert.equal(tables.payment[0].paymentIntentId, intent.id);
+  assert.equal(tables.invoice[0].status, 'paid');
+});
+
+test('a declined card fails the intent without recording a payment', async () => {
+  const { db, tables } = createFakeDb();
+  const { intent } = await createPaymentIntent(db, { invoiceId: 1, customerId: 7 });
+
+  const confirmed = await confirmPaymentIntent(db, intent, {
+    paymentMethod: sandboxProvider.TEST_PAYMENT_METHODS.declined,
+  });
+
+  assert.equal(confirmed.status, 'failed');
+  assert.equal(confirmed.failureReason, 'Your card was declined');
+  assert.equal(tables.payment.length, 0);
+});
+
+test('a captured payment that cannot be recorded is refunded and the intent canceled', async () => {
+  const { db, tables } = createFakeDb();
+  const { intent } = await createPaymentIntent(db, { invoiceId: 1, customerId: 7 });
+
+  // The invoice is settled in cash between the balance check and recording the payment
+  const findInvoice = db.invoice.findUnique;
+  let lookups = 0;
+  db.invoice.findUnique = async (args) => {
+    lookups += 1;
+    if (lookups === 2) {
+      tables.payment.push({ id: 99, invoiceId: 1, type: 'payment', method: 'cash', amount: 100 });
+    }
+    return findInvoice(args);
+  };
+
+  await assert.rejects(confirmPaymentIntent(db, intent, {}), { status: 409 });
+
+  const [stored] = tables.paymentIntent;
+  assert.equal(stored.status, 'canceled');
+  assert.match(stored.failureReason, /^Refunded without being recorded/);
+  assert.equal(tables.payment.filter((payment) => payment.method === 'online').length, 0);
+});
+
+test('webhooks with a valid signature are applied once', async () => {
+  const { db, tables } = createFakeDb();
+  const { intent } = await createPaymentIntent(db, { invoiceId: 1, customerId: 7 });
+  const { rawBody, headers } = signedWebhook({
+    id: 'evt_1',
+    type: 'payment.succeeded',
+    providerIntentId: intent.providerIntentId,
+    amount: 100,
+  });
+
+  const event = sandboxProvider.verifyWebhook(rawBody, headers);
+  await applyPaymentEvent(db, 'sandbox', event);
+  const redelivered = await applyPaymentEvent(db, 'sandbox', event);
+
+  assert.equal(redelivered.status, 'succeeded');
+  assert.equal(tables.payment.length, 1);
+});
+
+test('webhooks with a forged, tampered or expired signature are rejected', () => {
+  const event = { id: 'evt_1', type: 'payment.succeeded', providerIntentId: 'pi_1', amount: 100 };
+  const { rawBody, headers } = signedWebhook(event);
+
+  const forged = `t=${Math.floor(Date.now() / 1000)},v1=${'0'.repeat(64)}`;
+  assert.throws(
+    () => sandboxProvider.verifyWebhook(rawBody, { [sandboxProvider.SIGNATURE_HEADER]: forged }),
+    { status: 400, message: 'Invalid webhook signature' }
+  );
+
+  const tampered = Buffer.from(JSON.stringify({ ...event, amount: 1 }));
+  assert.throws(
+    () => sandboxProvider.verifyWebhook(tampered, headers),
+    { status: 400, message: 'Invalid webhook signature' }
+  );
+
+  const expired = signedWebhook(event, Math.floor(Date.now() / 1000) - 10 * 60);
+  assert.throws(
+    () => sandboxProvider.verifyWebhook(expired.rawBody, expired.headers),
+    { status: 400, message: 'Webhook signature has expired' }
+  );
+
+  assert.throws(
+    () => sandboxProvider.verifyWebhook(rawBody, {}),
+    { status: 400, message: 'Missing webhook signature' }
+  );
+});
+
+test('webhooks are refused as unavailable when no secret is configured', () => {
+  const { rawBody, headers } = signedWebhook({ id: 'evt_1', type: 'payment.succeeded', providerIntentId: 'pi_1' });
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+  try {
+    assert.throws(
+      () => sandboxProvider.verifyWebhook(rawBody, headers),
+      { status: 503, message: 'Online payments are not available' }
+    );
+  } finally {
+    process.env.PAYMENT_WEBHOOK_SECRET = secret;
+  }
+});
+
+test('refunds record a refund payment and cannot exceed what was paid', async () => {
+  const { db, tables } = createFakeDb();
+  const { intent } = await createPaymentIntent(db, { invoiceId: 1, customerId: 7 });
+  const confirmed = await confirmPaymentIntent(db, intent, {});
+
+  const partlyRefunded = await refundPaymentIntent(db, confirmed, { amount: 40, reason: 'Goodwill' });
+
+  assert.equal(partlyRefunded.amountRefunded, 40);
+  assert.equal(tables.invoice[0].status, 'partially_paid');
+  assert.deepEqual(
+    tables.payment.map((payment) => [payment.type, payment.amount]),
+    [['payment', 100], ['refund', 40]]
+  );
+
+  await assert.rejects(
+    refundPaymentIntent(db, partlyRefunded, { amount: 61 }),
+    { status: 400 }
+  );
+
+  const fullyRefunded = await refundPaymentIntent(db, partlyRefunded, {});
+  assert.equal(fullyRefunded.amountRefunded, 100);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeVin, computeCheckDigit, decodeVin, findVinMismatches } = require('../src/utils/vin');
+
+test('decodes a valid North American VIN', () => {
+  const decoded = decodeVin('1HGCM82633A004352');
+
+  assert.equal(decoded.valid, true);
+  assert.equal(decoded.error, null);
+  assert.equal(decoded.make, 'Honda');
+  assert.equal(decoded.modelYear, 2003);
+  assert.deepEqual(decoded.possibleYears, [2003]);
+});
+
+test('computes an X check digit', () => {
+  assert.equal(computeCheckDigit('1M8GDM9AXKP042788'), 'X');
+  assert.equal(computeCheckDigit('1HGCM82633A004352'), '3');
+});
+
+test('uses position 7 to pick the model year cycle', () => {
+  // A digit in position 7 means the earlier cycle: K is 1989, not 2019
+  const decoded = decodeVin('1M8GDM9AXKP042788');
+
+  assert.equal(decoded.valid, true);
+  assert.equal(decoded.make, null);
+  assert.equal(decoded.modelYear, 1989);
+  assert.deepEqual(decoded.possibleYears, [1989, 2019]);
+});
+
+test('rejects a corrupted check digit', () => {
+  const decoded = decodeVin('1HGCM82643A004352');
+
+  assert.equal(decoded.valid, false);
+  assert.equal(decoded.error, 'VIN check digit does not match; please check it for typos');
+});
+
+test('rejects a single mistyped character through the check digit', () => {
+  assert.equal(decodeVin('1HGCM82633A004353').valid, false);
+});
+
+test('does not require a check digit outside North America and China', () => {
+  const decoded = decodeVin('WVWZZZ1JZXW000001');
+
+  assert.equal(decoded.valid, true);
+  assert.equal(decoded.make, 'Volkswagen');
+});
+
+test('normalizes spaces, dashes and lower case', () => {
+  assert.equal(normalizeVin(' 1hgcm-8263 3a004352'), '1HGCM82633A004352');
+  assert.equal(decodeVin('1hgcm82633a004352').valid, true);
+});
+
+test('rejects VINs of the wrong length or with I, O or Q', () => {
+  assert.equal(decodeVin('1HGCM82633A00435').error, 'VIN must be 17 characters long');
+  assert.equal(
+    decodeVin('1HGCM82633A0O4352').error,
+    'VIN contains invalid characters (I, O and Q are never used)'
+  );
+});
+
+test('reports a make or year that disagrees with the VIN', () => {
+  const decoded = decodeVin('1HGCM82633A004352');
+
+  assert.deepEqual(findVinMismatches(decoded, { make: 'honda', year: 2003 }), []);
+  assert.deepEqual(findVinMismatches(decoded, { make: 'Toyota', year: 2005 }), [
+    'VIN belongs to a Honda, but the make was entered as Toyota',
+    'VIN is for model year 2003, but the year was entered as 2005',
+  ]);
+});